@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+// Deletes sessions past their event's retention period: the image files in the `photos` bucket and their
+// `photo_metadata` rows. Run it from cron (or any scheduler) against hosted or local Supabase:
+//
+//   SUPABASE_URL=http://127.0.0.1:54321 SUPABASE_SERVICE_ROLE_KEY=... npm run cleanup -- --dry-run
+//
+// The service role key bypasses RLS, so keep it on the machine that runs this and never in the app's .env
+
+const { createClient } = require('@supabase/supabase-js');
+
+const BUCKET = 'photos';
+const TABLE = 'photo_metadata';
+const BATCH_SIZE = 100;
+const IMAGE_EXTENSIONS = ['png', 'gif'];
+
+const supabaseUrl = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const dryRun = process.argv.includes('--dry-run');
+
+// Rows written before the bucket went private hold a public URL instead of the object path
+const objectPaths = ({ key, value }) => (
+  value && value.image && !/^https?:/.test(value.image)
+    ? [value.image]
+    : IMAGE_EXTENSIONS.map(ext => `${key}.${ext}`)
+);
+
+const main = async () => {
+  if (!supabaseUrl || !serviceRoleKey) {
+    console.error('Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.');
+    process.exit(1);
+  }
+
+  const supabase = createClient(supabaseUrl, serviceRoleKey, { auth: { persistSession: false } });
+  const now = new Date().toISOString();
+  let deleted = 0;
+  let offset = 0;
+
+  for (;;) {
+    // A dry run deletes nothing, so it has to page instead of re-reading the first batch
+    const { data: rows, error } = await supabase
+      .from(TABLE)
+      .select('key, value')
+      .lt('delete_after', now)
+      .order('delete_after')
+      .range(offset, offset + BATCH_SIZE - 1);
+    if (error) throw error;
+    if (rows.length === 0) break;
+
+    if (dryRun) {
+      rows.forEach(row => console.log(`would delete ${row.key}`));
+      offset += rows.length;
+    } else {
+      const { error: removeError } = await supabase.storage.from(BUCKET).remove(rows.flatMap(objectPaths));
+      if (removeError) throw removeError;
+
+      const { error: deleteError } = await supabase.from(TABLE).delete().in('key', rows.map(row => row.key));
+      if (deleteError) throw deleteError;
+    }
+    deleted += rows.length;
+    if (rows.length < BATCH_SIZE) break;
+  }
+
+  console.log(`${dryRun ? 'Found' : 'Deleted'} ${deleted} expired session${deleted === 1 ? '' : 's'}.`);
+};
+
+main().catch((error) => {
+  console.error('Cleanup failed:', error.message || error);
+  process.exit(1);
+});
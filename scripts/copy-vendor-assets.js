@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Copies files the browser has to load by URL (web workers and the like) from node_modules into public/, so
+// they always match the installed packages. Runs before `npm start` and `npm run build`; the copies are
+// git-ignored
+
+const fs = require('fs');
+const path = require('path');
+
+const VENDOR_ASSETS = [
+  // gif.js starts its workers with new Worker(url), which webpack can't bundle
+  { from: 'gif.js/dist/gif.worker.js', to: 'gif.worker.js' },
+  // MediaPipe's bundle is loaded with a native import() that webpack skips, plus the WASM it fetches itself.
+  // FilesetResolver picks the SIMD or no-SIMD build, so the module variant isn't needed
+  { from: '@mediapipe/tasks-vision/vision_bundle.mjs', to: 'mediapipe/vision_bundle.mjs' },
+  ...['vision_wasm_internal', 'vision_wasm_nosimd_internal'].flatMap(name => ['js', 'wasm'].map(ext => ({
+    from: `@mediapipe/tasks-vision/wasm/${name}.${ext}`,
+    to: `mediapipe/wasm/${name}.${ext}`
+  })))
+];
+
+const copyVendorAssets = ({
+  nodeModules = path.join(__dirname, '..', 'node_modules'),
+  publicDir = path.join(__dirname, '..', 'public')
+} = {}) => VENDOR_ASSETS.map(({ from, to }) => {
+  const target = path.join(publicDir, to);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.cpSync(path.join(nodeModules, from), target, { recursive: true });
+  return target;
+});
+
+if (require.main === module) {
+  copyVendorAssets().forEach(target => console.info(`Copied ${path.relative(process.cwd(), target)}`));
+}
+
+module.exports = { VENDOR_ASSETS, copyVendorAssets };
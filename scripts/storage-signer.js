@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+// Hands the booth presigned URLs for the `http` storage backend, so the bucket's write credentials stay on this
+// server instead of in the bundle. The booth (REACT_APP_STORAGE_SIGN_URL) posts { method, path, params } with the
+// operator's Supabase access token and gets back { url }, valid for a few minutes. Uploads are write-once: a PUT is
+// only signed for an object that doesn't exist yet, and changes to a stored session go through
+// { method: 'PATCH', path, changes }, which the signer merges into the metadata itself:
+//
+//   STORAGE_BUCKET_URL=https://minio.example.com/photos STORAGE_ACCESS_KEY_ID=... STORAGE_SECRET_ACCESS_KEY=... \
+//     SUPABASE_URL=... SUPABASE_ANON_KEY=... npm run storage-signer
+//
+// Optional: STORAGE_SIGNER_PORT (default 8788), STORAGE_REGION (default us-east-1),
+// STORAGE_ALLOWED_ORIGIN (CORS, default *)
+
+const crypto = require('crypto');
+const http = require('http');
+const { createClient } = require('@supabase/supabase-js');
+
+const port = Number(process.env.STORAGE_SIGNER_PORT) || 8788;
+const bucketUrl = (process.env.STORAGE_BUCKET_URL || '').replace(/\/+$/, '');
+const region = process.env.STORAGE_REGION || 'us-east-1';
+const accessKeyId = process.env.STORAGE_ACCESS_KEY_ID;
+const secretAccessKey = process.env.STORAGE_SECRET_ACCESS_KEY;
+const allowedOrigin = process.env.STORAGE_ALLOWED_ORIGIN || '*';
+const supabaseUrl = process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY || process.env.REACT_APP_SUPABASE_ANON_KEY;
+
+const EXPIRES_SECONDS = 300;
+const MAX_BODY_BYTES = 4 * 1024;
+// Same layout as createHttpStorage: images/<file> and meta/<key>.json, keys already URL-encoded
+const OBJECT_PATH = /^(images\/[\w.%-]+\.(png|gif)|meta\/[\w.%-]+\.json)$/;
+const META_PATH = /^meta\/[\w.%-]+\.json$/;
+const ROLES = ['operator', 'event_admin'];
+
+// What each role may change on a stored session: operators record deliveries, event admins also hide sessions
+const EDITABLE_FIELDS = {
+  operator: ['deliveries'],
+  event_admin: ['deliveries', 'hidden']
+};
+
+// Every operator uploads; deleting and listing every session are for the admin gallery, like the Supabase policies
+const authorize = (role, { method, path, params, changes }) => {
+  if (!ROLES.includes(role)) return false;
+  if (method === 'PUT' && OBJECT_PATH.test(path) && !params) return true;
+  if (method === 'PATCH' && META_PATH.test(path) && !params) {
+    const fields = changes && typeof changes === 'object' && !Array.isArray(changes) ? Object.keys(changes) : [];
+    return fields.length > 0 && fields.every(field => EDITABLE_FIELDS[role].includes(field));
+  }
+  if (method === 'DELETE' && OBJECT_PATH.test(path) && !params) return role === 'event_admin';
+  if (method === 'GET' && path === '' && params && params['list-type'] === '2' && String(params.prefix).startsWith('meta/')) {
+    const allowed = ['list-type', 'prefix', 'continuation-token'];
+    return role === 'event_admin' && Object.keys(params).every(name => allowed.includes(name));
+  }
+  return false;
+};
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+// RFC 3986 encoding, which SigV4 requires and encodeURIComponent doesn't quite do
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// AWS Signature Version 4 query-string presigning, which MinIO, Garage, R2 and S3 all accept
+const presign = ({ method, path, params }, now = new Date()) => {
+  const url = new URL(`${bucketUrl}/${path}`);
+  const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const query = {
+    ...(params || {}),
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(EXPIRES_SECONDS),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const canonicalQuery = Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&');
+  const canonicalRequest = [method, url.pathname, canonicalQuery, `host:${url.host}`, '', 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+};
+
+// The signer's own key can list the bucket, so a missing object is a 404 rather than a 403
+const objectExists = async (path) => {
+  const response = await fetch(presign({ method: 'HEAD', path }), { method: 'HEAD' });
+  if (response.status === 404) return false;
+  if (!response.ok) throw new Error(`Bucket answered ${response.status} for ${path}`);
+  return true;
+};
+
+// Returns false if there's no such session
+const patchMetadata = async (path, changes) => {
+  const response = await fetch(presign({ method: 'GET', path }));
+  if (response.status === 404) return false;
+  if (!response.ok) throw new Error(`Bucket answered ${response.status} for ${path}`);
+  const value = { ...(await response.json()), ...changes };
+  const saved = await fetch(presign({ method: 'PUT', path }), {
+    method: 'PUT',
+    body: JSON.stringify(value),
+    headers: { 'Content-Type': 'application/json' }
+  });
+  if (!saved.ok) throw new Error(`Bucket answered ${saved.status} for ${path}`);
+  return true;
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(Object.assign(new Error('Request too large'), { status: 413 }));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const main = () => {
+  if (!bucketUrl || !accessKeyId || !secretAccessKey) {
+    console.error('Set STORAGE_BUCKET_URL, STORAGE_ACCESS_KEY_ID and STORAGE_SECRET_ACCESS_KEY.');
+    process.exit(1);
+  }
+  if (!supabaseUrl || !supabaseKey) {
+    console.error('Set SUPABASE_URL and SUPABASE_ANON_KEY so the signer can check operator logins.');
+    process.exit(1);
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseKey, { auth: { persistSession: false } });
+
+  const server = http.createServer(async (req, res) => {
+    const reply = (status, body) => {
+      res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+      });
+      res.end(body ? JSON.stringify(body) : '');
+    };
+
+    if (req.method === 'OPTIONS') return reply(204);
+    if (req.method !== 'POST') return reply(405, { error: 'Method not allowed' });
+
+    const jwt = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!jwt) return reply(401, { error: 'Sign in first' });
+    const { data, error } = await supabase.auth.getUser(jwt);
+    if (error || !data.user) return reply(401, { error: 'Sign in first' });
+
+    let request;
+    try {
+      request = JSON.parse(await readBody(req));
+    } catch (error) {
+      return reply(error.status || 400, { error: error.status ? error.message : 'Invalid JSON' });
+    }
+    if (!request || typeof request.path !== 'string') return reply(400, { error: 'Missing path' });
+
+    const role = data.user.app_metadata && data.user.app_metadata.role;
+    if (!authorize(role, request)) return reply(403, { error: 'Not allowed' });
+
+    try {
+      if (request.method === 'PATCH') {
+        return await patchMetadata(request.path, request.changes)
+          ? reply(200, { ok: true })
+          : reply(404, { error: 'No such session' });
+      }
+      // Checked so a signed PUT can't replace a photo or metadata that is already stored
+      if (request.method === 'PUT' && await objectExists(request.path)) return reply(409, { error: 'Already uploaded' });
+    } catch (error) {
+      console.error('Bucket request failed:', error.message || error);
+      return reply(502, { error: 'Storage is not reachable' });
+    }
+
+    return reply(200, { url: presign(request) });
+  });
+
+  server.listen(port, () => {
+    console.info(`Storage signer listening on http://localhost:${port} for ${bucketUrl}`);
+  });
+};
+
+main();
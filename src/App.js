@@ -1,7 +1,60 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Navigate, Outlet, Route, Routes, useLocation, useNavigate, useOutletContext } from 'react-router-dom';
 import './App.css';
-import { Printer, Wifi } from 'lucide-react';
-import { createClient } from '@supabase/supabase-js';
+import { CloudOff, CloudUpload, Printer, Wifi } from 'lucide-react';
+import { supabase } from './utils/supabaseClient';
+import { PERMISSIONS, createAuthProvider, hasPermission } from './utils/auth';
+import { DEFAULT_DITHER_SETTINGS } from './utils/dithering';
+import { ENCODING_MODES } from './utils/escpos';
+import { ThermalPrinter, PRINTER_STATE } from './utils/thermalPrinter';
+import { AUTO_PROFILE_ID, DEFAULT_PROFILE, PRINTER_PROFILES, getProfile } from './utils/printerProfiles';
+import { PrintQueue, JOB_STATUS, MAX_PENDING_AGE_MS } from './utils/printQueue';
+import { UploadQueue } from './utils/uploadQueue';
+import { createDeliverySender, createDeliveryService } from './utils/delivery';
+import { createStorageAdapter, createStorageService } from './utils/storage';
+import { frameKey, gifKey, stripKey } from './utils/guestGallery';
+import { loadImage } from './utils/imagePipeline';
+import { cacheEvent, createEventService, formatEventDate, loadCachedEvent, sessionExpiry } from './utils/events';
+import { coverCrop, drawLayout, listLayouts } from './utils/layouts';
+import { ANIMATION_MODES, blobToDataUrl, BURST_SETTINGS, captureBurst, sequenceFrames } from './utils/animation';
+import { encodeGif } from './utils/gifEncoder';
+import { createCaptureSounds } from './utils/captureSounds';
+import { PHOTO_FILTERS, applyFilterToCanvas, applyFilterToImageData, filterCss } from './utils/filters';
+import { EVENT_LOGO_STICKER, addSticker, availableStickers, drawStickers, resizeSticker, resolvePlacements } from './utils/stickers';
+import { getFaceTracker } from './utils/faceTracking';
+import {
+  drawOrientedFrame,
+  loadCameraSettings,
+  openCamera,
+  orientedSize,
+  outputOrientation,
+  previewVideoStyle,
+  saveCameraSettings
+} from './utils/camera';
+import {
+  buildDownloadUrl,
+  buildShortUrl,
+  createSessionId,
+  downloadPath,
+  formatShortUrl,
+  parseDownloadParams,
+  reserveSessionId
+} from './utils/downloadLinks';
+import { QR_ERROR_LEVELS, createQrDataUrl, drawQrCode, loadQrSettings, saveQrSettings } from './utils/qrCode';
+import ThermalPreviewPanel from './components/ThermalPreviewPanel';
+import PrintQueuePanel from './components/PrintQueuePanel';
+import SettingsScreen, { SettingsSection, settingsInputStyle, settingsLabelStyle } from './components/SettingsScreen';
+import EventSettingsForm from './components/EventSettingsForm';
+import { ReceiptHeader, ReceiptFooter } from './components/ReceiptText';
+import StripLayout from './components/StripLayout';
+import LayoutEditor from './components/LayoutEditor';
+import DownloadPage from './components/DownloadPage';
+import AdminGallery from './components/AdminGallery';
+import SendToMePanel from './components/SendToMePanel';
+import CameraSettingsPanel from './components/CameraSettingsPanel';
+import PhotoFilterDefs from './components/PhotoFilterDefs';
+import StickerOverlay from './components/StickerOverlay';
+import StickerTray from './components/StickerTray';
 
 // Images
 import logoImg from './images/logo.png';
@@ -9,244 +62,104 @@ import element1Img from './images/element1.png';
 import element2Img from './images/element2.png';
 import homeHeroImg from './images/home-hero.png';
 
-// Thermal Printer Class
-class ThermalPrinter {
-  constructor() {
-    this.device = null;
-    this.characteristic = null;
-  }
-
-  async connect() {
-    try {
-      this.device = await navigator.bluetooth.requestDevice({
-        acceptAllDevices: true,
-        optionalServices: ['000018f0-0000-1000-8000-00805f9b34fb']
-      });
-
-      const server = await this.device.gatt.connect();
-      const service = await server.getPrimaryService('000018f0-0000-1000-8000-00805f9b34fb');
-      this.characteristic = await service.getCharacteristic('00002af1-0000-1000-8000-00805f9b34fb');
-      return true;
-    } catch (error) {
-      console.error('Connection failed:', error);
-      throw error;
-    }
-  }
-
-  async printImage(imageDataUrl) {
-    if (!this.device || !this.device.gatt.connected) {
-      throw new Error('Printer not connected');
-    }
-
-    const img = new Image();
-    await new Promise((resolve, reject) => {
-      img.onload = resolve;
-      img.onerror = reject;
-      img.src = imageDataUrl;
-    });
-
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const printerWidth = 384;
-    const aspectRatio = img.height / img.width;
-    canvas.width = printerWidth;
-    canvas.height = Math.floor(printerWidth * aspectRatio);
-
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Increase contrast/brightness for cleaner thermal output
-    ctx.filter = 'contrast(1.1) brightness(1.1)';
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-    ctx.filter = 'none';
-
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const thermalData = this.convertToESCPOS(imageData);
-
-    // Smaller chunks + delay = smoother printing without stuttering
-    const chunkSize = 512; // Increased to prevent buffer underrun (lines)
-    for (let i = 0; i < thermalData.length; i += chunkSize) {
-      const chunk = thermalData.slice(i, i + chunkSize);
-      await this.characteristic.writeValue(chunk);
-    }
-  }
-
-  applyDithering(imageData) {
-    const width = imageData.width;
-    const height = imageData.height;
-    const data = new Float32Array(imageData.data);
-    
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = (y * width + x) * 4;
-        let gray = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
-        if (gray > 255) gray = 255;
-        const oldVal = gray;
-        const newVal = oldVal < 128 ? 0 : 255;
-        const error = oldVal - newVal;
-        
-        data[idx] = newVal;
-        
-        const distribute = (dx, dy, factor) => {
-            if (x + dx >= 0 && x + dx < width && y + dy >= 0 && y + dy < height) {
-                const nIdx = ((y + dy) * width + (x + dx)) * 4;
-                const v = data[nIdx] + error * factor;
-                data[nIdx] = data[nIdx+1] = data[nIdx+2] = v;
-            }
-        };
-
-        distribute(1, 0, 7/16);
-        distribute(-1, 1, 3/16);
-        distribute(0, 1, 5/16);
-        distribute(1, 1, 1/16);
-      }
-    }
-    
-    const finalData = new Uint8ClampedArray(data.length);
-    for (let i = 0; i < data.length; i++) {
-        finalData[i] = data[i] < 128 ? 0 : 255;
-    }
-    
-    return { width, height, data: finalData };
-  }
-
-  convertToESCPOS(imageData) {
-    const { width, height, data } = this.applyDithering(imageData);
-    const commands = [];
-
-    // Initialize printer
-    commands.push(0x1B, 0x40);
-
-    // GS v 0 - Raster Bit Image
-    // m=0, xL, xH, yL, yH
-    const bytesPerLine = Math.ceil(width / 8);
-    commands.push(0x1D, 0x76, 0x30, 0);
-    commands.push(bytesPerLine & 0xff);
-    commands.push((bytesPerLine >> 8) & 0xff);
-    commands.push(height & 0xff);
-    commands.push((height >> 8) & 0xff);
-
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < bytesPerLine; x++) {
-        let byte = 0;
-        for (let b = 0; b < 8; b++) {
-          const pixelX = x * 8 + b;
-          if (pixelX < width) {
-            const offset = (y * width + pixelX) * 4;
-            // 0 is black (print), 255 is white (no print)
-            if (data[offset] === 0) {
-              byte |= (1 << (7 - b));
-            }
-          }
-        }
-        commands.push(byte);
-      }
-    }
+// Decorative images layout templates can reference by name
+const OVERLAY_IMAGES = { element1: element1Img, element2: element2Img };
 
-    commands.push(0x1B, 0x64, 0x02); // Reduced feed to save paper
-    commands.push(0x1D, 0x56, 0x01);
-    return new Uint8Array(commands);
-  }
+// --- STORAGE SERVICE ---
 
-  disconnect() {
-    if (this.device && this.device.gatt.connected) {
-      this.device.gatt.disconnect();
-    }
-  }
-}
+const storage = createStorageService(createStorageAdapter({ supabase }));
 
-// --- STORAGE SERVICE ---
+// Shared by the booth, which fills it, and the download page, which can serve unsynced sessions on this device
+const uploadQueue = new UploadQueue({ upload: storage.set });
 
-// SUPABASE CONFIGURATION
-// Replace these with your actual Supabase project details
-const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
-const supabaseKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
+// null unless REACT_APP_DELIVERY_PROVIDER is set up; the final screen then only offers the QR codes
+const deliverySender = createDeliverySender();
+const delivery = deliverySender && createDeliveryService(deliverySender);
 
-// Initialize Supabase only if keys are present to prevent crashes during dev
-const supabase = createClient(supabaseUrl, supabaseKey);
+const captureSounds = createCaptureSounds();
 
-const SupabaseService = {
-  set: async (key, value) => {
-    if (!supabase) {
-      console.warn("Supabase not configured. Falling back to LocalStorage (QR codes won't work on other devices).");
-      localStorage.setItem(key, value);
-      return;
-    }
+const auth = createAuthProvider(supabase);
+const eventService = createEventService(supabase);
 
-    const data = JSON.parse(value);
-    
-    // 1. Upload image to Storage (saves DB space)
-    // Convert base64 to blob
-    const imageBlob = await (await fetch(data.image)).blob();
-    const ext = (data.isGif === true) ? 'gif' : 'png';
-    const filename = `${key}.${ext}`;
-
-    const { error: uploadError } = await supabase.storage
-      .from('photos')
-      .upload(filename, imageBlob, { upsert: true });
-      
-    if (uploadError) {
-      console.error("Supabase Upload Error:", uploadError);
-      if (uploadError.message && uploadError.message.includes("Bucket not found")) {
-        alert("SETUP REQUIRED: The 'photos' storage bucket is missing in Supabase. Please run the SQL setup script.");
-      }
-      throw uploadError;
-    }
+const DITHER_SETTINGS_KEY = 'thermaSnaps.ditherSettings';
+const PRINT_ENCODING_KEY = 'thermaSnaps.printEncoding';
+const PRINTER_PROFILE_KEY = 'thermaSnaps.printerProfile';
+const QUEUE_OFFLINE_KEY = 'thermaSnaps.queueReceiptsOffline';
+const OFFLINE_PRINT_NOTICE = 'The printer is offline. Your receipt will print as soon as it is back.';
+const NO_PRINTER_NOTICE = 'The printer is offline, so there\'s no receipt this time. Scan the QR code for your photos.';
+const PAUSED_PRINT_NOTICE = 'The printer needs a hand from the staff. Your receipt will print once it\'s sorted.';
 
-    // 2. Get Public URLs
-    const { data: urlData } = supabase.storage
-      .from('photos')
-      .getPublicUrl(filename);
-
-    // 3. Save Metadata to DB (storing the public URL instead of base64)
-    const meta = { ...data };
-    delete meta.image;
-    const { error: dbError } = await supabase
-      .from('photo_metadata')
-      .upsert({ key, value: { ...meta, image: urlData.publicUrl } });
-      
-    if (dbError) throw dbError;
-  },
-
-  get: async (key) => {
-    if (!supabase) {
-      const value = localStorage.getItem(key);
-      return value ? { value } : null;
-    }
+// createFramedImage lays out at 800px for 384 dots; wider paper scales up from there
+const FRAME_BASE_WIDTH = 800;
 
-    const { data, error } = await supabase
-      .from('photo_metadata')
-      .select('value')
-      .eq('key', key)
-      .single();
-      
-    if (error || !data) return null;
-    return { value: JSON.stringify(data.value) };
+const loadDitherSettings = () => {
+  try {
+    const saved = localStorage.getItem(DITHER_SETTINGS_KEY);
+    return saved ? { ...DEFAULT_DITHER_SETTINGS, ...JSON.parse(saved) } : DEFAULT_DITHER_SETTINGS;
+  } catch {
+    return DEFAULT_DITHER_SETTINGS;
   }
 };
 
-const storage = SupabaseService;
+// Links must work from any route, so they're built from the app root rather than the current path
+const downloadBaseUrl = () => `${window.location.origin}${process.env.PUBLIC_URL}/`;
+
+// Header indicator text/colour for the printer button
+const describePrinterStatus = ({ state, paper, error, attempt }, profile) => {
+  if (state === PRINTER_STATE.CONNECTING) return { label: 'Connecting...', color: '#c77d1a' };
+  if (state === PRINTER_STATE.RECONNECTING) return { label: `Reconnecting (${attempt})...`, color: '#c77d1a' };
+  if (state !== PRINTER_STATE.CONNECTED) return { label: 'Connect Printer', color: '#9d2222' };
+  if (paper === 'out') return { label: 'Out of paper', color: '#d32f2f' };
+  if (error) return { label: error, color: '#d32f2f' };
+  if (paper === 'near-end') return { label: 'Paper low', color: '#c77d1a' };
+  return { label: `Connected · ${profile.paperWidthMm}mm`, color: '#4CAF50' };
+};
 
+// The kiosk flow plus the operator screens under /admin. Stays mounted across those routes
+// so the printer connection and an in-progress session survive navigation
 const ThermaSnapsApp = () => {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [username, setUsername] = useState('');
+  const navigate = useNavigate();
+  const [session, setSession] = useState(null);
+  const [isAuthLoading, setIsAuthLoading] = useState(true);
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [currentScreen, setCurrentScreen] = useState('home');
-  const [selectedLayout, setSelectedLayout] = useState(null);
+  const [selectedLayout, setSelectedLayout] = useState(null); // layout template, see utils/layouts
   const [countdown, setCountdown] = useState(null);
   const [capturedImages, setCapturedImages] = useState([]);
   const [currentPhotoIndex, setCurrentPhotoIndex] = useState(0);
-  const [qrCodes, setQrCodes] = useState({ png: '' });
-  const [isPrinting, setIsPrinting] = useState(false);
-  const [printerConnected, setPrinterConnected] = useState(false);
-  const [showDownload, setShowDownload] = useState(false);
-  const [downloadData, setDownloadData] = useState(null);
+  const [qrCodes, setQrCodes] = useState({ png: '', gif: '' });
+  const [qrSettings, setQrSettings] = useState(loadQrSettings);
+  const [cameraSettings, setCameraSettings] = useState(loadCameraSettings);
+  const [cameraError, setCameraError] = useState(null);
+  const [animationMode, setAnimationMode] = useState('off');
+  const [selectedFilter, setSelectedFilter] = useState('none');
+  const [stickerPlacements, setStickerPlacements] = useState([]);
+  const [selectedStickerId, setSelectedStickerId] = useState(null);
+  const [stickerImages, setStickerImages] = useState({});
+  const [faceTracker, setFaceTracker] = useState(null);
+  const [faceTrackingState, setFaceTrackingState] = useState(null); // null | 'loading' | 'on'
+  const [isRecordingBurst, setIsRecordingBurst] = useState(false);
   const [printQuantity, setPrintQuantity] = useState(1);
+  const [printNotice, setPrintNotice] = useState(''); // shown on the final screen when the receipt is waiting
   const [isCountingDown, setIsCountingDown] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  const [retakeIndex, setRetakeIndex] = useState(null); // set while re-shooting one photo from the preview
+  const [flashKey, setFlashKey] = useState(0); // bumped per shot to replay the flash animation
   const [previewStep, setPreviewStep] = useState('review'); // 'review' | 'quantity'
-  const [isCheckingDownload, setIsCheckingDownload] = useState(() => {
-    return !!new URLSearchParams(window.location.search).get('download');
+  const [ditherSettings, setDitherSettings] = useState(loadDitherSettings);
+  const [printEncoding, setPrintEncoding] = useState(() => localStorage.getItem(PRINT_ENCODING_KEY) || 'raster');
+  const [printerProfileId, setPrinterProfileId] = useState(() => localStorage.getItem(PRINTER_PROFILE_KEY) || AUTO_PROFILE_ID);
+  // Off unless the operator turns it on: receipts for a printer that never connects would only pile up
+  const [queueReceiptsOffline, setQueueReceiptsOffline] = useState(() => localStorage.getItem(QUEUE_OFFLINE_KEY) === 'true');
+  const [activeProfile, setActiveProfile] = useState(() => {
+    const saved = localStorage.getItem(PRINTER_PROFILE_KEY);
+    return saved && saved !== AUTO_PROFILE_ID ? getProfile(saved) : DEFAULT_PROFILE;
   });
+  const [showThermalPreview, setShowThermalPreview] = useState(false);
+  const [thermalSource, setThermalSource] = useState(null);
+  const [event, setEvent] = useState(loadCachedEvent);
+  const [events, setEvents] = useState([]);
 
   const decorativePositions = {
     el1: { top: '-50px', left: '-50px', transform: 'rotate(45deg) scale(1.5)' },
@@ -256,7 +169,94 @@ const ThermaSnapsApp = () => {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
+  const animationRef = useRef(null); // promise of the encoded GIF data URL for this session
+  const sessionIdRef = useRef(null); // reserved at capture so the receipt QR matches the upload
+  const sessionMetadataRef = useRef(null);
+  const deliveriesRef = useRef([]); // consent records for this session's "send to me" messages
+  const facesRef = useRef([]); // latest tracked faces, in the current slot's coordinates
   const printerRef = useRef(null);
+  if (!printerRef.current) {
+    printerRef.current = new ThermalPrinter({
+      ditherSettings,
+      encoding: printEncoding,
+      profile: printerProfileId === AUTO_PROFILE_ID ? null : getProfile(printerProfileId)
+    });
+  }
+
+  const [printerStatus, setPrinterStatus] = useState(() => printerRef.current.status);
+  const printerConnected = printerStatus.state === PRINTER_STATE.CONNECTED;
+  const printerIndicator = describePrinterStatus(printerStatus, activeProfile);
+
+  useEffect(() => {
+    const printer = printerRef.current;
+    const unsubscribe = printer.onStatusChange((status) => {
+      setPrinterStatus(status);
+      if (status.state === PRINTER_STATE.CONNECTED) setActiveProfile(printer.profile);
+    });
+    printer.restoreLastDevice();
+    return unsubscribe;
+  }, []);
+
+  const printQueueRef = useRef(null);
+  if (!printQueueRef.current) {
+    printQueueRef.current = new PrintQueue({ getPrinter: () => printerRef.current });
+  }
+
+  const [queueState, setQueueState] = useState(() => printQueueRef.current.getState());
+  const [showPrintQueue, setShowPrintQueue] = useState(false);
+  const isPrinting = queueState.isProcessing;
+  const pendingJobCount = queueState.jobs.filter(job => job.status !== JOB_STATUS.DONE).length;
+
+  useEffect(() => {
+    const queue = printQueueRef.current;
+    const unsubscribe = queue.subscribe(setQueueState);
+    queue.restore();
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    // Pick up anything that was waiting for the printer to come back
+    if (printerConnected && !printQueueRef.current.isPaused) {
+      printQueueRef.current.process();
+    }
+  }, [printerConnected]);
+
+  const [uploadState, setUploadState] = useState(() => uploadQueue.getState());
+
+  useEffect(() => uploadQueue.subscribe(setUploadState), []);
+
+  // The event logo doubles as a sticker
+  useEffect(() => {
+    if (!event.logo) {
+      setStickerImages({});
+      return undefined;
+    }
+    let cancelled = false;
+    loadImage(event.logo)
+      .then((img) => {
+        if (!cancelled) setStickerImages({ [EVENT_LOGO_STICKER]: img });
+      })
+      .catch(error => console.error('Logo sticker failed to load:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [event.logo]);
+
+  // The face model is only fetched once an event with face tracking reaches the camera
+  const wantsFaceTracking = event.stickers && event.faceTracking && currentScreen === 'camera';
+  useEffect(() => {
+    if (!wantsFaceTracking || faceTracker) return;
+    setFaceTrackingState('loading');
+    getFaceTracker()
+      .then((tracker) => {
+        setFaceTracker(tracker);
+        setFaceTrackingState('on');
+      })
+      .catch((error) => {
+        console.error('Face tracking unavailable:', error);
+        setFaceTrackingState(null);
+      });
+  }, [wantsFaceTracking, faceTracker]);
 
   const setVideoRef = useCallback((node) => {
     videoRef.current = node;
@@ -266,21 +266,103 @@ const ThermaSnapsApp = () => {
     }
   }, []);
 
-  const handleLogin = () => {
-    if (username === 'admin123' && password === '040404') {
-      setIsAuthenticated(true);
-    } else {
+  const layouts = listLayouts(event.layouts);
+  const layoutTextValues = { eventName: event.name, date: formatEventDate(new Date(), event.dateFormat) };
+
+  const isAuthenticated = !!session;
+  const can = (permission) => hasPermission(session, permission);
+
+  useEffect(() => {
+    auth.getSession()
+      .then(setSession)
+      .catch((error) => console.error('Session restore failed:', error))
+      .finally(() => setIsAuthLoading(false));
+    return auth.onChange(setSession);
+  }, []);
+
+  useEffect(() => {
+    if (!session) return;
+    eventService.getActive()
+      .then((active) => {
+        if (!active) return;
+        setEvent(active);
+        cacheEvent(active);
+      })
+      .catch((error) => console.error('Event load failed, using cached config:', error));
+    if (hasPermission(session, PERMISSIONS.EDIT_SETTINGS)) {
+      eventService.list()
+        .then(setEvents)
+        .catch((error) => console.error('Event list failed:', error));
+    }
+  }, [session]);
+
+  const activateEvent = async (next) => {
+    await eventService.setActive(next.id);
+    setEvent(next);
+    cacheEvent(next);
+    setEvents(await eventService.list());
+  };
+
+  const handleSaveEvent = async (draft) => {
+    try {
+      await activateEvent(await eventService.save(draft));
+    } catch (error) {
+      console.error('Event save failed:', error);
+      alert('Could not save the event. Check your connection and try again.');
+    }
+  };
+
+  const handleSaveLayout = (layout) => handleSaveEvent({
+    ...event,
+    layouts: [...event.layouts.filter(existing => existing.id !== layout.id), layout]
+  });
+
+  const handleDeleteLayout = (id) => handleSaveEvent({
+    ...event,
+    layouts: event.layouts.filter(existing => existing.id !== id)
+  });
+
+  const renderLayoutPreview = async (layout, images) => {
+    const date = formatEventDate(new Date(), event.dateFormat);
+    return rasterizeForPreview(await createFramedImage(images, date, layout));
+  };
+
+  const handleSelectEvent = async (id) => {
+    const next = events.find(e => e.id === id);
+    if (!next) return;
+    try {
+      await activateEvent(next);
+    } catch (error) {
+      console.error('Event switch failed:', error);
+      alert('Could not switch events.');
+    }
+  };
+
+  const handleLogin = async () => {
+    try {
+      await auth.signIn({ email: email.trim(), password });
+      setPassword('');
+    } catch (error) {
+      console.error('Login failed:', error);
       alert('Invalid credentials');
     }
   };
 
+  const handleLogout = async () => {
+    try {
+      await auth.signOut();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
+    setCurrentScreen('home');
+    navigate('/');
+  };
+
   const connectPrinter = async () => {
+    if (printerStatus.state !== PRINTER_STATE.DISCONNECTED) return;
     try {
-      const printer = new ThermalPrinter();
-      await printer.connect();
-      printerRef.current = printer;
-      setPrinterConnected(true);
-      alert('MP-58A1 Printer connected!');
+      await printerRef.current.connect();
+      alert(`${printerRef.current.profile.label} printer connected!`);
     } catch (error) {
       if (error.name !== 'NotFoundError') {
         console.error("Printer connection error:", error);
@@ -289,137 +371,231 @@ const ThermaSnapsApp = () => {
     }
   };
 
-  const createFramedImage = async (images, date) => {
+  useEffect(() => {
+    localStorage.setItem(DITHER_SETTINGS_KEY, JSON.stringify(ditherSettings));
+    printerRef.current.setDitherSettings(ditherSettings);
+  }, [ditherSettings]);
+
+  useEffect(() => {
+    saveQrSettings(qrSettings);
+  }, [qrSettings]);
+
+  useEffect(() => {
+    saveCameraSettings(cameraSettings);
+  }, [cameraSettings]);
+
+  useEffect(() => {
+    localStorage.setItem(PRINT_ENCODING_KEY, printEncoding);
+    printerRef.current.setEncoding(printEncoding);
+  }, [printEncoding]);
+
+  useEffect(() => {
+    localStorage.setItem(QUEUE_OFFLINE_KEY, String(queueReceiptsOffline));
+  }, [queueReceiptsOffline]);
+
+  useEffect(() => {
+    localStorage.setItem(PRINTER_PROFILE_KEY, printerProfileId);
+    if (printerProfileId === AUTO_PROFILE_ID) {
+      // Keep whatever the connected printer was detected as
+      printerRef.current.setProfile(null);
+      return;
+    }
+    const profile = getProfile(printerProfileId);
+    printerRef.current.setProfile(profile);
+    setActiveProfile(profile);
+  }, [printerProfileId]);
+
+  const rasterizeForPreview = useCallback(
+    (imageDataUrl) => new ThermalPrinter({ ditherSettings, profile: activeProfile }).rasterize(imageDataUrl),
+    [ditherSettings, activeProfile]
+  );
+
+  // qrUrl adds a scannable download code (and qrLabel, a typeable link) under the footer
+  const createFramedImage = async (images, date, layout = selectedLayout, { qrUrl, qrLabel } = {}) => {
     const canvas = document.createElement('canvas');
-    const padding = 40;
-    const headerHeight = 310;
-    const imgHeight = selectedLayout === 1 ? 1000 : 500;
-    const gap = 40;
-    const footerHeight = 200;
+    const { padding, spacing } = layout;
+    const imgWidth = FRAME_BASE_WIDTH - (padding * 2);
+    const layoutHeight = layout.height * (imgWidth / layout.width);
+    const [title, ...headerLines] = event.headerLines;
+
+    const logo = event.logo ? await loadImage(event.logo) : null;
+    const logoHeight = logo ? Math.min(200, imgWidth * (logo.height / logo.width)) : 0;
+    const logoWidth = logo ? logoHeight * (logo.width / logo.height) : 0;
+
+    // Title baseline sits 100px down, every following line (and the date) 70-80px further
+    const headerHeight = (logo ? logoHeight + 30 : 0) + 100 + (headerLines.length * 70) + 80 + spacing.before;
+    const qrBlockHeight = qrUrl ? 40 + qrSettings.printSize + (qrLabel ? 60 : 0) : 0;
+    const footerHeight = spacing.after + (Math.max(event.footerLines.length, 1) - 1) * 70 + 70 + qrBlockHeight;
     
     // Calculate dynamic height to remove extra whitespace
-    const totalHeight = padding + headerHeight + (images.length * imgHeight) + ((images.length - 1) * gap) + footerHeight;
+    const totalHeight = padding + headerHeight + layoutHeight + footerHeight;
     
-    canvas.width = 800;
-    canvas.height = totalHeight;
+    // Draw in 800px layout units and let the profile decide the real output width
+    const scale = activeProfile.dotWidth / DEFAULT_PROFILE.dotWidth;
+    canvas.width = Math.round(FRAME_BASE_WIDTH * scale);
+    canvas.height = Math.round(totalHeight * scale);
     const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
     
     ctx.fillStyle = '#FFFFFF';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillRect(0, 0, FRAME_BASE_WIDTH, totalHeight);
     
+    // Shrink long custom lines until they fit the paper
+    const drawLine = (text, y, size, font, weight = '') => {
+      let fontSize = size;
+      do {
+        ctx.font = `${weight} ${fontSize}px "${font}", monospace`.trim();
+        fontSize -= 4;
+      } while (fontSize > 20 && ctx.measureText(text).width > imgWidth);
+      ctx.fillText(text, FRAME_BASE_WIDTH / 2, y);
+    };
+
+    let yPos = padding;
+    if (logo) {
+      ctx.drawImage(logo, (FRAME_BASE_WIDTH - logoWidth) / 2, yPos, logoWidth, logoHeight);
+      yPos += logoHeight + 30;
+    }
+
     ctx.fillStyle = '#000';
-    ctx.font = 'bold 150px "Computer Says No", monospace';
     ctx.textAlign = 'center';
-    ctx.fillText('Therma-Snaps', canvas.width / 2, padding + 100);
+    yPos += 100;
+    drawLine(title || '', yPos, 150, event.fonts.heading, 'bold');
     
-    ctx.font = '80px "Computer Says No", monospace';
-    ctx.fillText('Warm Memories on Receipts', canvas.width / 2, padding + 170);
+    headerLines.forEach((line) => {
+      yPos += 70;
+      drawLine(line, yPos, 80, event.fonts.body);
+    });
 
-    ctx.font = '80px "Computer Says No", monospace';
-    ctx.fillText(date, canvas.width / 2, padding + 250);
+    yPos += 80;
+    drawLine(date, yPos, 80, event.fonts.body);
     
-    let yPos = padding + 310;
-    const imgWidth = canvas.width - (padding * 2);
+    yPos += spacing.before;
+
+    const overlayNames = [...new Set(layout.overlays.map(overlay => overlay.image))];
+    const [photos, overlays] = await Promise.all([
+      Promise.all(images.map(src => loadImage(src))),
+      Promise.all(overlayNames.map(name => OVERLAY_IMAGES[name] ? loadImage(OVERLAY_IMAGES[name]) : null))
+    ]);
+
+    drawLayout(ctx, layout, {
+      left: padding,
+      top: yPos,
+      width: imgWidth,
+      images: photos,
+      overlayImages: Object.fromEntries(overlayNames.map((name, idx) => [name, overlays[idx]])),
+      fonts: event.fonts,
+      textValues: { eventName: event.name, date }
+    });
+    yPos += layoutHeight;
     
-    for (let i = 0; i < images.length; i++) {
-      const img = new Image();
-      await new Promise((resolve) => {
-        img.onload = resolve;
-        img.src = images[i];
+    yPos += spacing.after;
+    ctx.fillStyle = '#000';
+    ctx.textAlign = 'center';
+    event.footerLines.forEach((line, idx) => {
+      drawLine(line, yPos + idx * 70, 80, event.fonts.body);
+    });
+
+    if (qrUrl) {
+      const qrTop = yPos + (Math.max(event.footerLines.length, 1) - 1) * 70 + 40;
+      drawQrCode(ctx, qrUrl, {
+        x: (FRAME_BASE_WIDTH - qrSettings.printSize) / 2,
+        y: qrTop,
+        size: qrSettings.printSize,
+        errorCorrectionLevel: qrSettings.errorCorrectionLevel,
+        // The canvas is resampled to the printer's width, so snap modules to its dots rather than canvas pixels
+        pixelScale: activeProfile.dotWidth / FRAME_BASE_WIDTH
       });
-      
-      // Calculate cropping to match object-fit: cover
-      const sourceAspect = img.width / img.height;
-      const targetAspect = imgWidth / imgHeight;
-      
-      let sx = 0, sy = 0, sWidth = img.width, sHeight = img.height;
-      
-      if (sourceAspect > targetAspect) {
-        // Source is wider, crop sides
-        sWidth = img.height * targetAspect;
-        sx = (img.width - sWidth) / 2;
-      } else {
-        // Source is taller, crop top/bottom
-        sHeight = img.width / targetAspect;
-        sy = (img.height - sHeight) / 2;
+      if (qrLabel) {
+        ctx.fillStyle = '#000';
+        drawLine(qrLabel, qrTop + qrSettings.printSize + 45, 36, 'Space Mono');
       }
-      
-      ctx.drawImage(img, sx, sy, sWidth, sHeight, padding, yPos, imgWidth, imgHeight);
-      
-      if (i < images.length - 1) yPos += imgHeight + 40;
-      else yPos += imgHeight;
     }
     
-    yPos += 60;
-    ctx.font = '80px "Computer Says No", monospace';
-    ctx.fillText('***', canvas.width / 2, yPos);
-    ctx.fillText('Thanks for the warm moments', canvas.width / 2, yPos + 70);
-    
     return canvas.toDataURL('image/png');
   };
 
-  const printReceipt = async () => {
-    if (!printerRef.current) {
-      alert('Please connect printer first');
+  // The strip exactly as it prints, so the thermal preview matches the paper
+  const createReceiptImage = (date) => {
+    // The short link is less dense than the full one, so it scans better off thermal paper
+    const shortUrl = qrSettings.printOnReceipt && sessionIdRef.current
+      ? buildShortUrl(downloadBaseUrl(), sessionIdRef.current)
+      : '';
+    return createFramedImage(capturedImages, date, selectedLayout, {
+      qrUrl: shortUrl,
+      qrLabel: shortUrl && formatShortUrl(shortUrl)
+    });
+  };
+
+  const queueReceipt = async (copies) => {
+    const date = formatEventDate(new Date(), event.dateFormat);
+    const receiptImage = await createReceiptImage(date);
+    printQueueRef.current.enqueue(receiptImage, { copies, label: `Strip ${date}` });
+  };
+
+  // Receipts wait for an offline printer only if the operator allows it; the guest is told whenever theirs won't
+  // come out straight away
+  const printOrQueueReceipt = async (copies) => {
+    if (!printerConnected && !queueReceiptsOffline) {
+      setPrintNotice(NO_PRINTER_NOTICE);
       return;
     }
+    await queueReceipt(copies);
+    if (!printerConnected) setPrintNotice(OFFLINE_PRINT_NOTICE);
+    else setPrintNotice(printQueueRef.current.isPaused ? PAUSED_PRINT_NOTICE : '');
+  };
 
-    setIsPrinting(true);
+  const printReceipt = async () => {
     try {
-      const date = new Date().toLocaleDateString('en-US', { 
-        month: '2-digit', 
-        day: '2-digit', 
-        year: '2-digit' 
-      });
-      
-      const receiptImage = await createFramedImage(capturedImages, date, true);
-      await printerRef.current.printImage(receiptImage);
-      
-      alert('Print successful!');
+      await printOrQueueReceipt(1);
     } catch (error) {
       console.error('Print error:', error);
       alert('Print failed. Please try again.');
-    } finally {
-      setIsPrinting(false);
     }
   };
 
+  // Stored strips are already framed receipts, so they go to the queue as they are
+  const handleReprint = async (gallerySession) => {
+    if (!printerConnected) throw new Error('Connect the printer first.');
+    const response = await fetch(gallerySession.image);
+    if (!response.ok) throw new Error(`Could not load the strip (${response.status})`);
+    const image = await blobToDataUrl(await response.blob());
+    printQueueRef.current.enqueue(image, { label: `Reprint ${gallerySession.date}` });
+  };
+
   const handleContinue = async () => {
-    if (printerConnected && printerRef.current) {
-      setIsPrinting(true);
-      try {
-        const date = new Date().toLocaleDateString('en-US', { 
-          month: '2-digit', 
-          day: '2-digit', 
-          year: '2-digit' 
-        });
-        const receiptImage = await createFramedImage(capturedImages, date, true);
-        
-        for (let i = 0; i < printQuantity; i++) {
-           await printerRef.current.printImage(receiptImage);
-           await new Promise(r => setTimeout(r, 3000));
-        }
-      } catch (e) {
-        console.error(e);
-      } finally {
-        setIsPrinting(false);
-      }
+    try {
+      // The queue prints in the background; failures show up in the operator's queue panel
+      await printOrQueueReceipt(printQuantity);
+    } catch (e) {
+      console.error(e);
     }
     setCurrentScreen('final');
   };
 
+  // Resolves false if no camera could be opened; the camera screen then shows why instead of counting down
   const startCamera = async () => {
+    setCameraError(null);
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { facingMode: 'user', width: 1920, height: 1080 } 
+      const { stream, attempt, fallback } = await openCamera(cameraSettings, {
+        onFallback: (error, step) => console.warn(`Camera at ${step.label} failed:`, error.name || error)
       });
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-        streamRef.current = stream;
-      }
+      if (fallback) console.warn(`Camera opened at ${attempt} instead of the configured mode`);
+      streamRef.current = stream;
+      if (videoRef.current) videoRef.current.srcObject = stream;
+      return true;
     } catch (err) {
       console.error('Camera error:', err);
-      alert('Unable to access camera');
+      setCameraError(err.message);
+      setIsCountingDown(false);
+      setCountdown(null);
+      return false;
+    }
+  };
+
+  const retryCamera = async () => {
+    if (await startCamera()) {
+      setCountdown(event.countdownSeconds);
+      setIsCountingDown(true);
     }
   };
 
@@ -437,18 +613,56 @@ const ThermaSnapsApp = () => {
     if (canvasRef.current && videoRef.current) {
       const canvas = canvasRef.current;
       const video = videoRef.current;
-      canvas.width = video.videoWidth;
-      canvas.height = video.videoHeight;
-      const ctx = canvas.getContext('2d');
-      ctx.drawImage(video, 0, 0);
+      if (!video.videoWidth) return null;
+      const { width, height } = orientedSize(video.videoWidth, video.videoHeight, cameraSettings.rotation);
+      canvas.width = width;
+      canvas.height = height;
+      drawOrientedFrame(canvas.getContext('2d'), video, video.videoWidth, video.videoHeight, outputOrientation(cameraSettings));
+      applyFilterToCanvas(canvas, selectedFilter);
+      // Stickers go on after the filter so they keep their colours, placed in the part of the frame the slot shows
+      if (event.stickers && stickerPlacements.length) {
+        const slot = selectedLayout.slots[currentPhotoIndex];
+        drawStickers(
+          canvas.getContext('2d'),
+          resolvePlacements(stickerPlacements, facesRef.current),
+          coverCrop(width, height, slot.width, slot.height),
+          { images: stickerImages }
+        );
+      }
       return canvas.toDataURL('image/png');
     }
     return null;
   };
 
+  // A retaken photo replaces just its slot, then the guest goes back to the preview
+  const storeShot = (photo) => {
+    if (retakeIndex === null) {
+      setCapturedImages(prev => [...prev, photo]);
+      return;
+    }
+    setCapturedImages(prev => prev.map((image, idx) => (idx === retakeIndex ? photo : image)));
+    setRetakeIndex(null);
+    setTimeout(() => {
+      stopCamera();
+      setCountdown(null);
+      setCurrentScreen('preview');
+    }, event.shotDelaySeconds * 1000);
+  };
+
+  const retakeShot = (idx) => {
+    captureSounds.unlock();
+    setRetakeIndex(idx);
+    setCurrentPhotoIndex(idx);
+    setCountdown(null);
+    setIsCountingDown(false);
+    setIsPaused(false);
+    setCurrentScreen('camera');
+  };
+
   useEffect(() => {
     let interval;
-    if (isCountingDown && countdown > 0) {
+    if (isCountingDown && !isPaused && countdown > 0) {
+      if (event.countdownBeep) captureSounds.beep(countdown);
       interval = setInterval(() => {
         setCountdown(prev => prev - 1);
       }, 1000);
@@ -456,100 +670,157 @@ const ThermaSnapsApp = () => {
       setIsCountingDown(false);
       const photo = takePhoto();
       if (photo) {
-        setCapturedImages(prev => [...prev, photo]);
+        if (event.shutterSound) captureSounds.shutter();
+        if (event.flash) setFlashKey(prev => prev + 1);
+        storeShot(photo);
       }
     }
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isCountingDown, countdown]);
+  }, [isCountingDown, countdown, isPaused]);
 
   useEffect(() => {
     if (currentScreen === 'camera') {
-      if (capturedImages.length === 0 && !isCountingDown && countdown === null) {
-        setCountdown(5);
+      if (retakeIndex !== null) {
+        if (!isCountingDown && countdown === null) {
+          setCountdown(event.countdownSeconds);
+          setIsCountingDown(true);
+        }
+      } else if (capturedImages.length === 0 && !isCountingDown && countdown === null) {
+        setCountdown(event.countdownSeconds);
         setIsCountingDown(true);
-      } else if (capturedImages.length > 0 && capturedImages.length < selectedLayout) {
+      } else if (capturedImages.length > 0 && capturedImages.length < selectedLayout.slots.length) {
         setCurrentPhotoIndex(capturedImages.length);
         setTimeout(() => {
-          setCountdown(5);
+          setCountdown(event.countdownSeconds);
           setIsCountingDown(true);
-        }, 1000);
-      } else if (capturedImages.length === selectedLayout) {
-        stopCamera();
-        setCurrentScreen('preview');
+        }, event.shotDelaySeconds * 1000);
+      } else if (capturedImages.length === selectedLayout.slots.length) {
+        finishCapture();
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [capturedImages.length, currentScreen, selectedLayout]);
 
-  const generateQRCodes = async () => {
-    const timestamp = Date.now();
-    const currentDate = new Date().toLocaleDateString('en-US', { 
-      month: '2-digit', 
-      day: '2-digit', 
-      year: '2-digit' 
-    });
-    
-    const pngData = await createFramedImage(capturedImages, currentDate, false);
-    
-    const expiryDate = new Date();
-    expiryDate.setDate(expiryDate.getDate() + 3);
-    
+  const recordAnimation = async () => {
+    const slot = selectedLayout.slots[currentPhotoIndex];
+    setIsRecordingBurst(true);
     try {
-      await storage.set(`photo_png_${timestamp}`, JSON.stringify({
-        image: pngData,
-        date: currentDate,
-        expiry: expiryDate.toISOString(),
-        isGif: false
-      }));
-
-      // Only generate QR code if storage was successful
-      const baseUrl = window.location.origin + window.location.pathname;
-      const pngUrl = `${baseUrl}?download=png&id=${timestamp}`;
-      
-      setQrCodes({ 
-        png: `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(pngUrl)}`
+      const frames = await captureBurst(videoRef.current, {
+        aspectRatio: slot.width / slot.height,
+        orientation: outputOrientation(cameraSettings)
       });
-
+      frames.forEach(frame => applyFilterToImageData(frame, selectedFilter));
+      // Encode in the background while the guest reviews the strip
+      animationRef.current = encodeGif(sequenceFrames(frames, animationMode), { delayMs: BURST_SETTINGS.intervalMs })
+        .then(blobToDataUrl)
+        .catch((error) => {
+          console.error('GIF encoding failed:', error);
+          return null;
+        });
     } catch (error) {
-      console.error('Storage error:', error);
-      alert("Failed to save photo. " + (error.message || "Check internet/Supabase config."));
+      console.error('GIF capture failed:', error);
+    } finally {
+      setIsRecordingBurst(false);
     }
   };
 
-  useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const downloadType = params.get('download');
-    const downloadId = params.get('id');
+  // Offline the check can't reach storage; the id space is big enough that skipping it there is safe
+  const isSessionIdTaken = async (id) => {
+    const key = stripKey(id);
+    if (uploadQueue.isPending(key)) return true;
+    try {
+      return !!(await storage.get(key));
+    } catch {
+      return false;
+    }
+  };
+
+  const finishCapture = async () => {
+    animationRef.current = null;
+    // Reserve the download id while the burst records; printing and uploading both use it
+    const reservation = reserveSessionId(isSessionIdTaken).catch((error) => {
+      console.error('Session id check failed:', error);
+      return createSessionId();
+    });
+    if (animationMode !== 'off' && videoRef.current) {
+      await recordAnimation();
+    }
+    sessionIdRef.current = await reservation;
+    stopCamera();
+    setCurrentScreen('preview');
+  };
+
+  const generateQRCodes = async () => {
+    setQrCodes({ png: '', gif: '' });
+    const sessionId = sessionIdRef.current || createSessionId();
+    sessionIdRef.current = sessionId;
+    deliveriesRef.current = [];
+    const currentDate = formatEventDate(new Date(), event.dateFormat);
+    
+    const pngData = await createFramedImage(capturedImages, currentDate);
     
-    if (downloadType && downloadId) {
-      loadDownloadPage(downloadType, downloadId);
+    const metadata = {
+      date: currentDate,
+      takenAt: new Date().toISOString(),
+      filter: selectedFilter,
+      ...sessionExpiry(event),
+      event: { id: event.id, name: event.name, colors: event.colors }
+    };
+    sessionMetadataRef.current = metadata;
+    const baseUrl = downloadBaseUrl();
+    
+    // Saved on this device first; the upload queue syncs it whenever there's a connection,
+    // and the QR links start resolving as soon as that happens
+    await uploadQueue.enqueue(stripKey(sessionId), JSON.stringify({
+      ...metadata,
+      image: pngData,
+      isGif: false,
+      frameCount: capturedImages.length
+    }));
+    const pngQr = await createQrDataUrl(buildDownloadUrl(baseUrl, 'png', sessionId), qrSettings);
+    setQrCodes(prev => ({ ...prev, png: pngQr }));
+
+    // The original shots for the guest gallery, queued after the strip so the QR link works first
+    for (const [idx, frame] of capturedImages.entries()) {
+      await uploadQueue.enqueue(frameKey(sessionId, idx + 1), JSON.stringify({ ...metadata, image: frame, isGif: false }));
     }
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
 
-  const loadDownloadPage = async (type, id) => {
-    try {
-      const key = `photo_${type}_${id}`;
-      const result = await storage.get(key);
-      
-      if (result) {
-        const data = JSON.parse(result.value);
-        
-        if (new Date(data.expiry) < new Date()) {
-          setDownloadData({ expired: true });
-        } else {
-          setDownloadData({ ...data, type });
-        }
-        setShowDownload(true);
-      }
-    } catch (error) {
-      console.error('Failed to load photo:', error);
-    } finally {
-      setIsCheckingDownload(false);
+    const gifData = animationRef.current && await animationRef.current;
+    if (!gifData) return;
+    await uploadQueue.enqueue(gifKey(sessionId), JSON.stringify({ ...metadata, image: gifData, isGif: true }));
+    const gifQr = await createQrDataUrl(buildDownloadUrl(baseUrl, 'gif', sessionId), qrSettings);
+    setQrCodes(prev => ({ ...prev, gif: gifQr }));
+  };
+
+  // Consent goes on the strip's metadata. A strip that hasn't synced yet is re-queued with it instead
+  const recordDelivery = async (sessionId, record) => {
+    deliveriesRef.current = [...deliveriesRef.current, record];
+    const key = stripKey(sessionId);
+    const pending = uploadQueue.get(key);
+    if (pending) {
+      await uploadQueue.enqueue(key, JSON.stringify({ ...JSON.parse(pending), deliveries: deliveriesRef.current }));
+    } else {
+      await storage.update(key, { deliveries: deliveriesRef.current });
     }
   };
 
+  const sendToGuest = async (channel, to, consent) => {
+    const sessionId = sessionIdRef.current;
+    const metadata = sessionMetadataRef.current;
+    if (!sessionId || !metadata) throw new Error('Your photo is still being saved. Try again in a moment.');
+    const record = await delivery.send({
+      sessionId,
+      channel,
+      to,
+      url: buildShortUrl(downloadBaseUrl(), sessionId),
+      eventName: metadata.event.name,
+      expiry: metadata.expiry,
+      consent
+    });
+    await recordDelivery(sessionId, record).catch(error => console.warn('Delivery consent not recorded:', error));
+  };
+
   useEffect(() => {
     if (currentScreen === 'camera' && !streamRef.current) {
       startCamera();
@@ -562,6 +833,13 @@ const ThermaSnapsApp = () => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentScreen]);
 
+  useEffect(() => {
+    if (currentScreen !== 'preview' || !showThermalPreview) return;
+    const date = formatEventDate(new Date(), event.dateFormat);
+    createReceiptImage(date).then(setThermalSource);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentScreen, showThermalPreview, capturedImages, activeProfile, qrSettings.printOnReceipt]);
+
   useEffect(() => {
     if (currentScreen === 'final') {
       generateQRCodes();
@@ -573,13 +851,13 @@ const ThermaSnapsApp = () => {
     width: '768px',
     height: '1024px',
     margin: '0 auto',
-    backgroundColor: '#3e000c',
+    backgroundColor: event.colors.background,
     fontFamily: "'Space Mono', monospace",
     position: 'relative',
     overflow: 'hidden',
   };
 
-  if (isCheckingDownload) {
+  if (isAuthLoading) {
     return (
       <div style={{
         width: '100vw',
@@ -594,175 +872,6 @@ const ThermaSnapsApp = () => {
     );
   }
 
-  if (showDownload && downloadData) {
-    if (downloadData.expired) {
-      return (
-        <div style={{
-          width: '100vw',
-          height: '100vh',
-          backgroundColor: '#3e000c',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          flexDirection: 'column',
-          padding: '40px'
-        }}>
-          <h1 style={{
-            fontFamily: "'Playfair Display', serif",
-            fontSize: '48px',
-            color: '#ffd482',
-            marginBottom: '20px'
-          }}>
-            QR Code Expired
-          </h1>
-          <p style={{
-            fontFamily: "'Space Mono', monospace",
-            fontSize: '18px',
-            color: '#ffecd1',
-            textAlign: 'center'
-          }}>
-            This download link has expired after 3 days.<br/>
-            Please take a new photo at Therma-Snaps!
-          </p>
-        </div>
-      );
-    }
-
-    return (
-      <div style={{
-        width: '100vw',
-        minHeight: '100vh',
-        backgroundColor: '#3e000c',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        flexDirection: 'column', 
-        padding: '40px'
-      }}>
-        <div style={{
-          marginBottom: '40px',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '15px'
-        }}>
-          <div style={{
-            width: '50px',
-            height: '50px',
-            clipPath: 'polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%)',
-            backgroundColor: '#9d2222'
-          }} />
-          <h1 style={{
-            fontFamily: "'Farmhand Serif', serif",
-            fontSize: '48px',
-            color: '#ffd482'
-          }}>
-            DOWNLOAD
-          </h1>
-        </div>
-
-        <div style={{
-          maxWidth: '800px',
-          backgroundColor: '#ffecd1',
-          padding: '20px',
-          boxShadow: '10px 10px 0 rgba(0,0,0,0.3)',
-          display: 'flex',
-          justifyContent: 'center'
-        }}>
-          <img 
-            src={downloadData.image} 
-            alt="Your Therma-Snap"
-            style={{
-              width: '400px',
-              display: 'block'
-            }}
-          />
-        </div>
-
-        <button
-          onClick={() => {
-            const link = document.createElement('a');
-            link.href = downloadData.image;
-            link.download = `therma-snaps-${downloadData.date}.${downloadData.type}`;
-            link.click();
-          }}
-          style={{
-            marginTop: '40px',
-            padding: '20px 60px',
-            fontSize: '28px',
-            fontFamily: "'Imbue', serif",
-            fontStyle: 'italic',
-            backgroundColor: '#ffd482',
-            color: '#3e000c',
-            border: 'none',
-            cursor: 'pointer',
-            fontWeight: '600'
-          }}
-        >
-          Download {downloadData.type?.toUpperCase()}
-        </button>
-
-        <p style={{
-          fontFamily: "'Space Mono', monospace",
-          fontSize: '14px',
-          color: '#ffd482',
-          marginTop: '30px'
-        }}>
-          Expires: {new Date(downloadData.expiry).toLocaleDateString()}
-        </p>
-      </div>
-    );
-  }
-
-  const params = new URLSearchParams(window.location.search);
-  if (params.get('download') && !isAuthenticated) {
-    return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        backgroundColor: '#3e000c',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        flexDirection: 'column',
-        padding: '40px'
-      }}>
-        <h1 style={{
-          fontFamily: "'Farmhand Serif', serif",
-          fontSize: '48px',
-          color: '#ffd482',
-          marginBottom: '20px',
-          textAlign: 'center'
-        }}>
-          Photo Not Found
-        </h1>
-        <p style={{
-          fontFamily: "'Space Mono', monospace",
-          fontSize: '18px',
-          color: '#ffecd1',
-          textAlign: 'center'
-        }}>
-          The photo you are looking for could not be found.<br/>
-          It may have expired or was taken on a different device.
-        </p>
-        <button
-          onClick={() => window.location.href = window.location.origin + window.location.pathname}
-          style={{
-            marginTop: '40px',
-            padding: '15px 40px',
-            fontSize: '24px',
-            fontFamily: "'Space Mono', monospace",
-            backgroundColor: '#9d2222',
-            color: '#ffecd1',
-            border: 'none',
-            cursor: 'pointer'
-          }}
-        >
-          Go to Home
-        </button>
-      </div>
-    );
-  }
-
   if (!isAuthenticated) {
     return (
       <div style={containerStyle}>
@@ -791,7 +900,7 @@ const ThermaSnapsApp = () => {
             marginBottom: '60px',
             zIndex: 10
           }}>
-            Admin Login
+            Operator Login
           </p>
           
           <div style={{
@@ -803,10 +912,11 @@ const ThermaSnapsApp = () => {
             zIndex: 10
           }}>
             <input
-              type="text"
-              placeholder="Username"
-              value={username}
-              onChange={(e) => setUsername(e.target.value)}
+              type="email"
+              placeholder="Email"
+              autoComplete="username"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
               onKeyPress={(e) => e.key === 'Enter' && handleLogin()}
               style={{
                 padding: '15px',
@@ -820,6 +930,7 @@ const ThermaSnapsApp = () => {
             <input
               type="password"
               placeholder="Password"
+              autoComplete="current-password"
               value={password}
               onChange={(e) => setPassword(e.target.value)}
               onKeyPress={(e) => e.key === 'Enter' && handleLogin()}
@@ -853,256 +964,393 @@ const ThermaSnapsApp = () => {
     );
   }
 
-  if (currentScreen === 'home') {
-    return (
-      <div style={containerStyle}>
-        <img src={element2Img} alt="" style={{ position: 'absolute', bottom: '50px', right: '50px', width: '250px', opacity: 0.8, zIndex: 0 }} />
-        
-        <div style={{ 
-          display: 'flex', 
-          flexDirection: 'column', 
-          alignItems: 'center', 
-          justifyContent: 'flex-start', 
-          height: '100%',
-          padding: '100px 40px 40px 40px',
-          position: 'relative',
-          zIndex: 10
-        }} className="fade-in">
-          <div style={{
-            position: 'absolute',
-            top: '20px',
-            right: '20px',
-            display: 'flex',
-            gap: '15px'
-          }}>
+  // Each screen is rendered by its route in App; the kiosk flow is the catch-all and keeps its own screen state
+  const renderKiosk = () => {
+    if (currentScreen === 'home') {
+      return (
+        <div style={containerStyle}>
+          {showPrintQueue && (
+            <PrintQueuePanel
+              queueState={queueState}
+              onRetry={(id) => printQueueRef.current.retry(id)}
+              onReprint={(id) => printQueueRef.current.reprint(id)}
+              onRemove={(id) => printQueueRef.current.remove(id)}
+              onResume={() => printQueueRef.current.resume()}
+              onClearFinished={() => printQueueRef.current.clearFinished()}
+              onClose={() => setShowPrintQueue(false)}
+            />
+          )}
+          <img src={element2Img} alt="" style={{ position: 'absolute', bottom: '50px', right: '50px', width: '250px', opacity: 0.8, zIndex: 0 }} />
+          
+          <div style={{ 
+            display: 'flex', 
+            flexDirection: 'column', 
+            alignItems: 'center', 
+            justifyContent: 'flex-start', 
+            height: '100%',
+            padding: '100px 40px 40px 40px',
+            position: 'relative',
+            zIndex: 10
+          }} className="fade-in">
+            <div style={{
+              position: 'absolute',
+              top: '20px',
+              right: '20px',
+              display: 'flex',
+              gap: '15px'
+            }}>
+              {uploadState.pendingCount > 0 && (
+                <div
+                  title={uploadState.lastError || 'Uploading sessions'}
+                  style={{
+                    padding: '12px 16px',
+                    backgroundColor: uploadState.lastError ? '#c77d1a' : 'rgba(0,0,0,0.4)',
+                    color: '#ffecd1',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    fontFamily: "'Space Mono', monospace",
+                    fontSize: '14px'
+                  }}
+                >
+                  {uploadState.lastError ? <CloudOff size={18} /> : <CloudUpload size={18} />}
+                  {uploadState.pendingCount} to sync
+                </div>
+              )}
+              {can(PERMISSIONS.MANAGE_PRINTER) && (
+                <>
+                  <button
+                    onClick={connectPrinter}
+                    style={{
+                      padding: '12px 20px',
+                      backgroundColor: printerIndicator.color,
+                      color: '#ffecd1',
+                      border: 'none',
+                      cursor: 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                      fontFamily: "'Space Mono', monospace",
+                      fontSize: '14px'
+                    }}
+                  >
+                    {printerConnected ? <Wifi size={18} /> : <Printer size={18} />}
+                    {printerIndicator.label}
+                  </button>
+                  <button
+                    onClick={() => setShowPrintQueue(true)}
+                    style={{
+                      padding: '12px 20px',
+                      backgroundColor: queueState.isPaused ? '#ff6b6b' : '#9d2222',
+                      color: '#ffecd1',
+                      border: 'none',
+                      cursor: 'pointer',
+                      fontFamily: "'Space Mono', monospace",
+                      fontSize: '14px'
+                    }}
+                  >
+                    Queue{pendingJobCount > 0 ? ` (${pendingJobCount})` : ''}
+                  </button>
+                </>
+              )}
+            </div>
+
+            <div style={{
+              position: 'absolute',
+              top: '20px',
+              left: '20px',
+              display: 'flex',
+              gap: '15px'
+            }}>
+              {can(PERMISSIONS.VIEW_GALLERY) && (
+                <button
+                  onClick={() => navigate('/admin/gallery')}
+                  style={{
+                    padding: '12px 20px',
+                    backgroundColor: 'transparent',
+                    color: '#ffecd1',
+                    border: '1px solid #ffecd1',
+                    cursor: 'pointer',
+                    fontFamily: "'Space Mono', monospace",
+                    fontSize: '14px'
+                  }}
+                >
+                  Gallery
+                </button>
+              )}
+              {can(PERMISSIONS.EDIT_SETTINGS) && (
+                <button
+                  onClick={() => navigate('/admin')}
+                  style={{
+                    padding: '12px 20px',
+                    backgroundColor: 'transparent',
+                    color: '#ffecd1',
+                    border: '1px solid #ffecd1',
+                    cursor: 'pointer',
+                    fontFamily: "'Space Mono', monospace",
+                    fontSize: '14px'
+                  }}
+                >
+                  Settings
+                </button>
+              )}
+              <button
+                onClick={handleLogout}
+                title={session.user.email}
+                style={{
+                  padding: '12px 20px',
+                  backgroundColor: 'transparent',
+                  color: '#ffecd1',
+                  border: 'none',
+                  cursor: 'pointer',
+                  fontFamily: "'Space Mono', monospace",
+                  fontSize: '14px',
+                  textDecoration: 'underline'
+                }}
+              >
+                Logout
+              </button>
+            </div>
+            
+            <img 
+              src={logoImg} 
+              alt="Therma-Snaps" 
+              style={{ width: '650px', marginBottom: '10px', marginLeft: '-30px' }} 
+            />
+            
+            <p style={{
+              fontFamily: "'Space Mono', monospace",
+              fontSize: '20px',
+              color: '#ffecd1',
+              position: 'absolute',
+              top: '330px',
+              width: '100%',
+              textAlign: 'center',
+              zIndex: 20,
+              margin: 0
+            }}>
+              Warm Memories on Receipts
+            </p>
+            
+            <img 
+              src={homeHeroImg} 
+              alt="Therma-Snaps Examples" 
+              style={{ width: '450px', marginBottom: '-100px', marginTop: '-180px' }} 
+            />
+            
             <button
-              onClick={connectPrinter}
+              onClick={() => {
+                setSelectedFilter('none');
+                setPrintNotice('');
+                setStickerPlacements([]);
+                setSelectedStickerId(null);
+                setCurrentScreen('layout');
+              }}
               style={{
-                padding: '12px 20px',
-                backgroundColor: printerConnected ? '#4CAF50' : '#9d2222',
+                padding: '20px',
+                fontSize: '64px',
+                fontFamily: "'Imbue', serif",
+                backgroundColor: 'transparent',
                 color: '#ffecd1',
                 border: 'none',
                 cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '8px',
-                fontFamily: "'Space Mono', monospace",
-                fontSize: '14px'
               }}
             >
-              {printerConnected ? <Wifi size={18} /> : <Printer size={18} />}
-              {printerConnected ? 'Connected' : 'Connect Printer'}
+              START
             </button>
           </div>
-          
-          <img 
-            src={logoImg} 
-            alt="Therma-Snaps" 
-            style={{ width: '650px', marginBottom: '10px', marginLeft: '-30px' }} 
-          />
-          
-          <p style={{
-            fontFamily: "'Space Mono', monospace",
-            fontSize: '20px',
-            color: '#ffecd1',
-            position: 'absolute',
-            top: '330px',
-            width: '100%',
-            textAlign: 'center',
-            zIndex: 20,
-            margin: 0
-          }}>
-            Warm Memories on Receipts
-          </p>
-          
-          <img 
-            src={homeHeroImg} 
-            alt="Therma-Snaps Examples" 
-            style={{ width: '450px', marginBottom: '-100px', marginTop: '-180px' }} 
-          />
-          
-          <button
-            onClick={() => setCurrentScreen('layout')}
-            style={{
-              padding: '20px',
-              fontSize: '64px',
-              fontFamily: "'Imbue', serif",
-              backgroundColor: 'transparent',
-              color: '#ffecd1',
-              border: 'none',
-              cursor: 'pointer',
-            }}
-          >
-            START
-          </button>
         </div>
-      </div>
-    );
-  }
+      );
+    }
 
-  if (currentScreen === 'layout') {
-    return (
-      <div style={containerStyle}>
-        <img src={element1Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el1 }} />
-        <img src={element2Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el2 }} />
-        
-        <div style={{ 
-          display: 'flex', 
-          flexDirection: 'column', 
-          alignItems: 'center', 
-          padding: '60px 40px',
-          height: '100%',
-          position: 'relative',
-          zIndex: 10
-        }} className="fade-in">
-          <div style={{
-            position: 'absolute',
-            top: '60px',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '15px'
-          }}>
-             <img src={logoImg} alt="Therma-Snaps" style={{ width: '150px' }} />
-          </div>
-          
-          <h2 style={{ 
-            fontFamily: "'Farmhand Serif', serif",
-            fontSize: '72px',
-            color: '#ffd482',
-            textAlign: 'center',
-            marginTop: '140px',
-            marginBottom: '100px',
-            letterSpacing: '2px',
-            fontWeight: '700'
-          }}>
-            CHOOSE LAYOUT
-          </h2>
+    if (currentScreen === 'layout') {
+      return (
+        <div style={containerStyle}>
+          <PhotoFilterDefs />
+          <img src={element1Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el1 }} />
+          <img src={element2Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el2 }} />
           
-          <div style={{
-            display: 'flex',
-            gap: '60px',
-            justifyContent: 'center'
-          }}>
-            <div
-              onClick={() => {
-                setSelectedLayout(1);
-                setCapturedImages([]);
-                setCurrentPhotoIndex(0);
-                setCountdown(null);
-                setPreviewStep('review');
-                setCurrentScreen('camera');
-              }}
-              style={{
-                width: '280px',
-                height: '400px',
-                backgroundColor: '#ffecd1',
-                padding: '30px',
-                cursor: 'pointer',
-                transition: 'transform 0.2s',
-                border: '5px solid transparent'
-              }}
-              onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.05)'}
-              onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1)'}
-            >
-              <div style={{
-                width: '100%',
-                height: '100%',
-                backgroundColor: '#9d2222'
-              }} />
+          <div style={{ 
+            display: 'flex', 
+            flexDirection: 'column', 
+            alignItems: 'center', 
+            padding: '60px 40px',
+            height: '100%',
+            position: 'relative',
+            zIndex: 10
+          }} className="fade-in">
+            <div style={{
+              position: 'absolute',
+              top: '60px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '15px'
+            }}>
+               <img src={logoImg} alt="Therma-Snaps" style={{ width: '150px' }} />
             </div>
             
-            <div
-              onClick={() => {
-                setSelectedLayout(2);
-                setCapturedImages([]);
-                setCurrentPhotoIndex(0);
-                setCountdown(null);
-                setPreviewStep('review');
-                setCurrentScreen('camera');
-              }}
-              style={{
-                width: '280px',
-                height: '400px',
-                backgroundColor: '#ffecd1',
-                padding: '30px',
-                cursor: 'pointer',
-                transition: 'transform 0.2s',
-                border: '5px solid transparent',
-                display: 'flex',
-                flexDirection: 'column',
-                gap: '20px'
-              }}
-              onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.05)'}
-              onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1)'}
-            >
-              <div style={{
-                flex: 1,
-                backgroundColor: '#9d2222'
-              }} />
-              <div style={{
-                flex: 1,
-                backgroundColor: '#9d2222'
-              }} />
+            <h2 style={{ 
+              fontFamily: "'Farmhand Serif', serif",
+              fontSize: '72px',
+              color: '#ffd482',
+              textAlign: 'center',
+              marginTop: '130px',
+              marginBottom: '40px',
+              letterSpacing: '2px',
+              fontWeight: '700'
+            }}>
+              CHOOSE LAYOUT
+            </h2>
+            
+            <div style={{
+              display: 'flex',
+              flexWrap: 'wrap',
+              gap: '30px',
+              justifyContent: 'center'
+            }}>
+              {layouts.map(layout => (
+                <div
+                  key={layout.id}
+                  onClick={() => {
+                    captureSounds.unlock();
+                    setSelectedLayout(layout);
+                    setCapturedImages([]);
+                    setCurrentPhotoIndex(0);
+                    setCountdown(null);
+                    setPreviewStep('review');
+                    setCurrentScreen('camera');
+                  }}
+                  style={{
+                    width: '190px',
+                    height: '270px',
+                    backgroundColor: '#ffecd1',
+                    padding: '20px',
+                    cursor: 'pointer',
+                    transition: 'transform 0.2s',
+                    border: '5px solid transparent',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    justifyContent: 'space-between',
+                    alignItems: 'center'
+                  }}
+                  onMouseEnter={(e) => e.currentTarget.style.transform = 'scale(1.05)'}
+                  onMouseLeave={(e) => e.currentTarget.style.transform = 'scale(1)'}
+                >
+                  <StripLayout
+                    template={layout}
+                    maxWidth={140}
+                    maxHeight={180}
+                    overlayImages={OVERLAY_IMAGES}
+                    fonts={event.fonts}
+                    textValues={layoutTextValues}
+                    renderSlot={() => <div style={{ width: '100%', height: '100%', backgroundColor: '#9d2222' }} />}
+                  />
+                  <span style={{
+                    fontFamily: "'Space Mono', monospace",
+                    fontSize: '16px',
+                    color: '#3e000c'
+                  }}>
+                    {layout.label}
+                  </span>
+                </div>
+              ))}
             </div>
-          </div>
-        </div>
-      </div>
-    );
-  }
 
-  if (currentScreen === 'camera') {
-    return (
-      <div style={containerStyle}>
-        <div style={{ 
-          display: 'flex',
-          flexDirection: 'column', 
-          alignItems: 'center',
-          justifyContent: 'center',
-          height: '100%',
-          padding: '0px',
-          position: 'relative'
-        }} className="fade-in">
-          <div style={{
-            width: '400px',
-            backgroundColor: '#FFFFFF',
-            padding: '40px',
-            display: 'flex',
-            flexDirection: 'column',
-            boxShadow: '10px 10px 0 rgba(0,0,0,0.3)',
-            alignItems: 'center'
-          }}>
             <div style={{
-              fontFamily: "'Computer Says No', monospace",
-              fontSize: '42px',
-              fontWeight: 'bold',
-              marginBottom: '15px',
-              textAlign: 'center'
+              display: 'flex',
+              gap: '15px',
+              marginTop: '30px'
             }}>
-              Therma-Snaps<br/>
-              <span style={{ fontSize: '28px' }}>Warm Memories on Receipts</span><br/>
-              {new Date().toLocaleDateString('en-US', { 
-                month: '2-digit', 
-                day: '2-digit', 
-                year: '2-digit' 
-              })}
+              {ANIMATION_MODES.map(mode => (
+                <button
+                  key={mode.id}
+                  onClick={() => setAnimationMode(mode.id)}
+                  style={{
+                    padding: '10px 24px',
+                    fontSize: '18px',
+                    fontFamily: "'Space Mono', monospace",
+                    backgroundColor: animationMode === mode.id ? '#ffd482' : 'transparent',
+                    color: animationMode === mode.id ? '#3e000c' : '#ffecd1',
+                    border: '2px solid #ffd482',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {mode.label}
+                </button>
+              ))}
             </div>
-            
+
             <div style={{
+              display: 'flex',
+              gap: '15px',
+              marginTop: '30px'
+            }}>
+              {PHOTO_FILTERS.map(filter => (
+                <button
+                  key={filter.id}
+                  onClick={() => setSelectedFilter(filter.id)}
+                  style={{
+                    display: 'flex',
+                    flexDirection: 'column',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '8px',
+                    fontSize: '14px',
+                    fontFamily: "'Space Mono', monospace",
+                    backgroundColor: selectedFilter === filter.id ? '#ffd482' : 'transparent',
+                    color: selectedFilter === filter.id ? '#3e000c' : '#ffecd1',
+                    border: '2px solid #ffd482',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <img
+                    src={homeHeroImg}
+                    alt=""
+                    style={{ width: '80px', height: '60px', objectFit: 'cover', backgroundColor: '#ffecd1', filter: filterCss(filter.id) }}
+                  />
+                  {filter.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      );
+    }
+
+    if (currentScreen === 'camera') {
+      return (
+        <div style={containerStyle}>
+          <PhotoFilterDefs />
+          <div style={{ 
+            display: 'flex',
+            flexDirection: 'column', 
+            alignItems: 'center',
+            justifyContent: 'center',
+            height: '100%',
+            padding: '0px',
+            position: 'relative'
+          }} className="fade-in">
+            <div style={{
+              width: '400px',
+              backgroundColor: '#FFFFFF',
+              padding: '40px',
               display: 'flex',
               flexDirection: 'column',
-              gap: selectedLayout === 2 ? '20px' : '0',
-              width: '100%'
+              boxShadow: '10px 10px 0 rgba(0,0,0,0.3)',
+              alignItems: 'center'
             }}>
-              {Array.from({ length: selectedLayout }).map((_, idx) => (
-                <div key={idx} style={{
-                  width: '100%',
-                  height: selectedLayout === 2 ? '270px' : '570px',
-                  border: '3px solid #3e000c',
-                  position: 'relative',
-                  backgroundColor: '#ddd',
-                  overflow: 'hidden'
-                }}>
-                  {capturedImages[idx] ? (
+              <ReceiptHeader event={event} titleSize="42px" lineSize="28px" />
+              
+              <StripLayout
+                template={selectedLayout}
+                maxWidth={320}
+                maxHeight={560}
+                overlayImages={OVERLAY_IMAGES}
+                fonts={event.fonts}
+                textValues={layoutTextValues}
+                slotStyle={{ border: '3px solid #3e000c', backgroundColor: '#ddd' }}
+                renderSlot={(idx) => (
+                  (capturedImages[idx] && idx !== retakeIndex && !(isRecordingBurst && idx === currentPhotoIndex)) ? (
                     <img 
                       src={capturedImages[idx]} 
                       alt={`Capture ${idx + 1}`}
@@ -1114,18 +1362,47 @@ const ThermaSnapsApp = () => {
                     />
                   ) : idx === currentPhotoIndex && (
                     <>
-                      <video
-                        ref={setVideoRef}
-                        autoPlay
-                        playsInline
-                        muted
-                        style={{
-                          width: '100%',
-                          height: '100%',
-                          objectFit: 'cover'
-                        }}
-                      />
-                      {countdown !== null && (
+                      <div style={{ position: 'absolute', inset: 0, overflow: 'hidden', containerType: 'size' }}>
+                        <video
+                          ref={setVideoRef}
+                          autoPlay
+                          playsInline
+                          muted
+                          style={{ ...previewVideoStyle(cameraSettings), filter: filterCss(selectedFilter) }}
+                        />
+                      </div>
+                      {event.stickers && !isRecordingBurst && (
+                        <StickerOverlay
+                          videoRef={videoRef}
+                          facesRef={facesRef}
+                          tracker={event.faceTracking ? faceTracker : null}
+                          placements={stickerPlacements}
+                          onChange={setStickerPlacements}
+                          selectedId={selectedStickerId}
+                          onSelect={setSelectedStickerId}
+                          images={stickerImages}
+                          orientation={outputOrientation(cameraSettings)}
+                          slotAspect={selectedLayout.slots[idx].width / selectedLayout.slots[idx].height}
+                          flip={cameraSettings.mirrorPreview !== cameraSettings.mirrorOutput}
+                        />
+                      )}
+                      {isRecordingBurst ? (
+                        <div style={{
+                          position: 'absolute',
+                          top: '10px',
+                          left: '50%',
+                          transform: 'translateX(-50%)',
+                          fontSize: '28px',
+                          fontFamily: "'Computer Says No', monospace",
+                          color: '#ffecd1',
+                          backgroundColor: '#9d2222',
+                          padding: '4px 12px',
+                          whiteSpace: 'nowrap',
+                          zIndex: 20
+                        }}>
+                          ● Now move!
+                        </div>
+                      ) : countdown !== null && (
                         <div style={{
                           position: 'absolute',
                           top: '50%',
@@ -1138,323 +1415,510 @@ const ThermaSnapsApp = () => {
                           fontWeight: 'bold',
                           zIndex: 20
                         }}>
-                          {countdown}
+                          {isPaused ? 'II' : countdown}
                         </div>
                       )}
                     </>
-                  )}
-                </div>
-              ))}
-            </div>
-            
-            <div style={{
-              fontFamily: "'Computer Says No', monospace",
-              fontSize: '32px',
-              textAlign: 'center',
-              marginTop: '20px'
-            }}>
-              ***<br/>
-              Thanks for the warm moments
+                  )
+                )}
+              />
+              
+              <ReceiptFooter event={event} fontSize="32px" />
             </div>
-          </div>
-
-          <canvas ref={canvasRef} style={{ display: 'none' }} />
-          
-          <div style={{
-            marginTop: '20px',
-            fontFamily: "'Space Mono', monospace",
-            fontSize: '18px',
-            color: '#ffecd1',
-            backgroundColor: 'rgba(0,0,0,0.6)',
-            padding: '15px 25px'
-          }}>
-            Photo {currentPhotoIndex + 1} of {selectedLayout}
-          </div>
-        </div>
-      </div>
-    );
-  }
 
-  if (currentScreen === 'preview') {
-    return (
-      <div style={containerStyle}>
-        <div style={{ 
-          display: 'flex', 
-          flexDirection: 'column', 
-          alignItems: 'center', 
-          justifyContent: 'center',
-          height: '100%',
-          padding: '50px 0',
-          position: 'relative'
-        }} className="fade-in">
-          
-          {previewStep === 'review' ? (
-            <h2 style={{
-              fontFamily: "'Computer Says No', monospace",
-              fontSize: '64px',
-              color: '#ffd482',
-              margin: '0 0 30px 0',
-              textAlign: 'center',
-              zIndex: 20
-            }}>
-              How'd you look?
-            </h2>
-          ) : (
-            <h2 style={{
-              fontFamily: "'Computer Says No', monospace",
-              fontSize: '48px',
-              color: '#ffd482',
-              margin: '0 0 30px 0',
-              textAlign: 'center',
-              zIndex: 20
-            }}>
-              Choose how many prints
-            </h2>
-          )}
-
-          <div style={{
-            width: '340px',
-            backgroundColor: '#FFFFFF',
-            padding: '40px',
-            display: 'flex',
-            flexDirection: 'column',
-            boxShadow: '10px 10px 0 rgba(0,0,0,0.3)'
-          }}>
-            <div style={{
-              fontFamily: "'Computer Says No', monospace",
-              fontSize: '36px',
-              marginBottom: '20px',
-              textAlign: 'center'
-            }}>
-              Therma-Snaps<br/>
-              <span style={{ fontSize: '28px' }}>Warm Memories on Receipts</span><br/>
-              {new Date().toLocaleDateString('en-US', { 
-                month: '2-digit', 
-                day: '2-digit', 
-                year: '2-digit' 
-              })}
-            </div>
+            <canvas ref={canvasRef} style={{ display: 'none' }} />
             
             <div style={{
-              display: 'flex',
-              flexDirection: 'column',
-              gap: selectedLayout === 2 ? '20px' : '0'
-            }}>
-              {capturedImages.map((img, idx) => (
-                <img
-                  key={idx}
-                  src={img}
-                  alt={`Capture ${idx + 1}`}
-                  style={{
-                    width: '100%',
-                    height: selectedLayout === 2 ? '230px' : '480px',
-                    objectFit: 'cover',
-                    border: '3px solid #3e000c'
-                  }}
-                />
-              ))}
-            </div>
-            
-            <div style={{
-              fontFamily: "'Computer Says No', monospace",
-              fontSize: '28px',
-              textAlign: 'center',
-              marginTop: '20px'
+              marginTop: '20px',
+              fontFamily: "'Space Mono', monospace",
+              fontSize: '18px',
+              color: '#ffecd1',
+              backgroundColor: 'rgba(0,0,0,0.6)',
+              padding: '15px 25px'
             }}>
-              ***<br/>
-              Thanks for the warm moments
-            </div>
-          </div>
-          
-          {previewStep === 'review' ? (
-            <div style={{ marginTop: '40px' }}>
-              <div style={{
-                display: 'flex',
-                gap: '40px',
-                alignItems: 'center'
-              }}>
+              {isRecordingBurst
+                ? `Recording ${ANIMATION_MODES.find(mode => mode.id === animationMode).label}...`
+                : `${retakeIndex !== null ? 'Retaking photo' : 'Photo'} ${currentPhotoIndex + 1} of ${selectedLayout.slots.length}`}
+              {isCountingDown && (
                 <button
-                  onClick={() => {
-                    setCapturedImages([]);
-                    setCurrentPhotoIndex(0);
-                    setCountdown(null);
-                    setPreviewStep('review');
-                    setCurrentScreen('camera');
-                  }}
+                  onClick={() => setIsPaused(!isPaused)}
                   style={{
-                    fontSize: '48px',
-                    fontFamily: "'Computer Says No', monospace",
-                    backgroundColor: 'transparent',
+                    marginLeft: '20px',
+                    padding: '6px 16px',
+                    fontFamily: "'Space Mono', monospace",
+                    fontSize: '16px',
+                    backgroundColor: isPaused ? '#4CAF50' : '#9d2222',
                     color: '#ffecd1',
                     border: 'none',
                     cursor: 'pointer'
                   }}
                 >
-                  Retake
-                </button>
-                
-                <button
-                  onClick={() => setPreviewStep('quantity')}
-                  style={{
-                    fontSize: '48px',
-                    fontFamily: "'Computer Says No', monospace",
-                    backgroundColor: 'transparent',
-                    color: '#ffd482',
-                    border: 'none',
-                    cursor: 'pointer'
-                  }}
-                >
-                  Continue
+                  {isPaused ? 'Resume' : 'Pause'}
                 </button>
-              </div>
+              )}
             </div>
-          ) : (
-            <div style={{ marginTop: '40px', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+
+            {event.stickers && !isRecordingBurst && (
+              <StickerTray
+                stickers={availableStickers(stickerImages)}
+                images={stickerImages}
+                onAdd={(stickerId) => {
+                  const next = addSticker(stickerPlacements, stickerId, facesRef.current);
+                  setStickerPlacements(next);
+                  setSelectedStickerId(next[next.length - 1].id);
+                }}
+                selectedId={selectedStickerId}
+                onResize={(factor) => setStickerPlacements(stickerPlacements.map(placement => (
+                  placement.id === selectedStickerId ? resizeSticker(placement, factor) : placement
+                )))}
+                onRemove={() => {
+                  setStickerPlacements(stickerPlacements.filter(placement => placement.id !== selectedStickerId));
+                  setSelectedStickerId(null);
+                }}
+                onClear={() => {
+                  setStickerPlacements([]);
+                  setSelectedStickerId(null);
+                }}
+                canClear={stickerPlacements.length > 0}
+                tracking={event.faceTracking ? faceTrackingState : null}
+              />
+            )}
+
+            {flashKey > 0 && (
+              <div key={flashKey} className="capture-flash" style={{
+                position: 'fixed',
+                inset: 0,
+                backgroundColor: '#ffffff',
+                pointerEvents: 'none',
+                zIndex: 50
+              }} />
+            )}
+
+            {cameraError && (
               <div style={{
+                position: 'absolute',
+                inset: 0,
+                backgroundColor: 'rgba(62, 0, 12, 0.95)',
                 display: 'flex',
+                flexDirection: 'column',
                 alignItems: 'center',
-                gap: '20px',
-                marginBottom: '40px'
+                justifyContent: 'center',
+                gap: '30px',
+                padding: '40px',
+                zIndex: 40
               }}>
-                <button 
-                  onClick={() => setPrintQuantity(Math.max(1, printQuantity - 1))}
-                  style={{
-                    width: '70px', height: '70px', borderRadius: '50%', fontSize: '32px', cursor: 'pointer',
-                    backgroundColor: '#9d2222', color: '#ffecd1', border: 'none', display: 'flex', alignItems: 'center', justifyContent: 'center'
-                  }}
-                >-</button>
-                <span style={{ fontSize: '48px', fontFamily: "'Space Mono', monospace", minWidth: '60px', textAlign: 'center', color: '#ffecd1' }}>{printQuantity}</span>
-                <button 
-                  onClick={() => setPrintQuantity(Math.min(5, printQuantity + 1))}
-                  style={{
-                    width: '70px', height: '70px', borderRadius: '50%', fontSize: '32px', cursor: 'pointer',
-                    backgroundColor: '#9d2222', color: '#ffecd1', border: 'none', display: 'flex', alignItems: 'center', justifyContent: 'center'
-                  }}
-                >+</button>
+                <h2 style={{ fontFamily: "'Farmhand Serif', serif", fontSize: '56px', color: '#ffd482', margin: 0 }}>
+                  CAMERA UNAVAILABLE
+                </h2>
+                <p style={{ fontFamily: "'Space Mono', monospace", fontSize: '20px', color: '#ffecd1', maxWidth: '600px', textAlign: 'center', margin: 0 }}>
+                  {cameraError}
+                </p>
+                <div style={{ display: 'flex', gap: '20px' }}>
+                  <button
+                    onClick={retryCamera}
+                    style={{ padding: '15px 40px', fontSize: '20px', fontFamily: "'Space Mono', monospace", backgroundColor: '#4CAF50', color: '#ffecd1', border: 'none', cursor: 'pointer' }}
+                  >
+                    Try Again
+                  </button>
+                  <button
+                    onClick={() => {
+                      setCameraError(null);
+                      setRetakeIndex(null);
+                      setIsPaused(false);
+                      setCapturedImages([]);
+                      setSelectedLayout(null);
+                      setCountdown(null);
+                      setCurrentScreen('home');
+                    }}
+                    style={{ padding: '15px 40px', fontSize: '20px', fontFamily: "'Space Mono', monospace", backgroundColor: '#9d2222', color: '#ffecd1', border: 'none', cursor: 'pointer' }}
+                  >
+                    Back to Home
+                  </button>
+                </div>
               </div>
-              
+            )}
+          </div>
+        </div>
+      );
+    }
+
+    if (currentScreen === 'preview') {
+      return (
+        <div style={containerStyle}>
+          <div style={{ 
+            display: 'flex', 
+            flexDirection: 'column', 
+            alignItems: 'center', 
+            justifyContent: 'center',
+            height: '100%',
+            padding: '50px 0',
+            position: 'relative'
+          }} className="fade-in">
+            
+            {previewStep === 'review' ? (
+              <h2 style={{
+                fontFamily: "'Computer Says No', monospace",
+                fontSize: '64px',
+                color: '#ffd482',
+                margin: '0 0 30px 0',
+                textAlign: 'center',
+                zIndex: 20
+              }}>
+                How'd you look?
+              </h2>
+            ) : (
+              <h2 style={{
+                fontFamily: "'Computer Says No', monospace",
+                fontSize: '48px',
+                color: '#ffd482',
+                margin: '0 0 30px 0',
+                textAlign: 'center',
+                zIndex: 20
+              }}>
+                Choose how many prints
+              </h2>
+            )}
+
+            {can(PERMISSIONS.EDIT_SETTINGS) && (
               <button
-                onClick={handleContinue}
+                onClick={() => setShowThermalPreview(!showThermalPreview)}
                 style={{
-                  fontSize: '64px',
-                  fontFamily: "'Computer Says No', monospace",
-                  backgroundColor: 'transparent',
-                  color: '#ffd482',
+                  position: 'absolute',
+                  top: '20px',
+                  right: '20px',
+                  padding: '10px 16px',
+                  fontFamily: "'Space Mono', monospace",
+                  fontSize: '14px',
+                  backgroundColor: showThermalPreview ? '#ffd482' : '#9d2222',
+                  color: showThermalPreview ? '#3e000c' : '#ffecd1',
                   border: 'none',
-                  cursor: 'pointer'
+                  cursor: 'pointer',
+                  zIndex: 30
                 }}
               >
-                {isPrinting ? 'Printing...' : 'Print'}
+                {showThermalPreview ? 'Receipt View' : 'Thermal View'}
               </button>
-            </div>
-          )}
-        </div>
-      </div>
-    );
-  }
+            )}
 
-  if (currentScreen === 'final') {
-    return (
-      <div style={containerStyle}>
-        <img src={element1Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el1 }} />
-        <img src={element2Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el2 }} />
-        
-        <div style={{ 
-          display: 'flex', 
-          flexDirection: 'column', 
-          alignItems: 'center', 
-          padding: '60px 40px',
-          height: '100%',
-          position: 'relative',
-          zIndex: 10
-        }} className="fade-in">
-          <div style={{
-            position: 'absolute',
-            top: '60px',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '15px'
-          }}>
-            <img src={logoImg} alt="Therma-Snaps" style={{ width: '150px' }} />
+            {showThermalPreview && can(PERMISSIONS.EDIT_SETTINGS) ? (
+              <ThermalPreviewPanel
+                sourceImage={thermalSource}
+                settings={ditherSettings}
+                onSettingsChange={setDitherSettings}
+                encoding={printEncoding}
+                onEncodingChange={setPrintEncoding}
+                rasterize={rasterizeForPreview}
+              />
+            ) : (
+              <div style={{
+                width: '340px',
+                backgroundColor: '#FFFFFF',
+                padding: '40px',
+                display: 'flex',
+                flexDirection: 'column',
+                boxShadow: '10px 10px 0 rgba(0,0,0,0.3)'
+              }}>
+                <ReceiptHeader event={event} titleSize="36px" lineSize="28px" />
+                
+                <StripLayout
+                  template={selectedLayout}
+                  maxWidth={260}
+                  maxHeight={460}
+                  overlayImages={OVERLAY_IMAGES}
+                  fonts={event.fonts}
+                  textValues={layoutTextValues}
+                  slotStyle={{ border: '3px solid #3e000c' }}
+                  renderSlot={(idx) => (
+                    <>
+                      <img
+                        src={capturedImages[idx]}
+                        alt={`Capture ${idx + 1}`}
+                        style={{
+                          width: '100%',
+                          height: '100%',
+                          objectFit: 'cover'
+                        }}
+                      />
+                      {previewStep === 'review' && selectedLayout.slots.length > 1 && (
+                        <button
+                          onClick={() => retakeShot(idx)}
+                          style={{
+                            position: 'absolute',
+                            bottom: '6px',
+                            right: '6px',
+                            padding: '4px 8px',
+                            fontFamily: "'Space Mono', monospace",
+                            fontSize: '12px',
+                            backgroundColor: 'rgba(62, 0, 12, 0.85)',
+                            color: '#ffecd1',
+                            border: 'none',
+                            cursor: 'pointer',
+                            zIndex: 6 // above the layout's decorative overlays
+                          }}
+                        >
+                          ↻ Retake
+                        </button>
+                      )}
+                    </>
+                  )}
+                />
+                
+                <ReceiptFooter event={event} fontSize="28px" />
+              </div>
+            )}
+            
+            {previewStep === 'review' ? (
+              <div style={{ marginTop: '40px' }}>
+                <div style={{
+                  display: 'flex',
+                  gap: '40px',
+                  alignItems: 'center'
+                }}>
+                  <button
+                    onClick={() => {
+                      captureSounds.unlock();
+                      setCapturedImages([]);
+                      setCurrentPhotoIndex(0);
+                      setCountdown(null);
+                      setPreviewStep('review');
+                      setCurrentScreen('camera');
+                    }}
+                    style={{
+                      fontSize: '48px',
+                      fontFamily: "'Computer Says No', monospace",
+                      backgroundColor: 'transparent',
+                      color: '#ffecd1',
+                      border: 'none',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {selectedLayout.slots.length > 1 ? 'Retake all' : 'Retake'}
+                  </button>
+                  
+                  <button
+                    onClick={() => setPreviewStep('quantity')}
+                    style={{
+                      fontSize: '48px',
+                      fontFamily: "'Computer Says No', monospace",
+                      backgroundColor: 'transparent',
+                      color: '#ffd482',
+                      border: 'none',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    Continue
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div style={{ marginTop: '40px', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+                <div style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '20px',
+                  marginBottom: '40px'
+                }}>
+                  <button 
+                    onClick={() => setPrintQuantity(Math.max(1, printQuantity - 1))}
+                    style={{
+                      width: '70px', height: '70px', borderRadius: '50%', fontSize: '32px', cursor: 'pointer',
+                      backgroundColor: '#9d2222', color: '#ffecd1', border: 'none', display: 'flex', alignItems: 'center', justifyContent: 'center'
+                    }}
+                  >-</button>
+                  <span style={{ fontSize: '48px', fontFamily: "'Space Mono', monospace", minWidth: '60px', textAlign: 'center', color: '#ffecd1' }}>{printQuantity}</span>
+                  <button 
+                    onClick={() => setPrintQuantity(Math.min(event.maxPrints, printQuantity + 1))}
+                    style={{
+                      width: '70px', height: '70px', borderRadius: '50%', fontSize: '32px', cursor: 'pointer',
+                      backgroundColor: '#9d2222', color: '#ffecd1', border: 'none', display: 'flex', alignItems: 'center', justifyContent: 'center'
+                    }}
+                  >+</button>
+                </div>
+                
+                <button
+                  onClick={handleContinue}
+                  style={{
+                    fontSize: '64px',
+                    fontFamily: "'Computer Says No', monospace",
+                    backgroundColor: 'transparent',
+                    color: '#ffd482',
+                    border: 'none',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {isPrinting ? 'Printing...' : 'Print'}
+                </button>
+              </div>
+            )}
           </div>
+        </div>
+      );
+    }
+
+    if (currentScreen === 'final') {
+      return (
+        <div style={containerStyle}>
+          <img src={element1Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el1 }} />
+          <img src={element2Img} alt="" style={{ position: 'absolute', width: '300px', opacity: 0.6, zIndex: 0, ...decorativePositions.el2 }} />
           
-          <h2 style={{ 
-            fontFamily: "'Farmhand Serif', serif",
-            fontSize: '64px',
-            color: '#ffd482',
-            textAlign: 'center',
-            marginTop: '100px',
-            marginBottom: '20px',
-            letterSpacing: '2px',
-            fontWeight: '700'
-          }}>
-            COME AGAIN
-          </h2>
-          
-          <p style={{
-            fontFamily: "'Space Mono', monospace",
-            fontSize: '18px',
-            color: '#ffecd1',
-            marginBottom: '40px',
-            textAlign: 'center'
-          }}>
-            Scan this QR code to save<br/>your moment digitally
-          </p>
-          
-          <div style={{
-            display: 'flex',
-            gap: '60px',
-            justifyContent: 'center',
-            marginBottom: '30px'
-          }}>
+          <div style={{ 
+            display: 'flex', 
+            flexDirection: 'column', 
+            alignItems: 'center', 
+            padding: '60px 40px',
+            height: '100%',
+            position: 'relative',
+            zIndex: 10
+          }} className="fade-in">
             <div style={{
+              position: 'absolute',
+              top: '60px',
               display: 'flex',
-              flexDirection: 'column',
               alignItems: 'center',
               gap: '15px'
+            }}>
+              <img src={logoImg} alt="Therma-Snaps" style={{ width: '150px' }} />
+            </div>
+            
+            <h2 style={{ 
+              fontFamily: "'Farmhand Serif', serif",
+              fontSize: '64px',
+              color: '#ffd482',
+              textAlign: 'center',
+              marginTop: '100px',
+              marginBottom: '20px',
+              letterSpacing: '2px',
+              fontWeight: '700'
+            }}>
+              COME AGAIN
+            </h2>
+            
+            <p style={{
+              fontFamily: "'Space Mono', monospace",
+              fontSize: '18px',
+              color: '#ffecd1',
+              marginBottom: '40px',
+              textAlign: 'center'
+            }}>
+              Scan {animationMode === 'off' ? 'this QR code' : 'these QR codes'} to save<br/>your moment digitally
+            </p>
+            
+            <div style={{
+              display: 'flex',
+              gap: '60px',
+              justifyContent: 'center',
+              marginBottom: '30px'
             }}>
               <div style={{
-                width: '200px',
-                height: '200px',
-                backgroundColor: '#ffecd1',
-                padding: '15px',
                 display: 'flex',
+                flexDirection: 'column',
                 alignItems: 'center',
-                justifyContent: 'center'
+                gap: '15px'
               }}>
-                {qrCodes.png ? (
-                  <img src={qrCodes.png} alt="PNG QR" style={{ width: '100%', height: '100%' }} />
-                ) : (
-                  <div style={{ fontSize: '14px' }}>Generating...</div>
-                )}
+                <div style={{
+                  width: '200px',
+                  height: '200px',
+                  backgroundColor: '#ffecd1',
+                  padding: '15px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center'
+                }}>
+                  {qrCodes.png ? (
+                    <img src={qrCodes.png} alt="PNG QR" style={{ width: '100%', height: '100%' }} />
+                  ) : (
+                    <div style={{ fontSize: '14px' }}>Generating...</div>
+                  )}
+                </div>
+                <span style={{
+                  fontFamily: "'Farmhand Serif', serif",
+                  fontSize: '28px',
+                  color: '#ffecd1',
+                  fontWeight: 'bold'
+                }}>
+                  PNG
+                </span>
               </div>
-              <span style={{
-                fontFamily: "'Farmhand Serif', serif",
-                fontSize: '28px',
+
+              {animationMode !== 'off' && (
+                <div style={{
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  gap: '15px'
+                }}>
+                  <div style={{
+                    width: '200px',
+                    height: '200px',
+                    backgroundColor: '#ffecd1',
+                    padding: '15px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center'
+                  }}>
+                    {qrCodes.gif ? (
+                      <img src={qrCodes.gif} alt="GIF QR" style={{ width: '100%', height: '100%' }} />
+                    ) : (
+                      <div style={{ fontSize: '14px' }}>Encoding...</div>
+                    )}
+                  </div>
+                  <span style={{
+                    fontFamily: "'Farmhand Serif', serif",
+                    fontSize: '28px',
+                    color: '#ffecd1',
+                    fontWeight: 'bold'
+                  }}>
+                    {animationMode === 'boomerang' ? 'BOOMERANG' : 'GIF'}
+                  </span>
+                </div>
+              )}
+            </div>
+            
+            <p style={{
+              fontFamily: "'Space Mono', monospace",
+              fontSize: '14px',
+              color: '#ffd482',
+              marginBottom: '25px',
+              textAlign: 'center'
+            }}>
+              ⚠ Scan within {event.linkExpiryDays} day{event.linkExpiryDays === 1 ? '' : 's'} before QR codes expire
+            </p>
+
+            {uploadState.items.some(item => item.id.endsWith(`_${sessionIdRef.current}`)) && (
+              <p style={{
+                fontFamily: "'Space Mono', monospace",
+                fontSize: '13px',
                 color: '#ffecd1',
-                fontWeight: 'bold'
+                opacity: 0.8,
+                marginTop: '-15px',
+                marginBottom: '25px',
+                textAlign: 'center'
               }}>
-                PNG
-              </span>
-            </div>
+                Saved on the booth. Your link will work as soon as it finishes uploading.
+              </p>
+            )}
+
+            {printNotice && (
+              <p style={{
+                fontFamily: "'Space Mono', monospace",
+                fontSize: '16px',
+                color: '#ffd482',
+                marginTop: '-10px',
+                marginBottom: '25px',
+                textAlign: 'center'
+              }}>
+                {printNotice}
+              </p>
+            )}
+
+            {delivery && qrCodes.png && (
+              <SendToMePanel key={sessionIdRef.current} channels={delivery.channels} onSend={sendToGuest} />
+            )}
             
-          </div>
-          
-          <p style={{
-            fontFamily: "'Space Mono', monospace",
-            fontSize: '14px',
-            color: '#ffd482',
-            marginBottom: '25px',
-            textAlign: 'center'
-          }}>
-            ⚠ Scan within 3 days before QR codes expire
-          </p>
-          
-          <div style={{
-            display: 'flex',
-            gap: '20px'
-          }}>
-            {printerConnected && (
+            <div style={{
+              display: 'flex',
+              gap: '20px'
+            }}>
               <button
                 onClick={printReceipt}
                 disabled={isPrinting}
@@ -1474,35 +1938,211 @@ const ThermaSnapsApp = () => {
                 <Printer size={20} />
                 {isPrinting ? 'Printing...' : 'Print Receipt'}
               </button>
-            )}
-            
-            <button
-              onClick={() => {
-                setCapturedImages([]);
-                setSelectedLayout(null);
-                setCountdown(null);
-                setPreviewStep('review');
-                setCurrentScreen('home');
-              }}
-              style={{
-                padding: '15px 40px',
-                fontSize: '20px',
-                fontFamily: "'Space Mono', monospace",
-                backgroundColor: '#9d2222',
-                color: '#ffecd1',
-                border: 'none',
-                cursor: 'pointer'
-              }}
-            >
-              Back to Home
-            </button>
+              
+              <button
+                onClick={() => {
+                  setCapturedImages([]);
+                  setSelectedLayout(null);
+                  setCountdown(null);
+                  setPreviewStep('review');
+                  setCurrentScreen('home');
+                }}
+                style={{
+                  padding: '15px 40px',
+                  fontSize: '20px',
+                  fontFamily: "'Space Mono', monospace",
+                  backgroundColor: '#9d2222',
+                  color: '#ffecd1',
+                  border: 'none',
+                  cursor: 'pointer'
+                }}
+              >
+                Back to Home
+              </button>
+            </div>
           </div>
         </div>
-      </div>
-    );
+      );
+    }
+
+    return null;
+  };
+
+  const renderGallery = () => (
+    <SettingsScreen style={containerStyle} title="GALLERY" onBack={() => navigate('/')}>
+      <AdminGallery
+        storage={storage}
+        events={events}
+        activeEvent={event}
+        canReprint={can(PERMISSIONS.MANAGE_PRINTER)}
+        onReprint={handleReprint}
+      />
+    </SettingsScreen>
+  );
+
+  const renderSettings = () => (
+    <SettingsScreen style={containerStyle} onBack={() => navigate('/')}>
+      <SettingsSection title="Event">
+        <EventSettingsForm
+          activeEvent={event}
+          events={events}
+          onSave={handleSaveEvent}
+          onSelect={handleSelectEvent}
+        />
+      </SettingsSection>
+      <SettingsSection title="Layouts">
+        <LayoutEditor
+          layouts={layouts}
+          customLayoutIds={event.layouts.map(layout => layout.id)}
+          overlayImages={OVERLAY_IMAGES}
+          fonts={event.fonts}
+          textValues={layoutTextValues}
+          onSave={handleSaveLayout}
+          onDelete={handleDeleteLayout}
+          renderThermalPreview={renderLayoutPreview}
+        />
+      </SettingsSection>
+      <SettingsSection title="Camera">
+        <CameraSettingsPanel settings={cameraSettings} onChange={setCameraSettings} />
+      </SettingsSection>
+      <SettingsSection title="QR Codes">
+        <label style={settingsLabelStyle}>
+          Error correction
+          <select
+            value={qrSettings.errorCorrectionLevel}
+            onChange={(e) => setQrSettings({ ...qrSettings, errorCorrectionLevel: e.target.value })}
+            style={settingsInputStyle}
+          >
+            {QR_ERROR_LEVELS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={settingsLabelStyle}>
+          On-screen size: {qrSettings.screenSize}px
+          <input
+            type="range"
+            min="150"
+            max="600"
+            step="50"
+            value={qrSettings.screenSize}
+            onChange={(e) => setQrSettings({ ...qrSettings, screenSize: Number(e.target.value) })}
+          />
+        </label>
+        <label style={{ ...settingsLabelStyle, flexDirection: 'row', alignItems: 'center' }}>
+          <input
+            type="checkbox"
+            checked={qrSettings.printOnReceipt}
+            onChange={(e) => setQrSettings({ ...qrSettings, printOnReceipt: e.target.checked })}
+          />
+          Print the download QR code and short link on receipts
+        </label>
+        {qrSettings.printOnReceipt && (
+          <label style={settingsLabelStyle}>
+            Printed size: {Math.round((qrSettings.printSize / FRAME_BASE_WIDTH) * 100)}% of paper width
+            <input
+              type="range"
+              min="160"
+              max="480"
+              step="20"
+              value={qrSettings.printSize}
+              onChange={(e) => setQrSettings({ ...qrSettings, printSize: Number(e.target.value) })}
+            />
+          </label>
+        )}
+        <p style={{ ...settingsLabelStyle, fontSize: '12px', opacity: 0.8 }}>
+          Codes are generated on this device. Higher error correction scans better from creased or faded paper but makes a denser code.
+        </p>
+      </SettingsSection>
+      <SettingsSection title="Printer">
+        <label style={settingsLabelStyle}>
+          Printer profile
+          <select
+            value={printerProfileId}
+            onChange={(e) => setPrinterProfileId(e.target.value)}
+            style={settingsInputStyle}
+          >
+            <option value={AUTO_PROFILE_ID}>Auto-detect</option>
+            {PRINTER_PROFILES.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={settingsLabelStyle}>
+          Print mode
+          <select
+            value={printEncoding}
+            onChange={(e) => setPrintEncoding(e.target.value)}
+            style={settingsInputStyle}
+          >
+            {ENCODING_MODES.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...settingsLabelStyle, flexDirection: 'row', alignItems: 'center' }}>
+          <input
+            type="checkbox"
+            checked={queueReceiptsOffline}
+            onChange={(e) => setQueueReceiptsOffline(e.target.checked)}
+          />
+          Queue receipts while the printer is offline
+        </label>
+        <p style={{ ...settingsLabelStyle, fontSize: '12px', opacity: 0.8 }}>
+          Queued receipts print when the printer reconnects. Any still waiting after {MAX_PENDING_AGE_MS / 60000} minutes are dropped.
+        </p>
+        <p style={{ ...settingsLabelStyle, fontSize: '12px', opacity: 0.8 }}>
+          Dithering is tuned from the Thermal View on the print preview screen.
+        </p>
+      </SettingsSection>
+    </SettingsScreen>
+  );
+
+  return <Outlet context={{ screens: { kiosk: renderKiosk, gallery: renderGallery, settings: renderSettings }, can }} />;
+};
+
+const getPendingValue = (key) => uploadQueue.get(key);
+
+// One of ThermaSnapsApp's screens; operators without the permission are sent back to the kiosk
+const BoothScreen = ({ name, permission }) => {
+  const { screens, can } = useOutletContext();
+  if (permission && !can(permission)) return <Navigate to="/" replace />;
+  return screens[name]();
+};
+
+const App = () => {
+  const { search } = useLocation();
+
+  useEffect(() => {
+    uploadQueue.start();
+    return () => uploadQueue.stop();
+  }, []);
+
+  // Remote backends are cleaned up by scripts/cleanup-expired-photos.js; booth-only storage has to do it here
+  useEffect(() => {
+    if (!storage.adapter.isLocal) return;
+    storage.cleanupExpired()
+      .then(deleted => deleted.length && console.info(`Deleted ${deleted.length} expired sessions`))
+      .catch(error => console.warn('Expired session cleanup failed:', error));
+  }, []);
+
+  // Receipts printed before the router still carry ?download=&id= or ?d= links
+  const legacyLink = parseDownloadParams(search);
+  if (legacyLink) {
+    return <Navigate to={downloadPath(legacyLink.type, legacyLink.id)} replace />;
   }
 
-  return null;
+  return (
+    <Routes>
+      <Route path="/d/:id" element={<DownloadPage storage={storage} getPendingValue={getPendingValue} />} />
+      <Route path="/d/:id/:type" element={<DownloadPage storage={storage} getPendingValue={getPendingValue} />} />
+      <Route element={<ThermaSnapsApp />}>
+        <Route path="/admin" element={<BoothScreen name="settings" permission={PERMISSIONS.EDIT_SETTINGS} />} />
+        <Route path="/admin/gallery" element={<BoothScreen name="gallery" permission={PERMISSIONS.VIEW_GALLERY} />} />
+        <Route path="*" element={<BoothScreen name="kiosk" />} />
+      </Route>
+    </Routes>
+  );
 };
 
-export default ThermaSnapsApp
\ No newline at end of file
+export default App;
\ No newline at end of file
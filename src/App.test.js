@@ -1,8 +1,58 @@
 import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { ROLES } from './utils/auth';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Without Supabase the booth uses local auth and storage, so nothing leaves the test
+jest.mock('./utils/supabaseClient', () => ({ supabase: null }));
+
+const signInAs = (role) => {
+  localStorage.setItem('thermaSnaps.localSession', JSON.stringify({ user: { id: 'op', email: 'op@booth.test', role } }));
+};
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <App />
+  </MemoryRouter>
+);
+
+afterEach(() => localStorage.clear());
+
+test('the kiosk asks for an operator login first', async () => {
+  renderAt('/');
+  expect(await screen.findByRole('button', { name: 'LOGIN' })).toBeInTheDocument();
+});
+
+test('signed in, the kiosk starts on the home screen', async () => {
+  signInAs(ROLES.OPERATOR);
+  renderAt('/');
+  expect(await screen.findByRole('button', { name: 'START' })).toBeInTheDocument();
+});
+
+test('event admins reach settings by URL', async () => {
+  signInAs(ROLES.EVENT_ADMIN);
+  renderAt('/admin');
+  expect(await screen.findByText('SETTINGS')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'START' })).not.toBeInTheDocument();
+});
+
+test('the home screen buttons open the admin screens', async () => {
+  signInAs(ROLES.EVENT_ADMIN);
+  renderAt('/');
+  userEvent.click(await screen.findByRole('button', { name: 'Gallery' }));
+  expect(await screen.findByText('GALLERY')).toBeInTheDocument();
+});
+
+test('the admin gallery has its own route', async () => {
+  signInAs(ROLES.EVENT_ADMIN);
+  renderAt('/admin/gallery');
+  expect(await screen.findByText('GALLERY')).toBeInTheDocument();
+});
+
+test('operators without the permission are sent back to the kiosk', async () => {
+  signInAs(ROLES.OPERATOR);
+  renderAt('/admin');
+  expect(await screen.findByRole('button', { name: 'START' })).toBeInTheDocument();
+  expect(screen.queryByText('SETTINGS')).not.toBeInTheDocument();
 });
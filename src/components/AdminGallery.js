@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  createEventZip,
+  deleteSession,
+  filterSessionsByDate,
+  listEventSessions,
+  loadStoredValues,
+  setSessionHidden
+} from '../utils/adminGallery';
+import { downloadBlob } from '../utils/share';
+import { SettingsSection, settingsInputStyle, settingsLabelStyle } from './SettingsScreen';
+
+const smallButton = {
+  padding: '6px 10px',
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '12px',
+  backgroundColor: '#9d2222',
+  color: '#ffecd1',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+const formatTakenAt = (session) => (
+  session.takenAt ? session.takenAt.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' }) : session.date
+);
+
+// Every session captured for an event, with moderation, reprints and a ZIP export for the client
+const AdminGallery = ({ storage, events, activeEvent, canReprint, onReprint }) => {
+  const [eventId, setEventId] = useState(activeEvent.id || null);
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [busyId, setBusyId] = useState(null);
+  const [exportProgress, setExportProgress] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      setSessions(await listEventSessions(storage, { eventId }));
+    } catch (error) {
+      console.error('Gallery load failed:', error);
+      setLoadError(error.message || 'Could not load sessions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [storage, eventId]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const visible = filterSessionsByDate(sessions, dateRange);
+  const eventName = (events.find(e => e.id === eventId) || activeEvent).name;
+
+  const runAction = async (id, task, failure) => {
+    setBusyId(id);
+    try {
+      await task();
+    } catch (error) {
+      console.error(failure, error);
+      alert(`${failure} ${error.message || ''}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const toggleHidden = (session) => runAction(session.id, async () => {
+    await setSessionHidden(storage, session, !session.hidden);
+    setSessions(prev => prev.map(s => (s.id === session.id ? { ...s, hidden: !session.hidden } : s)));
+  }, 'Could not update the session.');
+
+  const remove = (session) => {
+    if (!window.confirm(`Delete this session (${formatTakenAt(session)}) for good? Its download link stops working.`)) return;
+    runAction(session.id, async () => {
+      await deleteSession(storage, session);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    }, 'Could not delete the session.');
+  };
+
+  const reprint = (session) => runAction(session.id, () => onReprint(session), 'Reprint failed.');
+
+  const exportZip = () => runAction('export', async () => {
+    setExportProgress({ done: 0, total: visible.length });
+    try {
+      const values = await loadStoredValues(storage, { eventId });
+      const zip = await createEventZip(visible, async key => values.get(key) || null, {
+        onProgress: (done, total) => setExportProgress({ done, total })
+      });
+      const slug = eventName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+      downloadBlob(zip, `therma-snaps-${slug}.zip`);
+    } finally {
+      setExportProgress(null);
+    }
+  }, 'Export failed.');
+
+  return (
+    <>
+      <SettingsSection title="Filter">
+        <div style={{ display: 'flex', gap: '15px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          {events.length > 0 && (
+            <label style={{ ...settingsLabelStyle, flex: 2 }}>
+              Event
+              <select
+                value={eventId || ''}
+                onChange={(e) => setEventId(e.target.value || null)}
+                style={settingsInputStyle}
+              >
+                {events.map(e => (
+                  <option key={e.id} value={e.id}>{e.name}{e.id === activeEvent.id ? ' (active)' : ''}</option>
+                ))}
+                <option value="">Before any event</option>
+              </select>
+            </label>
+          )}
+          <label style={{ ...settingsLabelStyle, flex: 1 }}>
+            From
+            <input type="date" value={dateRange.from}
+              onChange={(e) => setDateRange(prev => ({ ...prev, from: e.target.value }))} style={settingsInputStyle} />
+          </label>
+          <label style={{ ...settingsLabelStyle, flex: 1 }}>
+            To
+            <input type="date" value={dateRange.to}
+              onChange={(e) => setDateRange(prev => ({ ...prev, to: e.target.value }))} style={settingsInputStyle} />
+          </label>
+        </div>
+        <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          <button onClick={refresh} disabled={isLoading} style={smallButton}>
+            Refresh
+          </button>
+          <button
+            onClick={exportZip}
+            disabled={!!busyId || visible.length === 0}
+            style={{ ...smallButton, backgroundColor: '#4CAF50', opacity: visible.length === 0 ? 0.5 : 1 }}
+          >
+            {exportProgress
+              ? `Exporting ${exportProgress.done}/${exportProgress.total}...`
+              : `Export ${visible.length} session${visible.length === 1 ? '' : 's'} as ZIP`}
+          </button>
+        </div>
+      </SettingsSection>
+
+      {isLoading && <p style={{ color: '#ffecd1' }}>Loading sessions...</p>}
+      {loadError && <p style={{ color: '#ff6b6b' }}>{loadError}</p>}
+      {!isLoading && !loadError && visible.length === 0 && (
+        <p style={{ color: '#ffecd1', opacity: 0.7 }}>No sessions for this event{dateRange.from || dateRange.to ? ' in that date range' : ''}.</p>
+      )}
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '15px' }}>
+        {visible.map(session => (
+          <div key={session.id} style={{
+            backgroundColor: 'rgba(0,0,0,0.3)',
+            padding: '8px',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '8px',
+            opacity: busyId === session.id ? 0.5 : 1
+          }}>
+            <div style={{ position: 'relative', height: '220px', backgroundColor: '#ffecd1' }}>
+              {session.image ? (
+                <img
+                  src={session.image}
+                  alt={`Session ${formatTakenAt(session)}`}
+                  loading="lazy"
+                  style={{ width: '100%', height: '100%', objectFit: 'cover', objectPosition: 'top', opacity: session.hidden ? 0.3 : 1 }}
+                />
+              ) : (
+                <span style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#3e000c', fontSize: '12px' }}>
+                  No preview
+                </span>
+              )}
+              {session.hidden && (
+                <span style={{ position: 'absolute', top: '6px', left: '6px', ...smallButton, cursor: 'default' }}>
+                  HIDDEN
+                </span>
+              )}
+            </div>
+            <span style={{ color: '#ffecd1', fontSize: '12px', fontFamily: "'Space Mono', monospace" }}>
+              {formatTakenAt(session)}
+            </span>
+            <div style={{ display: 'flex', gap: '5px', flexWrap: 'wrap' }}>
+              {canReprint && (
+                <button onClick={() => reprint(session)} disabled={!!busyId || !session.image} style={smallButton}>
+                  Reprint
+                </button>
+              )}
+              <button onClick={() => toggleHidden(session)} disabled={!!busyId} style={smallButton}>
+                {session.hidden ? 'Unhide' : 'Hide'}
+              </button>
+              <button onClick={() => remove(session)} disabled={!!busyId} style={{ ...smallButton, backgroundColor: '#5a0a0a' }}>
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default AdminGallery;
@@ -0,0 +1,176 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  FRAME_RATES,
+  RESOLUTIONS,
+  ROTATIONS,
+  describeStream,
+  listCameras,
+  openCamera,
+  previewVideoStyle
+} from '../utils/camera';
+import { settingsInputStyle, settingsLabelStyle } from './SettingsScreen';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '14px',
+  backgroundColor: '#9d2222',
+  color: '#ffecd1',
+  border: 'none',
+  cursor: 'pointer',
+  alignSelf: 'flex-start'
+};
+
+const checkboxLabelStyle = { ...settingsLabelStyle, flexDirection: 'row', alignItems: 'center' };
+
+// Camera choice for the booth, with a live test that shows what the camera actually negotiated
+const CameraSettingsPanel = ({ settings, onChange }) => {
+  const [cameras, setCameras] = useState([]);
+  const [test, setTest] = useState(null); // { stream, summary } | { error }
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  const refreshCameras = useCallback(async () => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    try {
+      setCameras(await listCameras());
+    } catch (error) {
+      console.error('Camera list failed:', error);
+    }
+  }, []);
+
+  const stopTest = useCallback(() => {
+    if (streamRef.current) streamRef.current.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    setTest(null);
+  }, []);
+
+  useEffect(() => {
+    refreshCameras();
+    const { mediaDevices } = navigator;
+    if (!mediaDevices || !mediaDevices.addEventListener) return undefined;
+    mediaDevices.addEventListener('devicechange', refreshCameras);
+    return () => mediaDevices.removeEventListener('devicechange', refreshCameras);
+  }, [refreshCameras]);
+
+  useEffect(() => stopTest, [stopTest]);
+
+  useEffect(() => {
+    if (videoRef.current && test && test.stream) videoRef.current.srcObject = test.stream;
+  }, [test]);
+
+  const update = (changes) => {
+    onChange({ ...settings, ...changes });
+    if (streamRef.current) stopTest();
+  };
+
+  // Opening a stream also grants permission, after which device labels are available
+  const runTest = async () => {
+    stopTest();
+    try {
+      const { stream, attempt, fallback } = await openCamera(settings);
+      streamRef.current = stream;
+      setTest({ stream, summary: `${describeStream(stream)}${fallback ? ` (fell back to ${attempt})` : ''}` });
+      refreshCameras();
+    } catch (error) {
+      setTest({ error: error.message });
+    }
+  };
+
+  const selectedMissing = settings.deviceId && cameras.length > 0 && !cameras.some(c => c.deviceId === settings.deviceId);
+
+  return (
+    <>
+      <label style={settingsLabelStyle}>
+        Camera
+        <select
+          value={settings.deviceId}
+          onChange={(e) => update({ deviceId: e.target.value })}
+          style={settingsInputStyle}
+        >
+          <option value="">Front camera (default)</option>
+          {cameras.map(({ deviceId, label }) => (
+            <option key={deviceId || label} value={deviceId}>{label}</option>
+          ))}
+          {selectedMissing && <option value={settings.deviceId}>Saved camera (not connected)</option>}
+        </select>
+      </label>
+      <div style={{ display: 'flex', gap: '15px' }}>
+        <label style={{ ...settingsLabelStyle, flex: 2 }}>
+          Resolution
+          <select
+            value={settings.resolution}
+            onChange={(e) => update({ resolution: e.target.value })}
+            style={settingsInputStyle}
+          >
+            {RESOLUTIONS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Frame rate
+          <select
+            value={settings.frameRate}
+            onChange={(e) => update({ frameRate: Number(e.target.value) })}
+            style={settingsInputStyle}
+          >
+            {FRAME_RATES.map(rate => (
+              <option key={rate} value={rate}>{rate} fps</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Rotation
+          <select
+            value={settings.rotation}
+            onChange={(e) => update({ rotation: Number(e.target.value) })}
+            style={settingsInputStyle}
+          >
+            {ROTATIONS.map(degrees => (
+              <option key={degrees} value={degrees}>{degrees}°</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <label style={checkboxLabelStyle}>
+        <input
+          type="checkbox"
+          checked={settings.mirrorPreview}
+          onChange={(e) => update({ mirrorPreview: e.target.checked })}
+        />
+        Mirror the live preview
+      </label>
+      <label style={checkboxLabelStyle}>
+        <input
+          type="checkbox"
+          checked={settings.mirrorOutput}
+          onChange={(e) => update({ mirrorOutput: e.target.checked })}
+        />
+        Mirror the photos and GIF
+      </label>
+
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <button onClick={test && test.stream ? stopTest : runTest} style={buttonStyle}>
+          {test && test.stream ? 'Stop test' : 'Test camera'}
+        </button>
+        {test && (
+          <span style={{ ...settingsLabelStyle, color: test.error ? '#ff6b6b' : '#4CAF50' }}>
+            {test.error || `Camera delivering ${test.summary}`}
+          </span>
+        )}
+      </div>
+      {test && test.stream && (
+        <div style={{ position: 'relative', width: '320px', height: '240px', overflow: 'hidden', backgroundColor: '#000', containerType: 'size' }}>
+          <video ref={videoRef} autoPlay playsInline muted style={previewVideoStyle(settings)} />
+        </div>
+      )}
+      <p style={{ ...settingsLabelStyle, fontSize: '12px', opacity: 0.8 }}>
+        If the camera can't do the chosen mode the booth steps down to lower resolutions, then any camera it can find.
+        Camera names show up once the browser has camera permission.
+      </p>
+    </>
+  );
+};
+
+export default CameraSettingsPanel;
@@ -1,59 +1,102 @@
 import React, { useEffect, useState } from 'react';
-import { useParams } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
+import { isSessionId } from '../utils/downloadLinks';
+import { loadSessionGallery } from '../utils/guestGallery';
+import { setShareMeta } from '../utils/share';
+import GuestGallery from './GuestGallery';
 
-const DownloadPage = () => {
-  const { type, id } = useParams();
-  const [photoData, setPhotoData] = useState(null);
-  const [expired, setExpired] = useState(false);
+const pageStyle = (background = '#3e000c') => ({
+  width: '100vw',
+  minHeight: '100vh',
+  backgroundColor: background,
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  flexDirection: 'column',
+  padding: '40px',
+  boxSizing: 'border-box'
+});
+
+const messageStyle = {
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '18px',
+  color: '#ffecd1',
+  textAlign: 'center'
+};
+
+// Guest page behind the QR code (/d/:id and /d/:id/gif)
+// getPendingValue(key) serves sessions that haven't synced yet when the link is opened on the booth itself
+const DownloadPage = ({ storage, getPendingValue = () => null }) => {
+  const { id, type } = useParams();
+  const [status, setStatus] = useState('loading'); // 'loading' | 'ready' | 'expired' | 'missing'
+  const [session, setSession] = useState(null);
 
   useEffect(() => {
-    loadPhoto();
-  }, [type, id]);
+    let cancelled = false;
 
-  const loadPhoto = async () => {
-    try {
-      const key = `photo_${type}_${id}`;
-      const result = await window.storage.get(key);
-      
-      if (result) {
-        const data = JSON.parse(result.value);
-        
-        // Check expiry
-        if (new Date(data.expiry) < new Date()) {
-          setExpired(true);
-          return;
+    const getValue = async (key) => {
+      const pendingValue = getPendingValue(key);
+      const result = pendingValue ? { value: pendingValue } : await storage.get(key);
+      return result ? JSON.parse(result.value) : null;
+    };
+
+    const loadPhoto = async () => {
+      if (!isSessionId(id)) {
+        setStatus('missing');
+        return;
+      }
+      try {
+        const loaded = await loadSessionGallery(getValue, id);
+        if (cancelled) return;
+        setSession(loaded);
+        // Sessions an operator hid look exactly like missing ones
+        if (!loaded || loaded.hidden) {
+          setStatus('missing');
+        } else if (loaded.items.length === 0 || new Date(loaded.expiry) < new Date()) {
+          // No images means storage refused to sign them, which only happens once the link has expired
+          setStatus('expired');
+        } else {
+          setStatus('ready');
         }
-        
-        setPhotoData(data);
+      } catch (error) {
+        console.error('Failed to load photo:', error);
+        if (!cancelled) setStatus('missing');
       }
-    } catch (error) {
-      console.error('Failed to load photo:', error);
-    }
-  };
+    };
 
-  const downloadImage = () => {
-    if (!photoData) return;
-    
-    const link = document.createElement('a');
-    link.href = photoData.image;
-    link.download = `therma-snaps-${photoData.date}.${type}`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-  };
+    setStatus('loading');
+    loadPhoto();
+    return () => { cancelled = true; };
+  }, [id, storage, getPendingValue]);
 
-  if (expired) {
+  // Link previews for apps that render the page; the static tags in index.html cover the rest
+  useEffect(() => {
+    if (status !== 'ready') return undefined;
+    const eventName = session.event?.name || 'Therma-Snaps';
+    const preview = session.items.find(item => item.id === 'strip') || session.items[0];
+    return setShareMeta({
+      title: `${eventName} photos`,
+      description: `Photo strip from ${eventName} · ${session.date}`,
+      image: preview.image.startsWith('data:') ? null : preview.image,
+      url: window.location.href
+    });
+  }, [status, session]);
+
+  if (status === 'loading') {
     return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        backgroundColor: '#3e000c',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        flexDirection: 'column',
-        padding: '40px'
-      }}>
+      <div style={pageStyle()}>
+        <p style={{ ...messageStyle, fontSize: '24px' }}>Loading...</p>
+      </div>
+    );
+  }
+
+  if (status === 'ready') {
+    return <GuestGallery session={session} focusType={type === 'gif' ? 'gif' : 'png'} />;
+  }
+
+  if (status === 'expired') {
+    return (
+      <div style={pageStyle(session.event?.colors?.background)}>
         <h1 style={{
           fontFamily: "'Playfair Display', serif",
           fontSize: '48px',
@@ -62,117 +105,46 @@ const DownloadPage = () => {
         }}>
           QR Code Expired
         </h1>
-        <p style={{
-          fontFamily: "'Space Mono', monospace",
-          fontSize: '18px',
-          color: '#ffecd1',
-          textAlign: 'center'
-        }}>
-          This download link has expired after 3 days.<br/>
-          Please take a new photo at Therma-Snaps!
-        </p>
-      </div>
-    );
-  }
-
-  if (!photoData) {
-    return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        backgroundColor: '#3e000c',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center'
-      }}>
-        <p style={{
-          fontFamily: "'Space Mono', monospace",
-          fontSize: '18px',
-          color: '#ffecd1'
-        }}>
-          Loading...
+        <p style={messageStyle}>
+          This download link has expired.<br/>
+          Please take a new photo at {session.event?.name || 'Therma-Snaps'}!
         </p>
       </div>
     );
   }
 
   return (
-    <div style={{
-      width: '100vw',
-      minHeight: '100vh',
-      backgroundColor: '#3e000c',
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      flexDirection: 'column',
-      padding: '40px'
-    }}>
-      <div style={{
-        marginBottom: '40px',
-        display: 'flex',
-        alignItems: 'center',
-        gap: '15px'
-      }}>
-        <div style={{
-          width: '50px',
-          height: '50px',
-          clipPath: 'polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%)',
-          backgroundColor: '#9d2222'
-        }} />
-        <h1 style={{
-          fontFamily: "'Playfair Display', serif",
-          fontSize: '48px',
-          color: '#ffd482'
-        }}>
-          THERMA-SNAPS
-        </h1>
-      </div>
-
-      <div style={{
-        maxWidth: '800px',
-        backgroundColor: '#ffecd1',
-        padding: '40px',
-        boxShadow: '10px 10px 0 rgba(0,0,0,0.3)'
+    <div style={pageStyle()}>
+      <h1 style={{
+        fontFamily: "'Farmhand Serif', serif",
+        fontSize: '48px',
+        color: '#ffd482',
+        marginBottom: '20px',
+        textAlign: 'center'
       }}>
-        <img 
-          src={photoData.image} 
-          alt="Your Therma-Snap"
-          style={{
-            width: '100%',
-            display: 'block'
-          }}
-        />
-      </div>
-
-      <button
-        onClick={downloadImage}
+        Photo Not Found
+      </h1>
+      <p style={messageStyle}>
+        The photo you are looking for could not be found.<br/>
+        If you just took it, the booth may still be uploading it.<br/>
+        Try this link again in a few minutes.
+      </p>
+      <Link
+        to="/"
         style={{
           marginTop: '40px',
-          padding: '20px 60px',
-          fontSize: '28px',
-          fontFamily: "'Imbue', serif",
-          fontStyle: 'italic',
-          backgroundColor: '#ffd482',
-          color: '#3e000c',
-          border: 'none',
-          cursor: 'pointer',
-          fontWeight: '600'
+          padding: '15px 40px',
+          fontSize: '24px',
+          fontFamily: "'Space Mono', monospace",
+          backgroundColor: '#9d2222',
+          color: '#ffecd1',
+          textDecoration: 'none'
         }}
       >
-        Download {type.toUpperCase()}
-      </button>
-
-      <p style={{
-        fontFamily: "'Space Mono', monospace",
-        fontSize: '14px',
-        color: '#ffd482',
-        marginTop: '30px',
-        textAlign: 'center'
-      }}>
-        Expires: {new Date(photoData.expiry).toLocaleDateString()}
-      </p>
+        Go to Home
+      </Link>
     </div>
   );
 };
 
-export default DownloadPage;
\ No newline at end of file
+export default DownloadPage;
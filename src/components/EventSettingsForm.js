@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import { DATE_FORMATS, DEFAULT_EVENT, EVENT_FONTS, formatEventDate, normalizeEvent } from '../utils/events';
+import { settingsInputStyle, settingsLabelStyle } from './SettingsScreen';
+
+const MAX_LOGO_WIDTH = 600;
+
+// Downscale uploads so the logo stays small enough for a JSONB column
+const readLogo = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = reject;
+  reader.onload = () => {
+    const img = new Image();
+    img.onerror = reject;
+    img.onload = () => {
+      const scale = Math.min(1, MAX_LOGO_WIDTH / img.width);
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * scale);
+      canvas.height = Math.round(img.height * scale);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    img.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+const rowStyle = { display: 'flex', gap: '15px' };
+
+const EventSettingsForm = ({ activeEvent, events, onSave, onSelect }) => {
+  const [draft, setDraft] = useState(activeEvent);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    setDraft(activeEvent);
+  }, [activeEvent]);
+
+  const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const updateNested = (group, field, value) => setDraft(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+
+  const handleLogo = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      update('logo', await readLogo(file));
+    } catch (error) {
+      console.error('Logo upload failed:', error);
+      alert('Could not read that image.');
+    }
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      await onSave(normalizeEvent(draft));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <div style={rowStyle}>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Active event
+          <select
+            value={activeEvent.id || ''}
+            onChange={(e) => onSelect(e.target.value)}
+            style={settingsInputStyle}
+          >
+            {!activeEvent.id && <option value="">(unsaved defaults)</option>}
+            {events.map(event => (
+              <option key={event.id} value={event.id}>{event.name}</option>
+            ))}
+          </select>
+        </label>
+        <button
+          onClick={() => setDraft({ ...DEFAULT_EVENT, name: 'New event' })}
+          style={{ ...settingsInputStyle, alignSelf: 'flex-end', cursor: 'pointer' }}
+        >
+          New event
+        </button>
+      </div>
+
+      <label style={settingsLabelStyle}>
+        Event name
+        <input value={draft.name} onChange={(e) => update('name', e.target.value)} style={settingsInputStyle} />
+      </label>
+
+      <div style={rowStyle}>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Header lines (first line is the title)
+          <textarea
+            rows={3}
+            value={draft.headerLines.join('\n')}
+            onChange={(e) => update('headerLines', e.target.value.split('\n'))}
+            style={settingsInputStyle}
+          />
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Footer lines
+          <textarea
+            rows={3}
+            value={draft.footerLines.join('\n')}
+            onChange={(e) => update('footerLines', e.target.value.split('\n'))}
+            style={settingsInputStyle}
+          />
+        </label>
+      </div>
+
+      <div style={rowStyle}>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Date format
+          <select value={draft.dateFormat} onChange={(e) => update('dateFormat', e.target.value)} style={settingsInputStyle}>
+            {DATE_FORMATS.map(format => (
+              <option key={format} value={format}>{formatEventDate(new Date(), format)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Heading font
+          <select value={draft.fonts.heading} onChange={(e) => updateNested('fonts', 'heading', e.target.value)} style={settingsInputStyle}>
+            {EVENT_FONTS.map(font => <option key={font} value={font}>{font}</option>)}
+          </select>
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Body font
+          <select value={draft.fonts.body} onChange={(e) => updateNested('fonts', 'body', e.target.value)} style={settingsInputStyle}>
+            {EVENT_FONTS.map(font => <option key={font} value={font}>{font}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div style={rowStyle}>
+        {['background', 'accent', 'text'].map(field => (
+          <label key={field} style={{ ...settingsLabelStyle, flex: 1, textTransform: 'capitalize' }}>
+            {field} color
+            <input
+              type="color"
+              value={draft.colors[field]}
+              onChange={(e) => updateNested('colors', field, e.target.value)}
+              style={{ ...settingsInputStyle, padding: '2px', height: '40px' }}
+            />
+          </label>
+        ))}
+      </div>
+
+      <div style={rowStyle}>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Countdown (s)
+          <input type="number" min="1" max="30" value={draft.countdownSeconds}
+            onChange={(e) => update('countdownSeconds', e.target.value)} style={settingsInputStyle} />
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Between shots (s)
+          <input type="number" min="0" max="10" value={draft.shotDelaySeconds}
+            onChange={(e) => update('shotDelaySeconds', e.target.value)} style={settingsInputStyle} />
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Max prints
+          <input type="number" min="1" max="20" value={draft.maxPrints}
+            onChange={(e) => update('maxPrints', e.target.value)} style={settingsInputStyle} />
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Link expiry (days)
+          <input type="number" min="1" max="365" value={draft.linkExpiryDays}
+            onChange={(e) => update('linkExpiryDays', e.target.value)} style={settingsInputStyle} />
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Keep photos (days)
+          <input type="number" min="1" max="365" value={draft.retentionDays}
+            onChange={(e) => update('retentionDays', e.target.value)} style={settingsInputStyle} />
+        </label>
+      </div>
+
+      <div style={rowStyle}>
+        {[
+          ['countdownBeep', 'Beep during the countdown'],
+          ['shutterSound', 'Shutter sound'],
+          ['flash', 'Flash the screen at each shot'],
+          ['stickers', 'Stickers and props'],
+          ['faceTracking', 'Stick props to faces']
+        ].map(([field, label]) => (
+          <label key={field} style={{ ...settingsLabelStyle, flexDirection: 'row', alignItems: 'center' }}>
+            <input type="checkbox" checked={!!draft[field]} onChange={(e) => update(field, e.target.checked)} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div style={{ ...rowStyle, alignItems: 'center' }}>
+        <label style={{ ...settingsLabelStyle, flex: 1 }}>
+          Logo (printed above the header)
+          <input type="file" accept="image/*" onChange={handleLogo} style={{ color: '#ffecd1' }} />
+        </label>
+        {draft.logo && (
+          <>
+            <img src={draft.logo} alt="Event logo" style={{ maxWidth: '120px', maxHeight: '60px', backgroundColor: '#fff' }} />
+            <button onClick={() => update('logo', null)} style={{ ...settingsInputStyle, cursor: 'pointer' }}>
+              Remove
+            </button>
+          </>
+        )}
+      </div>
+
+      <button
+        onClick={handleSave}
+        disabled={isSaving}
+        style={{
+          padding: '15px',
+          fontSize: '20px',
+          fontFamily: "'Space Mono', monospace",
+          backgroundColor: isSaving ? '#666' : '#4CAF50',
+          color: '#ffecd1',
+          border: 'none',
+          cursor: isSaving ? 'not-allowed' : 'pointer'
+        }}
+      >
+        {isSaving ? 'Saving...' : 'Save & use for this booth'}
+      </button>
+    </>
+  );
+};
+
+export default EventSettingsForm;
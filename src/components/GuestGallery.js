@@ -0,0 +1,197 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createSessionZip, downloadFileName, fetchItemBlob } from '../utils/guestGallery';
+import { downloadBlob, shareItem } from '../utils/share';
+
+const buttonStyle = {
+  padding: '12px 20px',
+  fontSize: '16px',
+  fontFamily: "'Space Mono', monospace",
+  backgroundColor: '#9d2222',
+  color: '#ffecd1',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+// What a guest sees behind the QR code; the item they scanned for (strip or GIF) comes first
+const GuestGallery = ({ session, focusType = 'png' }) => {
+  const [busyId, setBusyId] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const blobs = useRef(new Map());
+  const fetchedBlobs = useRef(new Map());
+  const colors = session.event?.colors || {};
+  const focusId = focusType === 'gif' ? 'gif' : 'strip';
+  const items = [...session.items].sort((a, b) => (b.id === focusId) - (a.id === focusId));
+  const canShareFiles = typeof navigator.canShare === 'function';
+  const shareTitle = `${session.event?.name || 'Therma-Snaps'} photos`;
+
+  const itemBlob = (item) => {
+    if (!blobs.current.has(item.id)) {
+      const pending = fetchItemBlob(item);
+      pending.then(
+        blob => fetchedBlobs.current.set(item.id, blob),
+        () => blobs.current.delete(item.id)
+      );
+      blobs.current.set(item.id, pending);
+    }
+    return blobs.current.get(item.id);
+  };
+
+  // The share sheet only opens straight from a tap, so files are fetched before the guest reaches for it
+  useEffect(() => {
+    if (!canShareFiles) return;
+    session.items.forEach(item => itemBlob(item).catch(() => {}));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [session, canShareFiles]);
+
+  useEffect(() => {
+    if (!notice) return undefined;
+    const timer = setTimeout(() => setNotice(null), 3000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  const runDownload = async (id, task, failure = 'Download failed. Check your connection and try again.') => {
+    setBusyId(id);
+    try {
+      await task();
+    } catch (error) {
+      console.error(failure, error);
+      alert(failure);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const downloadItem = (item) => runDownload(item.id, async () => {
+    downloadBlob(await itemBlob(item), downloadFileName(session, item));
+  });
+
+  const share = (id, blob, fileName) => runDownload(id, async () => {
+    const result = await shareItem({
+      blob,
+      fileName,
+      title: shareTitle,
+      text: `My photos from ${session.event?.name || 'Therma-Snaps'}`,
+      url: window.location.href
+    });
+    if (result === 'copied') setNotice('Link copied');
+    if (result === 'failed') setNotice(`Copy this link: ${window.location.href}`);
+  }, 'Sharing failed. Try downloading instead.');
+
+  // Shares the link if the file hasn't arrived yet rather than waiting and losing the tap
+  const shareItemFile = (item) => share(item.id, fetchedBlobs.current.get(item.id) || null, downloadFileName(session, item));
+
+  const downloadAll = () => runDownload('zip', async () => {
+    downloadBlob(await createSessionZip(session), downloadFileName(session, { fileName: 'photos.zip' }));
+  });
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      backgroundColor: colors.background || '#3e000c',
+      padding: '24px 16px 40px',
+      boxSizing: 'border-box',
+      fontFamily: "'Space Mono', monospace",
+      color: colors.text || '#ffecd1'
+    }}>
+      <div style={{ maxWidth: '640px', margin: '0 auto' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '12px', marginBottom: '8px' }}>
+          <div style={{
+            width: '36px',
+            height: '36px',
+            flexShrink: 0,
+            clipPath: 'polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%)',
+            backgroundColor: '#9d2222'
+          }} />
+          <h1 style={{ fontFamily: "'Farmhand Serif', serif", fontSize: '40px', color: colors.accent || '#ffd482', margin: 0 }}>
+            YOUR PHOTOS
+          </h1>
+        </div>
+        <p style={{ textAlign: 'center', fontSize: '14px', marginBottom: '12px' }}>
+          {session.event?.name || 'Therma-Snaps'} · {session.date}
+        </p>
+        <div style={{ textAlign: 'center', marginBottom: '24px' }}>
+          <button
+            onClick={() => share('link', null, null)}
+            disabled={!!busyId}
+            style={{ ...buttonStyle, fontSize: '14px', padding: '8px 16px', backgroundColor: 'transparent', border: `1px solid ${colors.text || '#ffecd1'}`, color: colors.text || '#ffecd1' }}
+          >
+            Share link
+          </button>
+          {notice && <p style={{ fontSize: '14px', margin: '10px 0 0', color: colors.accent || '#ffd482' }}>{notice}</p>}
+        </div>
+
+        {items.length > 1 && (
+          <button
+            onClick={downloadAll}
+            disabled={!!busyId}
+            style={{
+              ...buttonStyle,
+              width: '100%',
+              marginBottom: '24px',
+              padding: '16px',
+              fontSize: '22px',
+              fontFamily: "'Imbue', serif",
+              fontStyle: 'italic',
+              fontWeight: '600',
+              backgroundColor: colors.accent || '#ffd482',
+              color: colors.background || '#3e000c',
+              opacity: busyId ? 0.6 : 1
+            }}
+          >
+            {busyId === 'zip' ? 'Zipping...' : `Download all (${items.length}) as ZIP`}
+          </button>
+        )}
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+          gap: '20px'
+        }}>
+          {items.map(item => (
+            <div key={item.id} style={{
+              backgroundColor: '#ffecd1',
+              padding: '12px',
+              boxShadow: '6px 6px 0 rgba(0,0,0,0.3)',
+              display: 'flex',
+              flexDirection: 'column',
+              gap: '10px'
+            }}>
+              <img
+                src={item.image}
+                alt={item.label}
+                style={{ width: '100%', maxHeight: item.id === 'strip' ? 'none' : '360px', objectFit: 'contain', display: 'block' }}
+              />
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px' }}>
+                <span style={{ color: '#3e000c', fontSize: '14px' }}>{item.label}</span>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  {canShareFiles && (
+                    <button
+                      onClick={() => shareItemFile(item)}
+                      disabled={!!busyId}
+                      style={{ ...buttonStyle, backgroundColor: '#3e000c', opacity: busyId && busyId !== item.id ? 0.6 : 1 }}
+                    >
+                      Share
+                    </button>
+                  )}
+                  <button
+                    onClick={() => downloadItem(item)}
+                    disabled={!!busyId}
+                    style={{ ...buttonStyle, opacity: busyId && busyId !== item.id ? 0.6 : 1 }}
+                  >
+                    {busyId === item.id ? 'Saving...' : `Download ${item.type.toUpperCase()}`}
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <p style={{ textAlign: 'center', fontSize: '14px', color: colors.accent || '#ffd482', marginTop: '30px' }}>
+          Expires: {new Date(session.expiry).toLocaleDateString()}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default GuestGallery;
@@ -0,0 +1,465 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  LAYOUT_GRID,
+  createBlankLayout,
+  getElementRect,
+  normalizeLayout,
+  resolveLayoutText,
+  toCustomLayoutId,
+  updateLayoutElement
+} from '../utils/layouts';
+import { settingsInputStyle, settingsLabelStyle } from './SettingsScreen';
+
+// 720 layout units → 324px on screen
+const EDIT_SCALE = 0.45;
+
+const toolButtonStyle = {
+  ...settingsInputStyle,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '6px'
+};
+
+const rowStyle = { display: 'flex', gap: '10px', flexWrap: 'wrap' };
+
+// Grey gradient stand-ins so the thermal preview shows how tones dither inside each slot
+const createPlaceholderPhoto = (slot, idx) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 400;
+  canvas.height = Math.round(400 * (slot.height / slot.width));
+  const ctx = canvas.getContext('2d');
+  const gradient = ctx.createLinearGradient(0, 0, canvas.width, canvas.height);
+  gradient.addColorStop(0, '#eeeeee');
+  gradient.addColorStop(1, '#333333');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  ctx.font = 'bold 120px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(idx + 1), canvas.width / 2, canvas.height / 2);
+  return canvas.toDataURL('image/png');
+};
+
+const NumberField = ({ label, value, onChange, step = LAYOUT_GRID }) => (
+  <label style={{ ...settingsLabelStyle, flex: 1, minWidth: '70px' }}>
+    {label}
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Number(e.target.value))}
+      style={settingsInputStyle}
+    />
+  </label>
+);
+
+const LayoutEditor = ({
+  layouts,
+  customLayoutIds,
+  overlayImages,
+  fonts,
+  textValues,
+  onSave,
+  onDelete,
+  renderThermalPreview
+}) => {
+  const [draft, setDraft] = useState(createBlankLayout);
+  const [selected, setSelected] = useState(null); // { kind: 'slots' | 'texts' | 'overlays', index }
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRendering, setIsRendering] = useState(false);
+  const [hasPreview, setHasPreview] = useState(false);
+  const canvasRef = useRef(null);
+  const previewRef = useRef(null);
+  const dragRef = useRef(null);
+
+  const isCustom = customLayoutIds.includes(draft.id);
+  const selectedElement = selected && draft[selected.kind][selected.index];
+
+  useEffect(() => {
+    setHasPreview(false);
+  }, [draft]);
+
+  const loadLayout = (id) => {
+    setDraft(id ? layouts.find(layout => layout.id === id) : createBlankLayout());
+    setSelected(null);
+  };
+
+  const addElement = (kind, element) => {
+    setDraft(prev => ({ ...prev, [kind]: [...prev[kind], element] }));
+    setSelected({ kind, index: draft[kind].length });
+  };
+
+  const updateSelected = (changes) => {
+    setDraft(prev => ({
+      ...prev,
+      [selected.kind]: prev[selected.kind].map((element, idx) => (
+        idx === selected.index ? { ...element, ...changes } : element
+      ))
+    }));
+  };
+
+  const moveSelected = (changes) => {
+    const rect = { ...getElementRect(selected.kind, selectedElement), ...changes };
+    setDraft(prev => updateLayoutElement(prev, selected.kind, selected.index, rect));
+  };
+
+  const removeSelected = () => {
+    setDraft(prev => ({ ...prev, [selected.kind]: prev[selected.kind].filter((_, idx) => idx !== selected.index) }));
+    setSelected(null);
+  };
+
+  const startDrag = (e, kind, index, mode) => {
+    e.stopPropagation();
+    setSelected({ kind, index });
+    dragRef.current = {
+      kind,
+      index,
+      mode,
+      startX: e.clientX,
+      startY: e.clientY,
+      rect: getElementRect(kind, draft[kind][index])
+    };
+    canvasRef.current.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (e.clientX - drag.startX) / EDIT_SCALE;
+    const dy = (e.clientY - drag.startY) / EDIT_SCALE;
+    const rect = drag.mode === 'move'
+      ? { ...drag.rect, x: drag.rect.x + dx, y: drag.rect.y + dy }
+      : { ...drag.rect, width: drag.rect.width + dx, height: drag.rect.height + dy };
+    setDraft(prev => updateLayoutElement(prev, drag.kind, drag.index, rect));
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const handlePreview = async () => {
+    setIsRendering(true);
+    try {
+      const layout = normalizeLayout(draft);
+      const bitmap = await renderThermalPreview(layout, layout.slots.map(createPlaceholderPhoto));
+      const canvas = previewRef.current;
+      canvas.width = bitmap.width;
+      canvas.height = bitmap.height;
+      canvas.getContext('2d').putImageData(new ImageData(bitmap.data, bitmap.width, bitmap.height), 0, 0);
+      setHasPreview(true);
+    } catch (error) {
+      console.error('Layout preview failed:', error);
+      alert(error.message);
+    } finally {
+      setIsRendering(false);
+    }
+  };
+
+  const handleSave = async () => {
+    let layout;
+    try {
+      layout = normalizeLayout(draft);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+
+    // Built-ins and blank drafts get a fresh custom id so they never shadow an existing layout
+    if (!isCustom) {
+      layout = { ...layout, id: toCustomLayoutId(layout.label, layouts.map(existing => existing.id)) };
+    }
+
+    setIsSaving(true);
+    try {
+      await onSave(layout);
+      setDraft(layout);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${draft.label}"?`)) return;
+    await onDelete(draft.id);
+    loadLayout(null);
+  };
+
+  const renderHandle = (kind, index) => (
+    <div
+      onPointerDown={(e) => startDrag(e, kind, index, 'resize')}
+      style={{
+        position: 'absolute',
+        right: '-6px',
+        bottom: '-6px',
+        width: '12px',
+        height: '12px',
+        backgroundColor: '#ffd482',
+        border: '2px solid #3e000c',
+        cursor: 'nwse-resize',
+        zIndex: 10
+      }}
+    />
+  );
+
+  const elementStyle = (kind, index, rect) => ({
+    position: 'absolute',
+    left: `${rect.x * EDIT_SCALE}px`,
+    top: `${rect.y * EDIT_SCALE}px`,
+    width: `${rect.width * EDIT_SCALE}px`,
+    height: `${rect.height * EDIT_SCALE}px`,
+    cursor: 'move',
+    outline: selected && selected.kind === kind && selected.index === index ? '2px dashed #ffd482' : 'none',
+    outlineOffset: '2px'
+  });
+
+  return (
+    <>
+      <div style={rowStyle}>
+        <label style={{ ...settingsLabelStyle, flex: 2 }}>
+          Start from
+          <select value={layouts.some(layout => layout.id === draft.id) ? draft.id : ''} onChange={(e) => loadLayout(e.target.value)} style={settingsInputStyle}>
+            <option value="">Blank layout</option>
+            {layouts.map(layout => (
+              <option key={layout.id} value={layout.id}>
+                {layout.label}{customLayoutIds.includes(layout.id) ? ' (this event)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...settingsLabelStyle, flex: 2 }}>
+          Name
+          <input value={draft.label} onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))} style={settingsInputStyle} />
+        </label>
+        <NumberField
+          label="Height"
+          value={draft.height}
+          onChange={(height) => setDraft(prev => ({ ...prev, height: Math.max(100, height) }))}
+        />
+      </div>
+
+      <div style={rowStyle}>
+        <button
+          onClick={() => addElement('slots', { x: 0, y: 0, width: 360, height: 360 })}
+          style={toolButtonStyle}
+        >
+          + Photo slot
+        </button>
+        <button
+          onClick={() => addElement('texts', { x: 0, y: 0, width: draft.width, text: '{event}', size: 48, font: 'body', align: 'center' })}
+          style={toolButtonStyle}
+        >
+          + Text
+        </button>
+        {Object.entries(overlayImages).map(([name, src]) => (
+          <button
+            key={name}
+            onClick={() => addElement('overlays', { x: 0, y: 0, width: 120, height: 120, image: name, rotation: 0, opacity: 1 })}
+            style={toolButtonStyle}
+          >
+            + <img src={src} alt={name} style={{ height: '24px' }} />
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+        {/* Receipt-width canvas; the grid matches the snap size */}
+        <div
+          ref={canvasRef}
+          onPointerMove={handlePointerMove}
+          onPointerUp={endDrag}
+          onPointerCancel={endDrag}
+          onPointerDown={() => setSelected(null)}
+          style={{
+            position: 'relative',
+            flexShrink: 0,
+            width: `${draft.width * EDIT_SCALE}px`,
+            height: `${draft.height * EDIT_SCALE}px`,
+            backgroundColor: '#FFFFFF',
+            backgroundImage: 'linear-gradient(#eee 1px, transparent 1px), linear-gradient(90deg, #eee 1px, transparent 1px)',
+            backgroundSize: `${LAYOUT_GRID * 4 * EDIT_SCALE}px ${LAYOUT_GRID * 4 * EDIT_SCALE}px`,
+            boxShadow: '10px 10px 0 rgba(0,0,0,0.3)',
+            touchAction: 'none',
+            userSelect: 'none'
+          }}
+        >
+          {draft.slots.map((slot, idx) => (
+            <div
+              key={`slot-${idx}`}
+              onPointerDown={(e) => startDrag(e, 'slots', idx, 'move')}
+              style={{
+                ...elementStyle('slots', idx, slot),
+                backgroundColor: '#9d2222',
+                color: '#ffecd1',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontFamily: "'Space Mono', monospace",
+                fontSize: '24px'
+              }}
+            >
+              {idx + 1}
+              {renderHandle('slots', idx)}
+            </div>
+          ))}
+
+          {draft.overlays.map((overlay, idx) => (
+            <div
+              key={`overlay-${idx}`}
+              onPointerDown={(e) => startDrag(e, 'overlays', idx, 'move')}
+              style={{ ...elementStyle('overlays', idx, overlay), zIndex: 5 }}
+            >
+              <img
+                src={overlayImages[overlay.image]}
+                alt=""
+                draggable={false}
+                style={{
+                  width: '100%',
+                  height: '100%',
+                  transform: `rotate(${overlay.rotation}deg)`,
+                  opacity: overlay.opacity,
+                  pointerEvents: 'none'
+                }}
+              />
+              {renderHandle('overlays', idx)}
+            </div>
+          ))}
+
+          {draft.texts.map((block, idx) => (
+            <div
+              key={`text-${idx}`}
+              onPointerDown={(e) => startDrag(e, 'texts', idx, 'move')}
+              style={{
+                ...elementStyle('texts', idx, getElementRect('texts', block)),
+                fontSize: `${block.size * EDIT_SCALE}px`,
+                fontFamily: `'${fonts[block.font] || fonts.body}', monospace`,
+                textAlign: block.align,
+                lineHeight: 1,
+                whiteSpace: 'nowrap',
+                color: '#000',
+                zIndex: 6
+              }}
+            >
+              {resolveLayoutText(block.text, textValues)}
+              {renderHandle('texts', idx)}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '10px' }}>
+          {selectedElement ? (
+            <>
+              <div style={rowStyle}>
+                <NumberField label="X" value={selectedElement.x} onChange={(x) => moveSelected({ x })} />
+                <NumberField label="Y" value={selectedElement.y} onChange={(y) => moveSelected({ y })} />
+              </div>
+              <div style={rowStyle}>
+                <NumberField label="Width" value={selectedElement.width} onChange={(width) => moveSelected({ width })} />
+                {selected.kind === 'texts' ? (
+                  <NumberField label="Size" value={selectedElement.size} onChange={(height) => moveSelected({ height })} step={2} />
+                ) : (
+                  <NumberField label="Height" value={selectedElement.height} onChange={(height) => moveSelected({ height })} />
+                )}
+              </div>
+
+              {selected.kind === 'texts' && (
+                <>
+                  <label style={settingsLabelStyle}>
+                    Text ({'{event}'} and {'{date}'} are filled in)
+                    <input value={selectedElement.text} onChange={(e) => updateSelected({ text: e.target.value })} style={settingsInputStyle} />
+                  </label>
+                  <div style={rowStyle}>
+                    <label style={{ ...settingsLabelStyle, flex: 1 }}>
+                      Font
+                      <select value={selectedElement.font} onChange={(e) => updateSelected({ font: e.target.value })} style={settingsInputStyle}>
+                        <option value="heading">Heading</option>
+                        <option value="body">Body</option>
+                      </select>
+                    </label>
+                    <label style={{ ...settingsLabelStyle, flex: 1 }}>
+                      Align
+                      <select value={selectedElement.align} onChange={(e) => updateSelected({ align: e.target.value })} style={settingsInputStyle}>
+                        <option value="left">Left</option>
+                        <option value="center">Center</option>
+                        <option value="right">Right</option>
+                      </select>
+                    </label>
+                  </div>
+                </>
+              )}
+
+              {selected.kind === 'overlays' && (
+                <div style={rowStyle}>
+                  <NumberField label="Rotation" value={selectedElement.rotation} onChange={(rotation) => updateSelected({ rotation })} step={5} />
+                  <NumberField
+                    label="Opacity"
+                    value={selectedElement.opacity}
+                    onChange={(opacity) => updateSelected({ opacity: Math.min(1, Math.max(0, opacity)) })}
+                    step={0.1}
+                  />
+                </div>
+              )}
+
+              <button onClick={removeSelected} style={{ ...toolButtonStyle, justifyContent: 'center', backgroundColor: '#9d2222', color: '#ffecd1' }}>
+                Remove
+              </button>
+            </>
+          ) : (
+            <p style={{ ...settingsLabelStyle, opacity: 0.8 }}>
+              Drag elements to move them and the corner handle to resize. Everything snaps to a {LAYOUT_GRID}-unit grid.
+            </p>
+          )}
+
+          <button
+            onClick={handlePreview}
+            disabled={isRendering}
+            style={{ ...toolButtonStyle, justifyContent: 'center', marginTop: '10px' }}
+          >
+            {isRendering ? 'Rendering...' : 'Preview on thermal paper'}
+          </button>
+          <div style={{ display: hasPreview ? 'block' : 'none', maxHeight: '420px', overflowY: 'auto', backgroundColor: '#FFFFFF' }}>
+            <canvas ref={previewRef} style={{ display: 'block', width: '100%', imageRendering: 'pixelated' }} />
+          </div>
+        </div>
+      </div>
+
+      <div style={rowStyle}>
+        <button
+          onClick={handleSave}
+          disabled={isSaving}
+          style={{
+            flex: 1,
+            padding: '15px',
+            fontSize: '20px',
+            fontFamily: "'Space Mono', monospace",
+            backgroundColor: isSaving ? '#666' : '#4CAF50',
+            color: '#ffecd1',
+            border: 'none',
+            cursor: isSaving ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {isSaving ? 'Saving...' : isCustom ? 'Save layout' : 'Save as new layout'}
+        </button>
+        {isCustom && (
+          <button
+            onClick={handleDelete}
+            style={{
+              padding: '15px',
+              fontSize: '20px',
+              fontFamily: "'Space Mono', monospace",
+              backgroundColor: '#9d2222',
+              color: '#ffecd1',
+              border: 'none',
+              cursor: 'pointer'
+            }}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default LayoutEditor;
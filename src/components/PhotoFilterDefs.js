@@ -0,0 +1,19 @@
+import React from 'react';
+import { SKETCH_FILTER_ID, SKETCH_KERNEL } from '../utils/filters';
+
+// SVG filters that CSS `filter: url(#...)` can point at; mirrors applySketch in utils/filters
+const PhotoFilterDefs = () => (
+  <svg width="0" height="0" style={{ position: 'absolute' }} aria-hidden="true">
+    <filter id={SKETCH_FILTER_ID} colorInterpolationFilters="sRGB">
+      <feColorMatrix type="saturate" values="0" />
+      <feConvolveMatrix order="3" kernelMatrix={SKETCH_KERNEL.join(' ')} divisor="1" edgeMode="duplicate" preserveAlpha="true" />
+      <feComponentTransfer>
+        <feFuncR type="table" tableValues="1 0" />
+        <feFuncG type="table" tableValues="1 0" />
+        <feFuncB type="table" tableValues="1 0" />
+      </feComponentTransfer>
+    </filter>
+  </svg>
+);
+
+export default PhotoFilterDefs;
@@ -0,0 +1,104 @@
+import React from 'react';
+import { JOB_STATUS } from '../utils/printQueue';
+
+const STATUS_COLORS = {
+  [JOB_STATUS.QUEUED]: '#ffd482',
+  [JOB_STATUS.SENDING]: '#4CAF50',
+  [JOB_STATUS.DONE]: '#8a8a8a',
+  [JOB_STATUS.FAILED]: '#ff6b6b'
+};
+
+const smallButton = {
+  padding: '6px 10px',
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '12px',
+  backgroundColor: '#9d2222',
+  color: '#ffecd1',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+const PrintQueuePanel = ({ queueState, onRetry, onReprint, onRemove, onResume, onClearFinished, onClose }) => {
+  const { jobs, isProcessing, isPaused } = queueState;
+  const failed = jobs.filter(job => job.status === JOB_STATUS.FAILED);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      inset: 0,
+      backgroundColor: 'rgba(0,0,0,0.85)',
+      zIndex: 100,
+      display: 'flex',
+      flexDirection: 'column',
+      padding: '40px',
+      fontFamily: "'Space Mono', monospace",
+      color: '#ffecd1'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ fontFamily: "'Farmhand Serif', serif", fontSize: '40px', color: '#ffd482' }}>
+          PRINT QUEUE
+        </h2>
+        <button onClick={onClose} style={{ ...smallButton, fontSize: '16px', padding: '10px 20px' }}>
+          Close
+        </button>
+      </div>
+
+      <p style={{ fontSize: '14px', marginBottom: '20px' }}>
+        {isPaused ? 'Paused after a failed job.' : isProcessing ? 'Printing...' : 'Idle.'}
+      </p>
+
+      <div style={{ display: 'flex', gap: '10px', marginBottom: '20px' }}>
+        {failed.length > 0 && (
+          <button onClick={onResume} style={{ ...smallButton, backgroundColor: '#4CAF50' }}>
+            {failed.some(job => job.partial) ? 'Reprint all failed' : 'Resume all failed'}
+          </button>
+        )}
+        <button onClick={onClearFinished} style={smallButton}>
+          Clear finished
+        </button>
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+        {jobs.length === 0 && <p style={{ fontSize: '14px', opacity: 0.7 }}>No print jobs yet.</p>}
+        {[...jobs].reverse().map(job => (
+          <div key={job.id} style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '15px',
+            backgroundColor: 'rgba(255,236,209,0.08)',
+            padding: '10px'
+          }}>
+            <img src={job.image} alt="" style={{ width: '40px', height: '60px', objectFit: 'cover', backgroundColor: '#fff' }} />
+            <div style={{ flex: 1, fontSize: '13px' }}>
+              <div>{job.label}</div>
+              <div style={{ color: STATUS_COLORS[job.status], textTransform: 'uppercase' }}>
+                {job.status}
+                {job.status === JOB_STATUS.SENDING && job.progress.total > 0 &&
+                  ` ${Math.round((job.progress.sent / job.progress.total) * 100)}%`}
+              </div>
+              {job.error && job.status !== JOB_STATUS.DONE && (
+                <div style={{ fontSize: '11px', opacity: 0.8 }}>{job.error}</div>
+              )}
+              {job.partial && job.status === JOB_STATUS.FAILED && (
+                <div style={{ fontSize: '11px', opacity: 0.8 }}>Stopped part-way. The partial strip is cut off before it prints again.</div>
+              )}
+            </div>
+            {job.status === JOB_STATUS.FAILED && (
+              <button onClick={() => onRetry(job.id)} style={{ ...smallButton, backgroundColor: '#4CAF50' }}>
+                {job.partial ? 'Reprint' : 'Retry'}
+              </button>
+            )}
+            {(job.status === JOB_STATUS.DONE || (job.status === JOB_STATUS.FAILED && !job.partial)) && (
+              <button onClick={() => onReprint(job.id)} style={smallButton}>Reprint</button>
+            )}
+            {job.status !== JOB_STATUS.SENDING && (
+              <button onClick={() => onRemove(job.id)} style={{ ...smallButton, backgroundColor: 'transparent' }}>✕</button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PrintQueuePanel;
@@ -0,0 +1,46 @@
+import React from 'react';
+import { formatEventDate } from '../utils/events';
+
+// On-screen mockups of the printed header/footer, driven by the active event
+
+export const ReceiptHeader = ({ event, titleSize, lineSize }) => {
+  const [title, ...lines] = event.headerLines;
+  return (
+    <div style={{
+      fontFamily: `'${event.fonts.heading}', monospace`,
+      fontSize: titleSize,
+      fontWeight: 'bold',
+      marginBottom: '15px',
+      textAlign: 'center'
+    }}>
+      {event.logo && (
+        <img src={event.logo} alt="" style={{ display: 'block', maxWidth: '60%', maxHeight: '80px', margin: '0 auto 10px' }} />
+      )}
+      {title}<br/>
+      {lines.map((line, idx) => (
+        <React.Fragment key={idx}>
+          <span style={{ fontSize: lineSize, fontFamily: `'${event.fonts.body}', monospace` }}>{line}</span><br/>
+        </React.Fragment>
+      ))}
+      <span style={{ fontFamily: `'${event.fonts.body}', monospace` }}>
+        {formatEventDate(new Date(), event.dateFormat)}
+      </span>
+    </div>
+  );
+};
+
+export const ReceiptFooter = ({ event, fontSize }) => (
+  <div style={{
+    fontFamily: `'${event.fonts.body}', monospace`,
+    fontSize,
+    textAlign: 'center',
+    marginTop: '20px'
+  }}>
+    {event.footerLines.map((line, idx) => (
+      <React.Fragment key={idx}>
+        {idx > 0 && <br/>}
+        {line}
+      </React.Fragment>
+    ))}
+  </div>
+);
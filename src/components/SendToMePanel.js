@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { CONSENT_TEXT, DELIVERY_CHANNELS } from '../utils/delivery';
+
+const CHANNEL_LABELS = {
+  [DELIVERY_CHANNELS.EMAIL]: { tab: 'Email', placeholder: 'you@example.com', inputMode: 'email', type: 'email' },
+  [DELIVERY_CHANNELS.SMS]: { tab: 'Text', placeholder: '+1 415 555 0134', inputMode: 'tel', type: 'tel' }
+};
+
+const tabStyle = (active) => ({
+  flex: 1,
+  padding: '10px',
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '16px',
+  backgroundColor: active ? '#ffd482' : 'transparent',
+  color: active ? '#3e000c' : '#ffecd1',
+  border: '1px solid #ffd482',
+  cursor: 'pointer'
+});
+
+// Optional "send to me" on the final screen. onSend(channel, to, consent) resolves once the message is accepted
+const SendToMePanel = ({ channels, onSend }) => {
+  const [channel, setChannel] = useState(channels[0]);
+  const [to, setTo] = useState('');
+  const [consent, setConsent] = useState(false);
+  const [status, setStatus] = useState({ state: 'idle', message: '' }); // 'idle' | 'sending' | 'sent' | 'error'
+  const labels = CHANNEL_LABELS[channel];
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setStatus({ state: 'sending', message: '' });
+    try {
+      await onSend(channel, to, consent);
+      setStatus({ state: 'sent', message: `Sent! Check your ${channel === DELIVERY_CHANNELS.SMS ? 'messages' : 'inbox'}.` });
+      setTo('');
+    } catch (error) {
+      setStatus({ state: 'error', message: error.message || 'Could not send. Scan the QR code instead.' });
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{
+      width: '460px',
+      maxWidth: '100%',
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px',
+      marginBottom: '25px',
+      fontFamily: "'Space Mono', monospace",
+      color: '#ffecd1'
+    }}>
+      <span style={{ fontFamily: "'Farmhand Serif', serif", fontSize: '24px', color: '#ffd482', textAlign: 'center' }}>
+        OR SEND IT TO ME
+      </span>
+      {channels.length > 1 && (
+        <div style={{ display: 'flex' }}>
+          {channels.map(option => (
+            <button key={option} type="button" onClick={() => setChannel(option)} style={tabStyle(option === channel)}>
+              {CHANNEL_LABELS[option].tab}
+            </button>
+          ))}
+        </div>
+      )}
+      <div style={{ display: 'flex', gap: '10px' }}>
+        <input
+          type={labels.type}
+          inputMode={labels.inputMode}
+          autoComplete="off"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          placeholder={labels.placeholder}
+          aria-label={labels.tab}
+          style={{
+            flex: 1,
+            padding: '12px',
+            fontSize: '18px',
+            fontFamily: "'Space Mono', monospace",
+            backgroundColor: '#ffecd1',
+            color: '#3e000c',
+            border: 'none'
+          }}
+        />
+        <button
+          type="submit"
+          disabled={!consent || !to.trim() || status.state === 'sending'}
+          style={{
+            padding: '12px 24px',
+            fontSize: '18px',
+            fontFamily: "'Space Mono', monospace",
+            backgroundColor: '#9d2222',
+            color: '#ffecd1',
+            border: 'none',
+            cursor: 'pointer',
+            opacity: !consent || !to.trim() ? 0.5 : 1
+          }}
+        >
+          {status.state === 'sending' ? 'Sending...' : 'Send'}
+        </button>
+      </div>
+      <label style={{ display: 'flex', gap: '10px', alignItems: 'flex-start', fontSize: '13px', cursor: 'pointer' }}>
+        <input type="checkbox" checked={consent} onChange={(e) => setConsent(e.target.checked)} style={{ width: '20px', height: '20px' }} />
+        {CONSENT_TEXT}
+      </label>
+      {status.message && (
+        <span style={{ fontSize: '14px', textAlign: 'center', color: status.state === 'error' ? '#ff6b6b' : '#4CAF50' }}>
+          {status.message}
+        </span>
+      )}
+    </form>
+  );
+};
+
+export default SendToMePanel;
@@ -0,0 +1,79 @@
+import React from 'react';
+
+export const settingsLabelStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: '6px',
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '14px',
+  color: '#ffecd1'
+};
+
+export const settingsInputStyle = {
+  padding: '10px',
+  fontSize: '16px',
+  fontFamily: "'Space Mono', monospace",
+  backgroundColor: '#ffecd1',
+  color: '#3e000c',
+  border: 'none',
+  borderRadius: '0'
+};
+
+export const SettingsSection = ({ title, children }) => (
+  <section style={{
+    backgroundColor: 'rgba(0,0,0,0.3)',
+    padding: '20px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '15px'
+  }}>
+    <h3 style={{ fontFamily: "'Farmhand Serif', serif", fontSize: '28px', color: '#ffd482' }}>
+      {title}
+    </h3>
+    {children}
+  </section>
+);
+
+// Also used for other operator-only screens, which pass their own title
+const SettingsScreen = ({ style, onBack, title = 'SETTINGS', children }) => (
+  <div style={style}>
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      height: '100%',
+      padding: '40px',
+      gap: '20px'
+    }} className="fade-in">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h2 style={{
+          fontFamily: "'Farmhand Serif', serif",
+          fontSize: '56px',
+          color: '#ffd482',
+          letterSpacing: '2px'
+        }}>
+          {title}
+        </h2>
+        <button
+          onClick={onBack}
+          style={{
+            padding: '12px 24px',
+            fontSize: '16px',
+            fontFamily: "'Space Mono', monospace",
+            backgroundColor: '#9d2222',
+            color: '#ffecd1',
+            border: 'none',
+            cursor: 'pointer'
+          }}
+        >
+          Back
+        </button>
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '20px' }}>
+        {children}
+      </div>
+    </div>
+  </div>
+);
+
+export default SettingsScreen;
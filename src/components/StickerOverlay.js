@@ -0,0 +1,132 @@
+import React, { useEffect, useRef } from 'react';
+import { trackFaces } from '../utils/faceTracking';
+import { drawSelection, drawStickers, hitTestStickers, moveSticker, resolvePlacements } from '../utils/stickers';
+
+// Landmarks every ~100ms keep up with guests on a kiosk CPU; drawing still runs every frame
+const DETECT_INTERVAL_MS = 100;
+// Keep the last faces through a missed detection or two so stickers don't jump to their defaults
+const FACE_HOLD_MS = 1000;
+
+// Canvas over the live slot that draws the stickers the same way takePhoto does and lets guests drag them.
+// Faces found by the tracker go into facesRef so the photo uses the same positions as the preview
+const StickerOverlay = ({
+  videoRef,
+  facesRef,
+  tracker,
+  placements,
+  onChange,
+  selectedId,
+  onSelect,
+  images,
+  orientation,
+  slotAspect,
+  flip
+}) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const latest = useRef({});
+  latest.current = { placements, selectedId, images, orientation, slotAspect, flip };
+
+  useEffect(() => {
+    let frame;
+    let lastDetect = 0;
+    let lastSeen = 0;
+    if (!tracker) facesRef.current = [];
+
+    const draw = () => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      const { placements, selectedId, images, flip } = latest.current;
+      const scale = window.devicePixelRatio || 1;
+      const width = Math.round(canvas.clientWidth * scale);
+      const height = Math.round(canvas.clientHeight * scale);
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, width, height);
+      const region = { x: 0, y: 0, width, height };
+      const resolved = resolvePlacements(placements, facesRef.current);
+      drawStickers(ctx, resolved, region, { images, flip });
+      const selected = resolved.find(placement => placement.id === selectedId);
+      if (selected) drawSelection(ctx, selected, region, { images, flip });
+    };
+
+    const loop = (now) => {
+      frame = requestAnimationFrame(loop);
+      const video = videoRef.current;
+      if (tracker && video && video.readyState >= 2 && now - lastDetect >= DETECT_INTERVAL_MS) {
+        lastDetect = now;
+        try {
+          const { orientation, slotAspect } = latest.current;
+          const faces = trackFaces(tracker, video, { orientation, slotAspect });
+          if (faces.length) lastSeen = now;
+          if (faces.length || now - lastSeen > FACE_HOLD_MS) facesRef.current = faces;
+        } catch (error) {
+          console.error('Face tracking failed:', error);
+        }
+      }
+      draw();
+    };
+
+    frame = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(frame);
+  }, [tracker, videoRef, facesRef]);
+
+  // Pointer position as a fraction of the slot, in photo coordinates
+  const pointerAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    return { x: flip ? 1 - x : x, y: (e.clientY - rect.top) / rect.height };
+  };
+
+  const handlePointerDown = (e) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const resolved = resolvePlacements(placements, facesRef.current);
+    const idx = hitTestStickers(
+      resolved,
+      ((e.clientX - rect.left) / rect.width) * canvas.width,
+      ((e.clientY - rect.top) / rect.height) * canvas.height,
+      { x: 0, y: 0, width: canvas.width, height: canvas.height },
+      { images, flip }
+    );
+    if (idx === -1) {
+      onSelect(null);
+      return;
+    }
+    const point = pointerAt(e);
+    dragRef.current = { id: resolved[idx].id, dx: resolved[idx].x - point.x, dy: resolved[idx].y - point.y };
+    canvas.setPointerCapture(e.pointerId);
+    onSelect(resolved[idx].id);
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = pointerAt(e);
+    const x = Math.min(1, Math.max(0, point.x + drag.dx));
+    const y = Math.min(1, Math.max(0, point.y + drag.dy));
+    onChange(placements.map(placement => (
+      placement.id === drag.id ? moveSticker(placement, x, y, facesRef.current) : placement
+    )));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', zIndex: 5, touchAction: 'none' }}
+    />
+  );
+};
+
+export default StickerOverlay;
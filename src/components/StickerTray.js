@@ -0,0 +1,67 @@
+import React from 'react';
+
+const trayButtonStyle = {
+  minWidth: '56px',
+  height: '56px',
+  padding: '0 10px',
+  fontSize: '30px',
+  backgroundColor: '#ffecd1',
+  color: '#3e000c',
+  border: '2px solid #ffd482',
+  cursor: 'pointer'
+};
+
+const controlStyle = {
+  padding: '6px 14px',
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '16px',
+  backgroundColor: '#9d2222',
+  color: '#ffecd1',
+  border: 'none',
+  cursor: 'pointer'
+};
+
+// Sticker picker under the camera preview, plus size and remove controls for the selected sticker
+const StickerTray = ({ stickers, images, onAdd, selectedId, onResize, onRemove, onClear, canClear, tracking }) => (
+  <div style={{
+    marginTop: '15px',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'center',
+    gap: '10px',
+    backgroundColor: 'rgba(0,0,0,0.6)',
+    padding: '12px 20px',
+    maxWidth: '640px'
+  }}>
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', justifyContent: 'center' }}>
+      {stickers.map(sticker => (
+        <button key={sticker.id} onClick={() => onAdd(sticker.id)} title={sticker.label} style={trayButtonStyle}>
+          {sticker.kind === 'bubble' && (
+            <span style={{ fontFamily: "'Space Mono', monospace", fontSize: '14px', fontWeight: 'bold' }}>{sticker.text}</span>
+          )}
+          {sticker.kind === 'logo' && (
+            <img src={images[sticker.id].src} alt={sticker.label} style={{ maxWidth: '60px', maxHeight: '40px' }} />
+          )}
+          {sticker.kind === 'emoji' && sticker.glyph}
+        </button>
+      ))}
+    </div>
+    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', fontFamily: "'Space Mono', monospace", fontSize: '14px', color: '#ffecd1' }}>
+      {selectedId !== null ? (
+        <>
+          <button onClick={() => onResize(1 / 1.2)} style={controlStyle}>Smaller</button>
+          <button onClick={() => onResize(1.2)} style={controlStyle}>Bigger</button>
+          <button onClick={onRemove} style={controlStyle}>Remove</button>
+        </>
+      ) : (
+        <span>
+          {tracking === 'loading' && 'Finding faces... '}
+          {tracking === 'on' ? 'Props stick to faces. Drag one to place it yourself.' : 'Tap a prop, then drag it into place.'}
+        </span>
+      )}
+      {canClear && <button onClick={onClear} style={controlStyle}>Clear all</button>}
+    </div>
+  </div>
+);
+
+export default StickerTray;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { fitLayoutScale, resolveLayoutText } from '../utils/layouts';
+
+// On-screen version of a layout template's photo area; renderSlot fills each photo slot
+const StripLayout = ({
+  template,
+  maxWidth,
+  maxHeight,
+  renderSlot,
+  overlayImages = {},
+  fonts = {},
+  textValues,
+  slotStyle
+}) => {
+  const scale = fitLayoutScale(template, maxWidth, maxHeight);
+
+  return (
+    <div style={{
+      position: 'relative',
+      width: `${template.width * scale}px`,
+      height: `${template.height * scale}px`,
+      margin: '0 auto',
+      flexShrink: 0
+    }}>
+      {template.slots.map((slot, idx) => (
+        <div key={idx} style={{
+          position: 'absolute',
+          left: `${slot.x * scale}px`,
+          top: `${slot.y * scale}px`,
+          width: `${slot.width * scale}px`,
+          height: `${slot.height * scale}px`,
+          overflow: 'hidden',
+          boxSizing: 'border-box',
+          ...slotStyle
+        }}>
+          {renderSlot(idx)}
+        </div>
+      ))}
+
+      {template.overlays.map((overlay, idx) => overlayImages[overlay.image] && (
+        <img
+          key={idx}
+          src={overlayImages[overlay.image]}
+          alt=""
+          style={{
+            position: 'absolute',
+            left: `${overlay.x * scale}px`,
+            top: `${overlay.y * scale}px`,
+            width: `${overlay.width * scale}px`,
+            height: `${overlay.height * scale}px`,
+            transform: `rotate(${overlay.rotation}deg)`,
+            opacity: overlay.opacity,
+            pointerEvents: 'none',
+            zIndex: 5
+          }}
+        />
+      ))}
+
+      {template.texts.map((block, idx) => (
+        <div key={idx} style={{
+          position: 'absolute',
+          left: `${block.x * scale}px`,
+          top: `${block.y * scale}px`,
+          width: `${block.width * scale}px`,
+          fontSize: `${block.size * scale}px`,
+          fontFamily: `'${fonts[block.font] || fonts.body}', monospace`,
+          textAlign: block.align,
+          lineHeight: 1,
+          whiteSpace: 'nowrap',
+          overflow: 'hidden',
+          color: '#000'
+        }}>
+          {resolveLayoutText(block.text, textValues)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StripLayout;
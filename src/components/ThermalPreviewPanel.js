@@ -0,0 +1,135 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DITHER_ALGORITHMS } from '../utils/dithering';
+import { ENCODING_MODES } from '../utils/escpos';
+
+const labelStyle = {
+  fontFamily: "'Space Mono', monospace",
+  fontSize: '12px',
+  color: '#ffecd1',
+  display: 'flex',
+  justifyContent: 'space-between',
+  gap: '10px'
+};
+
+const ThermalPreviewPanel = ({ sourceImage, settings, onSettingsChange, encoding, onEncodingChange, rasterize }) => {
+  const canvasRef = useRef(null);
+  const [isRendering, setIsRendering] = useState(false);
+
+  useEffect(() => {
+    if (!sourceImage) return;
+    let cancelled = false;
+    setIsRendering(true);
+
+    rasterize(sourceImage)
+      .then((bitmap) => {
+        if (cancelled || !canvasRef.current) return;
+        const canvas = canvasRef.current;
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(new ImageData(bitmap.data, bitmap.width, bitmap.height), 0, 0);
+      })
+      .catch((error) => console.error('Thermal preview failed:', error))
+      .finally(() => {
+        if (!cancelled) setIsRendering(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [sourceImage, settings, rasterize]);
+
+  const update = (field, value) => onSettingsChange({ ...settings, [field]: value });
+  const usesThreshold = settings.algorithm !== 'bayer4' && settings.algorithm !== 'bayer8';
+
+  return (
+    <div style={{ display: 'flex', gap: '20px', alignItems: 'flex-start' }}>
+      <div style={{
+        width: '384px',
+        maxHeight: '640px',
+        overflowY: 'auto',
+        backgroundColor: '#FFFFFF',
+        boxShadow: '10px 10px 0 rgba(0,0,0,0.3)',
+        position: 'relative'
+      }}>
+        {/* 1:1 with printer dots on 58mm paper; wider profiles are scaled down to fit */}
+        <canvas ref={canvasRef} style={{ display: 'block', width: '100%', imageRendering: 'pixelated' }} />
+        {isRendering && (
+          <div style={{
+            position: 'absolute',
+            top: '10px',
+            right: '10px',
+            fontFamily: "'Space Mono', monospace",
+            fontSize: '12px',
+            backgroundColor: 'rgba(0,0,0,0.6)',
+            color: '#ffecd1',
+            padding: '4px 8px'
+          }}>
+            Rendering...
+          </div>
+        )}
+      </div>
+
+      <div style={{
+        width: '220px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '14px',
+        backgroundColor: 'rgba(0,0,0,0.4)',
+        padding: '15px'
+      }}>
+        <label style={{ ...labelStyle, flexDirection: 'column' }}>
+          Algorithm
+          <select
+            value={settings.algorithm}
+            onChange={(e) => update('algorithm', e.target.value)}
+            style={{ fontFamily: "'Space Mono', monospace", padding: '6px', backgroundColor: '#ffecd1', border: 'none' }}
+          >
+            {DITHER_ALGORITHMS.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+
+        {usesThreshold && (
+          <label style={{ ...labelStyle, flexDirection: 'column' }}>
+            <span style={labelStyle}>Threshold <span>{settings.threshold}</span></span>
+            <input type="range" min="0" max="255" value={settings.threshold}
+              onChange={(e) => update('threshold', Number(e.target.value))} />
+          </label>
+        )}
+
+        <label style={{ ...labelStyle, flexDirection: 'column' }}>
+          <span style={labelStyle}>Gamma <span>{settings.gamma.toFixed(2)}</span></span>
+          <input type="range" min="0.3" max="3" step="0.05" value={settings.gamma}
+            onChange={(e) => update('gamma', Number(e.target.value))} />
+        </label>
+
+        <label style={{ ...labelStyle, flexDirection: 'column' }}>
+          <span style={labelStyle}>Contrast <span>{settings.contrast}</span></span>
+          <input type="range" min="-100" max="100" value={settings.contrast}
+            onChange={(e) => update('contrast', Number(e.target.value))} />
+        </label>
+
+        <label style={{ ...labelStyle, flexDirection: 'column' }}>
+          <span style={labelStyle}>Sharpen <span>{settings.sharpen.toFixed(1)}</span></span>
+          <input type="range" min="0" max="2" step="0.1" value={settings.sharpen}
+            onChange={(e) => update('sharpen', Number(e.target.value))} />
+        </label>
+
+        <label style={{ ...labelStyle, flexDirection: 'column' }}>
+          Print mode
+          <select
+            value={encoding}
+            onChange={(e) => onEncodingChange(e.target.value)}
+            style={{ fontFamily: "'Space Mono', monospace", padding: '6px', backgroundColor: '#ffecd1', border: 'none' }}
+          >
+            {ENCODING_MODES.map(({ id, label }) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default ThermalPreviewPanel;
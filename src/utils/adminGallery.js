@@ -0,0 +1,81 @@
+// Operator view of everything captured at an event, built from the strip rows in storage
+
+import { createZip } from './zip';
+import { loadSessionGallery, sessionKeys, sessionZipFiles, stripKey } from './guestGallery';
+
+const STRIP_PREFIX = stripKey('');
+
+// Sessions from before takenAt was stored used Date.now() as their id
+export const sessionTakenAt = (id, value) => {
+  if (value.takenAt) return new Date(value.takenAt);
+  if (/^\d{13}$/.test(id)) return new Date(Number(id));
+  return null;
+};
+
+// eventId null means sessions taken before any event was configured
+export const listEventSessions = async (storage, { eventId = null } = {}) => {
+  const rows = await storage.list({ prefix: STRIP_PREFIX, eventId });
+  return rows
+    .map(({ key, value }) => {
+      const id = key.slice(STRIP_PREFIX.length);
+      return {
+        id,
+        key,
+        takenAt: sessionTakenAt(id, value),
+        date: value.date,
+        expiry: value.expiry,
+        image: value.image,
+        frameCount: value.frameCount || 0,
+        hidden: !!value.hidden
+      };
+    })
+    .sort((a, b) => (b.takenAt || 0) - (a.takenAt || 0));
+};
+
+// from/to are <input type="date"> values (YYYY-MM-DD, local time); both ends are inclusive
+export const filterSessionsByDate = (sessions, { from = '', to = '' } = {}) => {
+  if (!from && !to) return sessions;
+  const start = from ? new Date(`${from}T00:00:00`) : null;
+  const end = to ? new Date(`${to}T23:59:59.999`) : null;
+  return sessions.filter(({ takenAt }) => (
+    takenAt && (!start || takenAt >= start) && (!end || takenAt <= end)
+  ));
+};
+
+// Hidden sessions stay in storage for the operator but the guest link treats them as not found
+export const setSessionHidden = (storage, session, hidden) => Promise.all(
+  sessionKeys(session.id, session.frameCount).map(key => storage.update(key, { hidden }))
+);
+
+export const deleteSession = (storage, session) => Promise.all(
+  sessionKeys(session.id, session.frameCount).map(key => storage.delete(key))
+);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const sessionFolder = (session) => {
+  const { takenAt } = session;
+  if (!takenAt) return session.id;
+  const stamp = `${takenAt.getFullYear()}-${pad(takenAt.getMonth() + 1)}-${pad(takenAt.getDate())}` +
+    `_${pad(takenAt.getHours())}${pad(takenAt.getMinutes())}${pad(takenAt.getSeconds())}`;
+  return `${stamp}_${session.id}`;
+};
+
+// Every stored value of one event by key, for looking up frames and GIFs without a request per key.
+// Goes through list() rather than get() so sessions past their guest link expiry are still included
+export const loadStoredValues = async (storage, { eventId = null } = {}) => {
+  const rows = await storage.list({ prefix: 'photo_', eventId });
+  return new Map(rows.map(({ key, value }) => [key, value]));
+};
+
+// One folder per session with its strip, frames and GIF. Sessions are fetched one at a time so a big event
+// doesn't start hundreds of downloads at once
+export const createEventZip = async (sessions, getValue, { onProgress = () => {} } = {}) => {
+  const files = [];
+  for (const [idx, session] of sessions.entries()) {
+    const gallery = await loadSessionGallery(getValue, session.id);
+    if (gallery) files.push(...await sessionZipFiles(gallery, sessionFolder(session)));
+    onProgress(idx + 1, sessions.length);
+  }
+  return createZip(files);
+};
@@ -0,0 +1,80 @@
+import { createMemoryStorage, createStorageService } from './storage';
+import { frameKey, gifKey, loadSessionGallery, stripKey } from './guestGallery';
+import {
+  deleteSession,
+  filterSessionsByDate,
+  listEventSessions,
+  loadStoredValues,
+  sessionTakenAt,
+  setSessionHidden
+} from './adminGallery';
+
+const PNG = 'data:image/png;base64,iVBORw0KGgo=';
+
+const seed = async () => {
+  const adapter = createMemoryStorage();
+  const storage = createStorageService(adapter);
+  const put = (key, value) => storage.set(key, JSON.stringify({ image: PNG, expiry: '2099-01-01T00:00:00Z', ...value }));
+
+  const launch = { id: 'e1', name: 'Launch' };
+  await put(stripKey('first'), { event: launch, takenAt: '2025-03-01T10:00:00', frameCount: 1 });
+  await put(frameKey('first', 1), { event: launch });
+  await put(gifKey('first'), { event: launch, isGif: true });
+  await put(stripKey('second'), { event: launch, takenAt: '2025-03-02T21:30:00' });
+  await put(stripKey('other'), { event: { id: 'e2' }, takenAt: '2025-03-02T12:00:00' });
+  await put(stripKey('1700000000000'), { event: { id: null } });
+  return { adapter, storage };
+};
+
+test('lists an event\'s sessions newest first', async () => {
+  const { storage } = await seed();
+
+  const sessions = await listEventSessions(storage, { eventId: 'e1' });
+  expect(sessions.map(s => s.id)).toEqual(['second', 'first']);
+  expect(sessions[1]).toMatchObject({ frameCount: 1, hidden: false, image: 'memory://photo_png_first.png' });
+
+  const beforeEvents = await listEventSessions(storage);
+  expect(beforeEvents.map(s => s.id)).toEqual(['1700000000000']);
+  expect(beforeEvents[0].takenAt).toEqual(new Date(1700000000000));
+});
+
+test('date filters are inclusive whole days in local time', () => {
+  const sessions = [
+    { id: 'a', takenAt: new Date('2025-03-01T10:00:00') },
+    { id: 'b', takenAt: new Date('2025-03-02T23:59:00') },
+    { id: 'c', takenAt: null }
+  ];
+  expect(filterSessionsByDate(sessions, {}).map(s => s.id)).toEqual(['a', 'b', 'c']);
+  expect(filterSessionsByDate(sessions, { from: '2025-03-02' }).map(s => s.id)).toEqual(['b']);
+  expect(filterSessionsByDate(sessions, { from: '2025-03-01', to: '2025-03-02' }).map(s => s.id)).toEqual(['a', 'b']);
+  expect(filterSessionsByDate(sessions, { to: '2025-03-01' }).map(s => s.id)).toEqual(['a']);
+});
+
+test('hiding marks every key of the session and the guest gallery sees it', async () => {
+  const { adapter, storage } = await seed();
+  const [, first] = await listEventSessions(storage, { eventId: 'e1' });
+
+  await setSessionHidden(storage, first, true);
+
+  expect(adapter.records.get(frameKey('first', 1)).hidden).toBe(true);
+  expect(adapter.records.get(gifKey('first'))).toMatchObject({ hidden: true, image: 'memory://photo_gif_first.png' });
+  const values = await loadStoredValues(storage, { eventId: 'e1' });
+  expect(values.has(stripKey('other'))).toBe(false);
+  const gallery = await loadSessionGallery(async key => values.get(key) || null, 'first');
+  expect(gallery.hidden).toBe(true);
+});
+
+test('deleting removes the strip, frames and GIF', async () => {
+  const { adapter, storage } = await seed();
+  const [, first] = await listEventSessions(storage, { eventId: 'e1' });
+
+  await deleteSession(storage, first);
+
+  expect([...adapter.records.keys()].filter(key => key.includes('first'))).toEqual([]);
+  expect(adapter.images.has('photo_frame_first_1.png')).toBe(false);
+});
+
+test('sessions without takenAt fall back to a timestamp id, or nothing', () => {
+  expect(sessionTakenAt('k7m2x9qp4tza', {})).toBeNull();
+  expect(sessionTakenAt('k7m2x9qp4tza', { takenAt: '2025-01-01T00:00:00Z' })).toEqual(new Date('2025-01-01T00:00:00Z'));
+});
@@ -0,0 +1,82 @@
+// Animated capture: record a short burst from the live video and turn it into a GIF or boomerang
+// Encoding itself lives in gifEncoder.js so this stays testable without web workers
+
+import { coverCrop } from './layouts';
+import { drawOrientedFrame, isIdentityOrientation, orientedSize } from './camera';
+
+export const ANIMATION_MODES = [
+  { id: 'off', label: 'Photos only' },
+  { id: 'gif', label: 'GIF' },
+  { id: 'boomerang', label: 'Boomerang' }
+];
+
+export const BURST_SETTINGS = {
+  frameCount: 12,
+  intervalMs: 120,
+  width: 480
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Boomerang plays forward then back, skipping the end frames so they don't stutter
+export const sequenceFrames = (frames, mode) => {
+  if (mode !== 'boomerang' || frames.length < 3) return frames;
+  return [...frames, ...frames.slice(1, -1).reverse()];
+};
+
+// The video element may have just been re-mounted, so wait until it has a frame to draw
+const waitForVideoFrame = async (video, timeoutMs = 2000) => {
+  const started = Date.now();
+  while (video.readyState < 2 || !video.videoWidth) {
+    if (Date.now() - started > timeoutMs) throw new Error('Camera stopped before the burst could start');
+    await sleep(50);
+  }
+};
+
+// Frames are cropped to the slot's aspect ratio so the GIF matches the strip
+export const captureBurst = async (video, {
+  aspectRatio,
+  frameCount = BURST_SETTINGS.frameCount,
+  intervalMs = BURST_SETTINGS.intervalMs,
+  width = BURST_SETTINGS.width,
+  orientation, // { rotation, mirror } from the camera settings, so the GIF matches the photos
+  onFrame
+}) => {
+  await waitForVideoFrame(video);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.round(width / aspectRatio);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  // Rotated or mirrored frames are drawn upright first and cropped from there
+  let source = video;
+  let sourceSize = { width: video.videoWidth, height: video.videoHeight };
+  let orient = null;
+  if (!isIdentityOrientation(orientation)) {
+    sourceSize = orientedSize(video.videoWidth, video.videoHeight, orientation.rotation);
+    source = document.createElement('canvas');
+    source.width = sourceSize.width;
+    source.height = sourceSize.height;
+    const sourceCtx = source.getContext('2d');
+    orient = () => drawOrientedFrame(sourceCtx, video, video.videoWidth, video.videoHeight, orientation);
+  }
+  const crop = coverCrop(sourceSize.width, sourceSize.height, canvas.width, canvas.height);
+
+  const frames = [];
+  for (let i = 0; i < frameCount; i++) {
+    if (orient) orient();
+    ctx.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+    frames.push(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    if (onFrame) onFrame(i + 1, frameCount);
+    if (i < frameCount - 1) await sleep(intervalMs);
+  }
+  return frames;
+};
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
@@ -0,0 +1,20 @@
+import { ANIMATION_MODES, blobToDataUrl, sequenceFrames } from './animation';
+
+test('offers photo-only, GIF and boomerang modes', () => {
+  expect(ANIMATION_MODES.map(mode => mode.id)).toEqual(['off', 'gif', 'boomerang']);
+});
+
+test('GIF mode keeps the burst as recorded', () => {
+  const frames = [1, 2, 3, 4];
+  expect(sequenceFrames(frames, 'gif')).toBe(frames);
+});
+
+test('boomerang plays back without repeating the turning frames', () => {
+  expect(sequenceFrames([1, 2, 3, 4], 'boomerang')).toEqual([1, 2, 3, 4, 3, 2]);
+  expect(sequenceFrames([1, 2], 'boomerang')).toEqual([1, 2]);
+});
+
+test('blobToDataUrl reads the encoded GIF for upload', async () => {
+  const blob = new Blob(['GIF89a'], { type: 'image/gif' });
+  await expect(blobToDataUrl(blob)).resolves.toBe(`data:image/gif;base64,${btoa('GIF89a')}`);
+});
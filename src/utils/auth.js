@@ -0,0 +1,117 @@
+// Operator authentication
+// Providers share one shape: getSession(), signIn({ email, password }), signOut(), onChange(listener)
+// A session is { user: { id, email, role } } or null
+
+export const ROLES = {
+  OPERATOR: 'operator',
+  EVENT_ADMIN: 'event_admin'
+};
+
+export const PERMISSIONS = {
+  RUN_BOOTH: 'run_booth',
+  MANAGE_PRINTER: 'manage_printer',
+  EDIT_SETTINGS: 'edit_settings',
+  VIEW_GALLERY: 'view_gallery'
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.OPERATOR]: [PERMISSIONS.RUN_BOOTH, PERMISSIONS.MANAGE_PRINTER],
+  [ROLES.EVENT_ADMIN]: Object.values(PERMISSIONS)
+};
+
+export const hasPermission = (session, permission) => {
+  if (!session || !session.user) return false;
+  const granted = ROLE_PERMISSIONS[session.user.role] || [];
+  return granted.includes(permission);
+};
+
+// Roles live in app_metadata, which only the service role can write, so guests can't promote themselves
+const toSession = (supabaseSession) => {
+  if (!supabaseSession || !supabaseSession.user) return null;
+  const { user } = supabaseSession;
+  const role = (user.app_metadata && user.app_metadata.role) || ROLES.OPERATOR;
+  return { user: { id: user.id, email: user.email, role } };
+};
+
+export const createSupabaseAuthProvider = (supabase) => ({
+  getSession: async () => {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) throw error;
+    return toSession(data.session);
+  },
+
+  signIn: async ({ email, password }) => {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return toSession(data.session);
+  },
+
+  signOut: async () => {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+  },
+
+  onChange: (listener) => {
+    const { data } = supabase.auth.onAuthStateChange((event, session) => listener(toSession(session)));
+    return () => data.subscription.unsubscribe();
+  }
+});
+
+// For tests and offline development only - credentials are whatever you pass in
+export const createLocalAuthProvider = ({
+  users = [],
+  storage = localStorage,
+  storageKey = 'thermaSnaps.localSession'
+} = {}) => {
+  const listeners = new Set();
+  const notify = (session) => listeners.forEach(listener => listener(session));
+
+  return {
+    getSession: async () => {
+      const saved = storage.getItem(storageKey);
+      return saved ? JSON.parse(saved) : null;
+    },
+
+    signIn: async ({ email, password }) => {
+      const match = users.find(u => u.email === email && u.password === password);
+      if (!match) throw new Error('Invalid login credentials');
+      const session = {
+        user: { id: match.id || match.email, email: match.email, role: match.role || ROLES.OPERATOR }
+      };
+      storage.setItem(storageKey, JSON.stringify(session));
+      notify(session);
+      return session;
+    },
+
+    signOut: async () => {
+      storage.removeItem(storageKey);
+      notify(null);
+    },
+
+    onChange: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+const parseLocalUsers = () => {
+  try {
+    return JSON.parse(process.env.REACT_APP_LOCAL_AUTH_USERS || '[]');
+  } catch {
+    console.warn('REACT_APP_LOCAL_AUTH_USERS is not valid JSON');
+    return [];
+  }
+};
+
+// REACT_APP_AUTH_PROVIDER=local swaps Supabase Auth for the local provider during development
+export const createAuthProvider = (supabase) => {
+  if (process.env.REACT_APP_AUTH_PROVIDER === 'local') {
+    return createLocalAuthProvider({ users: parseLocalUsers() });
+  }
+  if (!supabase) {
+    console.warn('Supabase not configured. Using local operator accounts from REACT_APP_LOCAL_AUTH_USERS.');
+    return createLocalAuthProvider({ users: parseLocalUsers() });
+  }
+  return createSupabaseAuthProvider(supabase);
+};
@@ -0,0 +1,100 @@
+import {
+  ROLES,
+  PERMISSIONS,
+  hasPermission,
+  createLocalAuthProvider,
+  createSupabaseAuthProvider
+} from './auth';
+
+const users = [
+  { email: 'op@booth.test', password: 'op-pass', role: ROLES.OPERATOR },
+  { email: 'admin@booth.test', password: 'admin-pass', role: ROLES.EVENT_ADMIN }
+];
+
+afterEach(() => localStorage.clear());
+
+test('operators can run the booth but not change settings', () => {
+  const session = { user: { role: ROLES.OPERATOR } };
+  expect(hasPermission(session, PERMISSIONS.RUN_BOOTH)).toBe(true);
+  expect(hasPermission(session, PERMISSIONS.MANAGE_PRINTER)).toBe(true);
+  expect(hasPermission(session, PERMISSIONS.EDIT_SETTINGS)).toBe(false);
+  expect(hasPermission(session, PERMISSIONS.VIEW_GALLERY)).toBe(false);
+});
+
+test('event admins have every permission', () => {
+  const session = { user: { role: ROLES.EVENT_ADMIN } };
+  Object.values(PERMISSIONS).forEach(permission => {
+    expect(hasPermission(session, permission)).toBe(true);
+  });
+});
+
+test('no session or an unknown role grants nothing', () => {
+  expect(hasPermission(null, PERMISSIONS.RUN_BOOTH)).toBe(false);
+  expect(hasPermission({ user: { role: 'guest' } }, PERMISSIONS.RUN_BOOTH)).toBe(false);
+});
+
+test('local provider signs in, persists and signs out', async () => {
+  const auth = createLocalAuthProvider({ users });
+  const listener = jest.fn();
+  auth.onChange(listener);
+
+  const session = await auth.signIn({ email: 'admin@booth.test', password: 'admin-pass' });
+  expect(session.user).toMatchObject({ email: 'admin@booth.test', role: ROLES.EVENT_ADMIN });
+  expect(listener).toHaveBeenLastCalledWith(session);
+
+  // A fresh provider (page refresh) sees the stored session
+  const afterRefresh = createLocalAuthProvider({ users });
+  expect(await afterRefresh.getSession()).toEqual(session);
+
+  await auth.signOut();
+  expect(await afterRefresh.getSession()).toBeNull();
+  expect(listener).toHaveBeenLastCalledWith(null);
+});
+
+test('local provider rejects bad credentials', async () => {
+  const auth = createLocalAuthProvider({ users });
+  await expect(auth.signIn({ email: 'op@booth.test', password: 'nope' })).rejects.toThrow('Invalid login');
+  expect(await auth.getSession()).toBeNull();
+});
+
+test('supabase provider reads the role from app_metadata', async () => {
+  const supabaseSession = {
+    user: { id: 'u1', email: 'admin@booth.test', app_metadata: { role: ROLES.EVENT_ADMIN }, user_metadata: { role: 'ignored' } }
+  };
+  const unsubscribe = jest.fn();
+  const client = {
+    auth: {
+      getSession: jest.fn().mockResolvedValue({ data: { session: supabaseSession }, error: null }),
+      signInWithPassword: jest.fn().mockResolvedValue({ data: { session: supabaseSession }, error: null }),
+      signOut: jest.fn().mockResolvedValue({ error: null }),
+      onAuthStateChange: jest.fn(() => ({ data: { subscription: { unsubscribe } } }))
+    }
+  };
+  const auth = createSupabaseAuthProvider(client);
+
+  expect(await auth.getSession()).toEqual({ user: { id: 'u1', email: 'admin@booth.test', role: ROLES.EVENT_ADMIN } });
+  await auth.signIn({ email: 'admin@booth.test', password: 'x' });
+  expect(client.auth.signInWithPassword).toHaveBeenCalledWith({ email: 'admin@booth.test', password: 'x' });
+
+  auth.onChange(() => {})();
+  expect(unsubscribe).toHaveBeenCalled();
+});
+
+test('supabase users without a role default to operator', async () => {
+  const client = {
+    auth: {
+      getSession: jest.fn().mockResolvedValue({ data: { session: { user: { id: 'u2', email: 'x@y', app_metadata: {} } } }, error: null })
+    }
+  };
+  const session = await createSupabaseAuthProvider(client).getSession();
+  expect(session.user.role).toBe(ROLES.OPERATOR);
+});
+
+test('supabase sign-in errors are rethrown', async () => {
+  const client = {
+    auth: {
+      signInWithPassword: jest.fn().mockResolvedValue({ data: {}, error: new Error('Invalid login credentials') })
+    }
+  };
+  await expect(createSupabaseAuthProvider(client).signIn({ email: 'a', password: 'b' })).rejects.toThrow('Invalid login');
+});
@@ -0,0 +1,164 @@
+// Camera selection and capture orientation
+// Kiosks run USB webcams and HDMI capture cards, which often can't do the mode asked for, so opening the
+// camera walks down a ladder of constraints until one works and reports what it settled on
+
+export const RESOLUTIONS = [
+  { id: '3840x2160', label: '4K (3840x2160)', width: 3840, height: 2160 },
+  { id: '1920x1080', label: '1080p (1920x1080)', width: 1920, height: 1080 },
+  { id: '1280x720', label: '720p (1280x720)', width: 1280, height: 720 },
+  { id: '640x480', label: 'VGA (640x480)', width: 640, height: 480 }
+];
+
+export const FRAME_RATES = [60, 30, 24, 15];
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+// Matches what the booth did before cameras were configurable
+export const DEFAULT_CAMERA_SETTINGS = {
+  deviceId: '', // '' uses the front-facing camera
+  resolution: '1920x1080',
+  frameRate: 30,
+  mirrorPreview: false, // flip the live view so guests see themselves like in a mirror
+  mirrorOutput: false, // flip the saved photos and GIF
+  rotation: 0 // degrees clockwise, for cameras mounted sideways or upside down
+};
+
+const SETTINGS_KEY = 'thermaSnaps.cameraSettings';
+
+export const loadCameraSettings = () => {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return saved ? { ...DEFAULT_CAMERA_SETTINGS, ...JSON.parse(saved) } : DEFAULT_CAMERA_SETTINGS;
+  } catch {
+    return DEFAULT_CAMERA_SETTINGS;
+  }
+};
+
+export const saveCameraSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const resolutionOf = (id) => RESOLUTIONS.find(r => r.id === id) || RESOLUTIONS[1];
+
+// Most specific first. `ideal` lets the browser pick the nearest mode, but some capture cards still
+// reject the whole request, so lower resolutions follow, then the device at its default mode, then any camera
+export const buildConstraintLadder = (settings) => {
+  const chosen = resolutionOf(settings.resolution);
+  const device = settings.deviceId ? { deviceId: { exact: settings.deviceId } } : { facingMode: 'user' };
+  const frameRate = { ideal: settings.frameRate };
+
+  const ladder = [chosen, ...RESOLUTIONS.filter(r => r.width < chosen.width)].map(({ label, width, height }) => ({
+    label,
+    video: { ...device, width: { ideal: width }, height: { ideal: height }, frameRate }
+  }));
+  ladder.push({ label: 'default mode', video: device });
+  if (settings.deviceId) ladder.push({ label: 'any camera', video: { facingMode: 'user' } });
+  ladder.push({ label: 'any camera, any mode', video: true });
+  return ladder;
+};
+
+const ERROR_MESSAGES = {
+  NotAllowedError: 'Camera access was blocked. Allow the camera for this site in the browser\'s site settings, then try again.',
+  SecurityError: 'Camera access needs a secure connection. Open the booth over https:// or on localhost.',
+  NotFoundError: 'No camera was found. Check that the webcam or capture card is plugged in.',
+  NotReadableError: 'The camera is busy or has no signal. Close other apps using it, and check the HDMI source is on.',
+  OverconstrainedError: 'The camera can\'t deliver any of the requested formats. Try a lower resolution in Settings → Camera.',
+  AbortError: 'The camera failed to start. Unplug it, plug it back in and try again.'
+};
+
+export class CameraError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'CameraError';
+    this.cause = cause;
+  }
+}
+
+export const describeCameraError = (error) => (
+  (error && ERROR_MESSAGES[error.name]) || `Unable to access the camera${error && error.message ? `: ${error.message}` : '.'}`
+);
+
+// Permission and insecure-context errors won't change with other constraints, so there's no point going on
+const isFatal = (error) => error && (error.name === 'NotAllowedError' || error.name === 'SecurityError');
+
+// Resolves { stream, attempt, fallback } where attempt is the ladder step that worked.
+// onFallback(error, step) hears about each step that failed
+export const openCamera = async (settings, {
+  mediaDevices = typeof navigator !== 'undefined' ? navigator.mediaDevices : undefined,
+  onFallback = () => {}
+} = {}) => {
+  if (!mediaDevices || !mediaDevices.getUserMedia) {
+    throw new CameraError(ERROR_MESSAGES.SecurityError);
+  }
+
+  const ladder = buildConstraintLadder(settings);
+  let firstError = null;
+  for (const [idx, step] of ladder.entries()) {
+    try {
+      const stream = await mediaDevices.getUserMedia({ video: step.video, audio: false });
+      return { stream, attempt: step.label, fallback: idx > 0 };
+    } catch (error) {
+      if (isFatal(error)) throw new CameraError(describeCameraError(error), error);
+      // The first failure says most about the chosen camera; later ones are about the fallbacks
+      firstError = firstError || error;
+      onFallback(error, step);
+    }
+  }
+  throw new CameraError(describeCameraError(firstError), firstError);
+};
+
+// What the camera actually delivers, e.g. "1280x720 @ 30fps"
+export const describeStream = (stream) => {
+  const [track] = stream.getVideoTracks();
+  const { width, height, frameRate } = (track && track.getSettings && track.getSettings()) || {};
+  if (!width || !height) return track ? track.label : '';
+  return `${width}x${height}${frameRate ? ` @ ${Math.round(frameRate)}fps` : ''}`;
+};
+
+// Labels stay empty until the site has camera permission, so unnamed devices get numbered
+export const listCameras = async (mediaDevices = navigator.mediaDevices) => {
+  const devices = await mediaDevices.enumerateDevices();
+  return devices
+    .filter(device => device.kind === 'videoinput')
+    .map((device, idx) => ({ deviceId: device.deviceId, label: device.label || `Camera ${idx + 1}` }));
+};
+
+const isSideways = (rotation) => rotation === 90 || rotation === 270;
+
+export const orientedSize = (width, height, rotation = 0) => (
+  isSideways(rotation) ? { width: height, height: width } : { width, height }
+);
+
+// Draws a whole frame rotated clockwise, then flipped left-to-right as the guest sees it.
+// The canvas must already be orientedSize() of the source
+export const drawOrientedFrame = (ctx, source, width, height, { rotation = 0, mirror = false } = {}) => {
+  const out = orientedSize(width, height, rotation);
+  ctx.save();
+  ctx.translate(out.width / 2, out.height / 2);
+  if (mirror) ctx.scale(-1, 1);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(source, -width / 2, -height / 2, width, height);
+  ctx.restore();
+};
+
+export const isIdentityOrientation = ({ rotation = 0, mirror = false } = {}) => !rotation && !mirror;
+
+export const outputOrientation = (settings) => ({ rotation: settings.rotation, mirror: settings.mirrorOutput });
+
+// Styles for a <video> filling its slot with the preview rotation and mirroring. Sideways cameras swap the
+// element's width and height, which needs the parent to be a size container (container-type: size)
+export const previewVideoStyle = ({ rotation = 0, mirrorPreview = false }) => {
+  const transforms = [mirrorPreview && 'scaleX(-1)', rotation && `rotate(${rotation}deg)`].filter(Boolean);
+  if (!isSideways(rotation)) {
+    return { width: '100%', height: '100%', objectFit: 'cover', transform: transforms.join(' ') || undefined };
+  }
+  return {
+    position: 'absolute',
+    top: '50%',
+    left: '50%',
+    width: '100cqh',
+    height: '100cqw',
+    objectFit: 'cover',
+    transform: ['translate(-50%, -50%)', ...transforms].join(' ')
+  };
+};
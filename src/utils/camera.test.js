@@ -0,0 +1,129 @@
+import {
+  CameraError,
+  DEFAULT_CAMERA_SETTINGS,
+  buildConstraintLadder,
+  drawOrientedFrame,
+  listCameras,
+  loadCameraSettings,
+  openCamera,
+  orientedSize,
+  previewVideoStyle,
+  saveCameraSettings
+} from './camera';
+
+const failure = (name) => Object.assign(new Error(name), { name });
+
+const fakeStream = { getVideoTracks: () => [] };
+
+afterEach(() => localStorage.clear());
+
+test('settings persist and fill in new defaults', () => {
+  expect(loadCameraSettings()).toEqual(DEFAULT_CAMERA_SETTINGS);
+  localStorage.setItem('thermaSnaps.cameraSettings', JSON.stringify({ deviceId: 'capture-card' }));
+  expect(loadCameraSettings()).toEqual({ ...DEFAULT_CAMERA_SETTINGS, deviceId: 'capture-card' });
+
+  saveCameraSettings({ ...DEFAULT_CAMERA_SETTINGS, rotation: 90 });
+  expect(loadCameraSettings().rotation).toBe(90);
+});
+
+test('the ladder steps down from the chosen mode to any camera', () => {
+  const ladder = buildConstraintLadder({ ...DEFAULT_CAMERA_SETTINGS, deviceId: 'usb', resolution: '1280x720', frameRate: 60 });
+
+  expect(ladder.map(step => step.label)).toEqual([
+    '720p (1280x720)',
+    'VGA (640x480)',
+    'default mode',
+    'any camera',
+    'any camera, any mode'
+  ]);
+  expect(ladder[0].video).toEqual({
+    deviceId: { exact: 'usb' },
+    width: { ideal: 1280 },
+    height: { ideal: 720 },
+    frameRate: { ideal: 60 }
+  });
+  expect(ladder[2].video).toEqual({ deviceId: { exact: 'usb' } });
+  expect(ladder[4].video).toBe(true);
+});
+
+test('without a chosen device the ladder uses the front camera', () => {
+  const ladder = buildConstraintLadder(DEFAULT_CAMERA_SETTINGS);
+  expect(ladder[0].video.facingMode).toBe('user');
+  expect(ladder.map(step => step.label)).not.toContain('any camera');
+});
+
+test('opens at the first mode the camera accepts', async () => {
+  const getUserMedia = jest.fn()
+    .mockRejectedValueOnce(failure('OverconstrainedError'))
+    .mockResolvedValueOnce(fakeStream);
+  const onFallback = jest.fn();
+
+  const result = await openCamera(DEFAULT_CAMERA_SETTINGS, { mediaDevices: { getUserMedia }, onFallback });
+
+  expect(result).toEqual({ stream: fakeStream, attempt: '720p (1280x720)', fallback: true });
+  expect(getUserMedia.mock.calls[1][0]).toMatchObject({ video: { width: { ideal: 1280 } }, audio: false });
+  expect(onFallback).toHaveBeenCalledTimes(1);
+});
+
+test('a denied permission stops straight away with a readable error', async () => {
+  const getUserMedia = jest.fn().mockRejectedValue(failure('NotAllowedError'));
+
+  const error = await openCamera(DEFAULT_CAMERA_SETTINGS, { mediaDevices: { getUserMedia } }).catch(e => e);
+
+  expect(error).toBeInstanceOf(CameraError);
+  expect(error.message).toMatch(/blocked/);
+  expect(getUserMedia).toHaveBeenCalledTimes(1);
+});
+
+test('when every step fails the error describes the chosen camera', async () => {
+  const getUserMedia = jest.fn()
+    .mockRejectedValueOnce(failure('NotReadableError'))
+    .mockRejectedValue(failure('NotFoundError'));
+
+  await expect(openCamera(DEFAULT_CAMERA_SETTINGS, { mediaDevices: { getUserMedia } }))
+    .rejects.toThrow(/busy or has no signal/);
+  await expect(openCamera(DEFAULT_CAMERA_SETTINGS, { mediaDevices: {} })).rejects.toThrow(/secure connection/);
+});
+
+test('lists video inputs and numbers unlabelled ones', async () => {
+  const enumerateDevices = async () => [
+    { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+    { kind: 'videoinput', deviceId: 'a', label: 'USB Webcam' },
+    { kind: 'videoinput', deviceId: 'b', label: '' }
+  ];
+  expect(await listCameras({ enumerateDevices })).toEqual([
+    { deviceId: 'a', label: 'USB Webcam' },
+    { deviceId: 'b', label: 'Camera 2' }
+  ]);
+});
+
+test('sideways rotations swap the output size', () => {
+  expect(orientedSize(1920, 1080, 90)).toEqual({ width: 1080, height: 1920 });
+  expect(orientedSize(1920, 1080, 180)).toEqual({ width: 1920, height: 1080 });
+});
+
+test('oriented frames rotate first, then mirror around the output centre', () => {
+  const calls = [];
+  const ctx = new Proxy({}, { get: (_, name) => (...args) => calls.push([name, ...args]) });
+
+  drawOrientedFrame(ctx, 'video', 1920, 1080, { rotation: 90, mirror: true });
+
+  expect(calls).toEqual([
+    ['save'],
+    ['translate', 540, 960],
+    ['scale', -1, 1],
+    ['rotate', Math.PI / 2],
+    ['drawImage', 'video', -960, -540, 1920, 1080],
+    ['restore']
+  ]);
+});
+
+test('preview style mirrors and rotates the live video', () => {
+  expect(previewVideoStyle(DEFAULT_CAMERA_SETTINGS).transform).toBeUndefined();
+  expect(previewVideoStyle({ rotation: 180, mirrorPreview: true }).transform).toBe('scaleX(-1) rotate(180deg)');
+  expect(previewVideoStyle({ rotation: 270, mirrorPreview: false })).toMatchObject({
+    width: '100cqh',
+    height: '100cqw',
+    transform: 'translate(-50%, -50%) rotate(270deg)'
+  });
+});
@@ -0,0 +1,59 @@
+// Countdown beeps and a shutter click, synthesized with Web Audio so there are no sound files to ship
+// Browsers keep audio suspended until a tap, so unlock() is called from the button that starts a session
+
+const BEEP_HZ = 880;
+const FINAL_BEEP_HZ = 1320;
+
+export const createCaptureSounds = ({
+  AudioContextImpl = typeof window !== 'undefined' ? (window.AudioContext || window.webkitAudioContext) : undefined
+} = {}) => {
+  let ctx = null;
+
+  const context = () => {
+    if (!ctx && AudioContextImpl) ctx = new AudioContextImpl();
+    return ctx;
+  };
+
+  const tone = (frequency, durationS, volume = 0.3) => {
+    const audio = context();
+    if (!audio) return;
+    const start = audio.currentTime;
+    const oscillator = audio.createOscillator();
+    const gain = audio.createGain();
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(frequency, start);
+    gain.gain.setValueAtTime(volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + durationS);
+    oscillator.connect(gain).connect(audio.destination);
+    oscillator.start(start);
+    oscillator.stop(start + durationS);
+  };
+
+  return {
+    unlock: () => {
+      const audio = context();
+      if (audio && audio.state === 'suspended') audio.resume().catch(() => {});
+    },
+
+    // The last second gets a higher, longer beep so guests know the shot is next
+    beep: (secondsLeft) => (secondsLeft <= 1 ? tone(FINAL_BEEP_HZ, 0.3) : tone(BEEP_HZ, 0.12)),
+
+    // A burst of noise that dies away quickly reads as a shutter
+    shutter: () => {
+      const audio = context();
+      if (!audio) return;
+      const durationS = 0.15;
+      const buffer = audio.createBuffer(1, Math.round(audio.sampleRate * durationS), audio.sampleRate);
+      const samples = buffer.getChannelData(0);
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = (Math.random() * 2 - 1) * (1 - i / samples.length) ** 3;
+      }
+      const source = audio.createBufferSource();
+      const gain = audio.createGain();
+      source.buffer = buffer;
+      gain.gain.setValueAtTime(0.5, audio.currentTime);
+      source.connect(gain).connect(audio.destination);
+      source.start();
+    }
+  };
+};
@@ -0,0 +1,79 @@
+import { createCaptureSounds } from './captureSounds';
+
+// Records which nodes get made and started, enough to tell the sounds apart
+class FakeAudioContext {
+  constructor() {
+    this.state = 'suspended';
+    this.currentTime = 2;
+    this.sampleRate = 1000;
+    this.destination = {};
+    this.started = [];
+    this.resume = jest.fn(async () => { this.state = 'running'; });
+    FakeAudioContext.instances.push(this);
+  }
+
+  node(extra) {
+    return { connect: (next) => next, ...extra };
+  }
+
+  createOscillator() {
+    const param = { setValueAtTime: jest.fn() };
+    return this.node({
+      frequency: param,
+      start: () => this.started.push(['tone', param.setValueAtTime.mock.calls[0][0]]),
+      stop: jest.fn()
+    });
+  }
+
+  createGain() {
+    return this.node({ gain: { setValueAtTime: jest.fn(), exponentialRampToValueAtTime: jest.fn() } });
+  }
+
+  createBuffer(channels, length) {
+    const data = new Float32Array(length);
+    return { length, getChannelData: () => data };
+  }
+
+  createBufferSource() {
+    return this.node({ start: () => this.started.push(['noise']) });
+  }
+}
+FakeAudioContext.instances = [];
+
+beforeEach(() => {
+  FakeAudioContext.instances = [];
+});
+
+test('unlock resumes a suspended context once', () => {
+  const sounds = createCaptureSounds({ AudioContextImpl: FakeAudioContext });
+  sounds.unlock();
+  sounds.unlock();
+
+  expect(FakeAudioContext.instances).toHaveLength(1);
+  expect(FakeAudioContext.instances[0].resume).toHaveBeenCalledTimes(1);
+});
+
+test('the final second beeps higher', () => {
+  const sounds = createCaptureSounds({ AudioContextImpl: FakeAudioContext });
+  sounds.beep(3);
+  sounds.beep(1);
+
+  expect(FakeAudioContext.instances[0].started).toEqual([['tone', 880], ['tone', 1320]]);
+});
+
+test('the shutter plays a short noise burst', () => {
+  const sounds = createCaptureSounds({ AudioContextImpl: FakeAudioContext });
+  sounds.shutter();
+
+  const [[kind]] = FakeAudioContext.instances[0].started;
+  expect(kind).toBe('noise');
+});
+
+test('does nothing where Web Audio is missing', () => {
+  const sounds = createCaptureSounds({ AudioContextImpl: undefined });
+  expect(() => {
+    sounds.unlock();
+    sounds.beep(1);
+    sounds.shutter();
+  }).not.toThrow();
+});
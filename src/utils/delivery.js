@@ -0,0 +1,205 @@
+// "Send to me": emails or texts the guest their download link from the final screen
+// Senders share one shape: { name, channels: ['email' | 'sms'], send({ channel, to, subject, text, url, sessionId }) }
+// The booth holds no mail or SMS credentials: the relay sender posts the session id to scripts/delivery-relay.js,
+// which looks the session up, builds the message itself and sends it by SMTP or its webhook
+
+export const DELIVERY_PROVIDERS = {
+  RELAY: 'relay',
+  CONSOLE: 'console'
+};
+
+export const DELIVERY_CHANNELS = {
+  EMAIL: 'email',
+  SMS: 'sms'
+};
+
+export const DEFAULT_DELIVERY_LIMITS = {
+  maxPerSession: 3,
+  minIntervalMs: 30 * 1000
+};
+
+export const CONSENT_TEXT = 'Send me this download link. My address is only used for this message.';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns the address in the form the sender expects, or null if it can't be one.
+// Phone numbers keep a leading + and digits only; without a country code the relay or webhook has to assume one
+export const normalizeRecipient = (channel, value) => {
+  const trimmed = String(value || '').trim();
+  if (channel === DELIVERY_CHANNELS.EMAIL) {
+    return EMAIL_PATTERN.test(trimmed) && trimmed.length <= 254 ? trimmed.toLowerCase() : null;
+  }
+  if (channel === DELIVERY_CHANNELS.SMS) {
+    if (/[^\d\s()+.-]/.test(trimmed)) return null;
+    const digits = trimmed.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) return null;
+    return `${trimmed.startsWith('+') ? '+' : ''}${digits}`;
+  }
+  return null;
+};
+
+// What ends up in photo_metadata: enough to recognise the address, not enough to reuse it
+export const maskRecipient = (channel, to) => {
+  if (channel === DELIVERY_CHANNELS.EMAIL) {
+    const [name, domain] = to.split('@');
+    return `${name.slice(0, 1)}***@${domain}`;
+  }
+  return `${'*'.repeat(Math.max(to.length - 4, 0))}${to.slice(-4)}`;
+};
+
+export const buildDeliveryMessage = ({ channel, url, eventName = 'Therma-Snaps', expiry }) => {
+  const until = expiry ? ` until ${new Date(expiry).toLocaleDateString()}` : '';
+  if (channel === DELIVERY_CHANNELS.SMS) {
+    return { text: `Your ${eventName} photos: ${url} (available${until || ' for a limited time'})` };
+  }
+  return {
+    subject: `Your photos from ${eventName}`,
+    text: [
+      `Thanks for stopping by the ${eventName} photobooth!`,
+      '',
+      `Download your photo strip${until ? ` any time${until}` : ''}:`,
+      url
+    ].join('\n')
+  };
+};
+
+const postJson = async (fetchImpl, url, body, token) => {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    let detail = '';
+    try {
+      detail = (await response.json()).error || '';
+    } catch {
+      detail = '';
+    }
+    const error = new Error(detail || `Delivery failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+};
+
+// Only the channel, address and session id leave the booth; the relay writes the text and enforces its own
+// per-session, per-recipient and per-IP limits, so a copied token can't send arbitrary messages
+export const createRelaySender = ({
+  relayUrl,
+  token,
+  channels = [DELIVERY_CHANNELS.EMAIL],
+  fetchImpl = (...args) => fetch(...args)
+}) => ({
+  name: DELIVERY_PROVIDERS.RELAY,
+  channels,
+  send: ({ channel, to, sessionId }) => postJson(fetchImpl, relayUrl, { channel, to, sessionId }, token)
+});
+
+// Stand-in for testing the flow at a booth without sending anything; `sent` keeps every message
+export const createConsoleSender = ({ log = console.info } = {}) => {
+  const sent = [];
+  return {
+    name: DELIVERY_PROVIDERS.CONSOLE,
+    channels: [DELIVERY_CHANNELS.EMAIL, DELIVERY_CHANNELS.SMS],
+    sent,
+    send: async (message) => {
+      sent.push(message);
+      log(`[delivery] ${message.channel} to ${message.to}:\n${message.subject ? `${message.subject}\n` : ''}${message.text}`);
+    }
+  };
+};
+
+const parseChannels = (value) => (
+  value ? value.split(',').map(channel => channel.trim()).filter(channel => Object.values(DELIVERY_CHANNELS).includes(channel)) : undefined
+);
+
+// Picks the sender from REACT_APP_DELIVERY_PROVIDER. Returns null when delivery is off or unconfigured,
+// and the final screen then only shows the QR codes
+export const createDeliverySender = ({ env = process.env } = {}) => {
+  const provider = env.REACT_APP_DELIVERY_PROVIDER;
+  if (!provider) return null;
+
+  const url = env.REACT_APP_DELIVERY_URL;
+  const token = env.REACT_APP_DELIVERY_TOKEN;
+  if (provider === DELIVERY_PROVIDERS.CONSOLE) return createConsoleSender();
+  // "smtp" is what the relay used to be called when it only sent email
+  if ((provider === DELIVERY_PROVIDERS.RELAY || provider === 'smtp') && url) {
+    return createRelaySender({ relayUrl: url, token, channels: parseChannels(env.REACT_APP_DELIVERY_CHANNELS) });
+  }
+  if (provider === 'webhook') {
+    console.warn('The booth no longer posts to webhooks. Set DELIVERY_WEBHOOK_URL on scripts/delivery-relay.js and use REACT_APP_DELIVERY_PROVIDER=relay.');
+    return null;
+  }
+
+  console.warn(`Delivery provider "${provider}" is not configured. "Send to me" is turned off.`);
+  return null;
+};
+
+export class DeliveryLimitError extends Error {
+  constructor(message, retryInMs = null) {
+    super(message);
+    this.name = 'DeliveryLimitError';
+    this.retryInMs = retryInMs;
+  }
+}
+
+// Validates, rate limits and sends, then hands back the consent record for photo_metadata.
+// Limits are per session and live in memory; the relay enforces its own so they can't be skipped
+export const createDeliveryService = (sender, { limits = DEFAULT_DELIVERY_LIMITS, now = () => Date.now() } = {}) => {
+  const history = new Map(); // sessionId -> send timestamps
+
+  const checkLimit = (sessionId) => {
+    const sends = history.get(sessionId) || [];
+    if (sends.length >= limits.maxPerSession) {
+      throw new DeliveryLimitError(`This photo has already been sent ${limits.maxPerSession} times.`);
+    }
+    const waitMs = sends.length ? sends[sends.length - 1] + limits.minIntervalMs - now() : 0;
+    if (waitMs > 0) {
+      throw new DeliveryLimitError(`Please wait ${Math.ceil(waitMs / 1000)} seconds before sending again.`, waitMs);
+    }
+  };
+
+  return {
+    sender,
+    channels: sender.channels,
+
+    remaining: (sessionId) => limits.maxPerSession - (history.get(sessionId) || []).length,
+
+    send: async ({ sessionId, channel, to, url, eventName, expiry, consent }) => {
+      if (!sender.channels.includes(channel)) throw new Error(`Sending by ${channel} is not available.`);
+      if (!consent) throw new Error('Consent is required before sending.');
+      const recipient = normalizeRecipient(channel, to);
+      if (!recipient) {
+        throw new Error(channel === DELIVERY_CHANNELS.EMAIL ? 'That email address doesn\'t look right.' : 'That phone number doesn\'t look right.');
+      }
+      checkLimit(sessionId);
+
+      // Counted before sending so double taps can't slip past the limit
+      const sentAt = now();
+      history.set(sessionId, [...(history.get(sessionId) || []), sentAt]);
+      try {
+        await sender.send({
+          channel,
+          to: recipient,
+          url,
+          sessionId,
+          ...buildDeliveryMessage({ channel, url, eventName, expiry })
+        });
+      } catch (error) {
+        history.set(sessionId, (history.get(sessionId) || []).filter(at => at !== sentAt));
+        throw error;
+      }
+
+      return {
+        channel,
+        to: maskRecipient(channel, recipient),
+        provider: sender.name,
+        consent: CONSENT_TEXT,
+        consentedAt: new Date(sentAt).toISOString()
+      };
+    }
+  };
+};
@@ -0,0 +1,144 @@
+import {
+  DeliveryLimitError,
+  buildDeliveryMessage,
+  createConsoleSender,
+  createDeliverySender,
+  createDeliveryService,
+  createRelaySender,
+  maskRecipient,
+  normalizeRecipient
+} from './delivery';
+
+const url = 'https://booth.example/d/k7m2x9qp4tza';
+
+const request = (overrides = {}) => ({
+  sessionId: 'k7m2x9qp4tza',
+  channel: 'email',
+  to: 'Guest@Example.com',
+  url,
+  eventName: 'Launch',
+  consent: true,
+  ...overrides
+});
+
+const quietSender = () => createConsoleSender({ log: () => {} });
+
+test('normalizes email addresses and phone numbers', () => {
+  expect(normalizeRecipient('email', ' Guest@Example.com ')).toBe('guest@example.com');
+  expect(normalizeRecipient('email', 'not an email')).toBeNull();
+  expect(normalizeRecipient('sms', '+1 (415) 555-0134')).toBe('+14155550134');
+  expect(normalizeRecipient('sms', '0412 345 678')).toBe('0412345678');
+  expect(normalizeRecipient('sms', '555-12')).toBeNull();
+  expect(normalizeRecipient('sms', 'call me')).toBeNull();
+  expect(normalizeRecipient('fax', '0412345678')).toBeNull();
+});
+
+test('masks recipients for the stored consent record', () => {
+  expect(maskRecipient('email', 'guest@example.com')).toBe('g***@example.com');
+  expect(maskRecipient('sms', '+14155550134')).toBe('********0134');
+});
+
+test('messages carry the link, and SMS stays short', () => {
+  const email = buildDeliveryMessage({ channel: 'email', url, eventName: 'Launch' });
+  expect(email.subject).toBe('Your photos from Launch');
+  expect(email.text).toContain(url);
+
+  const sms = buildDeliveryMessage({ channel: 'sms', url, eventName: 'Launch' });
+  expect(sms.subject).toBeUndefined();
+  expect(sms.text).toContain(url);
+  expect(sms.text.length).toBeLessThan(160);
+});
+
+test('sends through the sender and returns a masked consent record', async () => {
+  const sender = quietSender();
+  const service = createDeliveryService(sender, { now: () => Date.parse('2025-03-01T10:00:00Z') });
+
+  const record = await service.send(request());
+
+  expect(sender.sent).toHaveLength(1);
+  expect(sender.sent[0]).toMatchObject({ channel: 'email', to: 'guest@example.com', url, sessionId: 'k7m2x9qp4tza' });
+  expect(record).toMatchObject({
+    channel: 'email',
+    to: 'g***@example.com',
+    provider: 'console',
+    consentedAt: '2025-03-01T10:00:00.000Z'
+  });
+  expect(record.consent).toMatch(/only used for this message/);
+});
+
+test('refuses to send without consent or to an invalid address', async () => {
+  const sender = quietSender();
+  const service = createDeliveryService(sender);
+
+  await expect(service.send(request({ consent: false }))).rejects.toThrow(/Consent/);
+  await expect(service.send(request({ to: 'nope' }))).rejects.toThrow(/email address/);
+  await expect(service.send(request({ channel: 'sms', to: '12' }))).rejects.toThrow(/phone number/);
+  expect(sender.sent).toHaveLength(0);
+});
+
+test('rate limits each session by count and interval', async () => {
+  let time = 0;
+  const service = createDeliveryService(quietSender(), {
+    limits: { maxPerSession: 2, minIntervalMs: 30000 },
+    now: () => time
+  });
+
+  await service.send(request());
+  await expect(service.send(request())).rejects.toThrow(DeliveryLimitError);
+  await expect(service.send(request())).rejects.toMatchObject({ retryInMs: 30000 });
+
+  // Other sessions aren't affected
+  await service.send(request({ sessionId: 'other' }));
+
+  time = 30000;
+  await service.send(request({ channel: 'sms', to: '+14155550134' }));
+  expect(service.remaining('k7m2x9qp4tza')).toBe(0);
+  time = 120000;
+  await expect(service.send(request())).rejects.toThrow(/already been sent 2 times/);
+});
+
+test('a failed send does not count against the limit', async () => {
+  const sender = { name: 'relay', channels: ['email'], send: jest.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue() };
+  const service = createDeliveryService(sender, { limits: { maxPerSession: 1, minIntervalMs: 0 } });
+
+  await expect(service.send(request())).rejects.toThrow('offline');
+  await service.send(request());
+  expect(sender.send).toHaveBeenCalledTimes(2);
+});
+
+test('relay sender posts only the channel, address and session id, and surfaces errors', async () => {
+  const fetchImpl = jest.fn()
+    .mockResolvedValueOnce({ ok: true })
+    .mockResolvedValueOnce({ ok: false, status: 429, json: async () => ({ error: 'Slow down' }) });
+  const sender = createRelaySender({ relayUrl: 'https://relay.example/send', token: 'secret', channels: ['sms'], fetchImpl });
+
+  await sender.send({ channel: 'sms', to: '+14155550134', sessionId: 'k7m2x9qp4tza', url: 'https://evil.example', text: 'hi' });
+  const [target, options] = fetchImpl.mock.calls[0];
+  expect(target).toBe('https://relay.example/send');
+  expect(options.headers.Authorization).toBe('Bearer secret');
+  expect(JSON.parse(options.body)).toEqual({ channel: 'sms', to: '+14155550134', sessionId: 'k7m2x9qp4tza' });
+
+  await expect(sender.send({ channel: 'sms' })).rejects.toMatchObject({ message: 'Slow down', status: 429 });
+});
+
+test('picks the sender from env and turns delivery off when unconfigured', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  expect(createDeliverySender({ env: {} })).toBeNull();
+  expect(createDeliverySender({ env: { REACT_APP_DELIVERY_PROVIDER: 'smtp' } })).toBeNull();
+  expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/not configured/));
+
+  expect(createDeliverySender({ env: { REACT_APP_DELIVERY_PROVIDER: 'console' } }).name).toBe('console');
+  const relay = createDeliverySender({ env: { REACT_APP_DELIVERY_PROVIDER: 'relay', REACT_APP_DELIVERY_URL: 'http://localhost:8787' } });
+  expect(relay.channels).toEqual(['email']);
+  const texts = createDeliverySender({
+    env: { REACT_APP_DELIVERY_PROVIDER: 'smtp', REACT_APP_DELIVERY_URL: 'http://localhost:8787', REACT_APP_DELIVERY_CHANNELS: 'sms, pager' }
+  });
+  expect(texts.name).toBe('relay');
+  expect(texts.channels).toEqual(['sms']);
+
+  expect(createDeliverySender({ env: { REACT_APP_DELIVERY_PROVIDER: 'webhook', REACT_APP_DELIVERY_URL: 'https://hooks.example' } })).toBeNull();
+  expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/DELIVERY_WEBHOOK_URL/));
+
+  console.warn.mockRestore();
+});
@@ -0,0 +1,190 @@
+// Dithering algorithms for 1-bit thermal output
+// Every algorithm takes RGBA ImageData and returns the same shape with pixels set to 0 (print) or 255 (blank)
+
+export const DITHER_ALGORITHMS = [
+  { id: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+  { id: 'atkinson', label: 'Atkinson' },
+  { id: 'stucki', label: 'Stucki' },
+  { id: 'jarvis', label: 'Jarvis–Judice–Ninke' },
+  { id: 'bayer4', label: 'Ordered Bayer 4x4' },
+  { id: 'bayer8', label: 'Ordered Bayer 8x8' },
+  { id: 'threshold', label: 'Threshold' }
+];
+
+export const DEFAULT_DITHER_SETTINGS = {
+  algorithm: 'floyd-steinberg',
+  threshold: 128,
+  gamma: 1.0,     // > 1 lightens midtones, < 1 darkens them
+  contrast: 0,    // -100..100
+  sharpen: 0      // 0..2, unsharp mask strength
+};
+
+// [dx, dy, weight] with the divisor already applied
+const ERROR_KERNELS = {
+  'floyd-steinberg': [
+    [1, 0, 7 / 16],
+    [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]
+  ],
+  // Atkinson only diffuses 6/8 of the error, which keeps highlights clean on faces
+  atkinson: [
+    [1, 0, 1 / 8], [2, 0, 1 / 8],
+    [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8],
+    [0, 2, 1 / 8]
+  ],
+  stucki: [
+    [1, 0, 8 / 42], [2, 0, 4 / 42],
+    [-2, 1, 2 / 42], [-1, 1, 4 / 42], [0, 1, 8 / 42], [1, 1, 4 / 42], [2, 1, 2 / 42],
+    [-2, 2, 1 / 42], [-1, 2, 2 / 42], [0, 2, 4 / 42], [1, 2, 2 / 42], [2, 2, 1 / 42]
+  ],
+  jarvis: [
+    [1, 0, 7 / 48], [2, 0, 5 / 48],
+    [-2, 1, 3 / 48], [-1, 1, 5 / 48], [0, 1, 7 / 48], [1, 1, 5 / 48], [2, 1, 3 / 48],
+    [-2, 2, 1 / 48], [-1, 2, 3 / 48], [0, 2, 5 / 48], [1, 2, 3 / 48], [2, 2, 1 / 48]
+  ]
+};
+
+const BAYER_4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+const buildBayer8 = () => {
+  const matrix = [];
+  for (let y = 0; y < 8; y++) {
+    matrix.push([]);
+    for (let x = 0; x < 8; x++) {
+      const base = BAYER_4[y % 4][x % 4] * 4;
+      const quadrant = [[0, 2], [3, 1]][Math.floor(y / 4)][Math.floor(x / 4)];
+      matrix[y].push(base + quadrant);
+    }
+  }
+  return matrix;
+};
+
+const BAYER_MATRICES = {
+  bayer4: BAYER_4,
+  bayer8: buildBayer8()
+};
+
+const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : v);
+
+export const toGrayscale = ({ width, height, data }) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const idx = i * 4;
+    // Treat transparent pixels as paper white
+    const alpha = data[idx + 3] === undefined ? 1 : data[idx + 3] / 255;
+    const lum = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+    gray[i] = lum * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+};
+
+export const adjustTones = (gray, { gamma = 1, contrast = 0 } = {}) => {
+  if (gamma === 1 && contrast === 0) return gray;
+  const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+  const invGamma = 1 / gamma;
+  const lut = new Float32Array(256);
+  for (let v = 0; v < 256; v++) {
+    const corrected = 255 * Math.pow(v / 255, invGamma);
+    lut[v] = clamp(factor * (corrected - 128) + 128);
+  }
+  const out = new Float32Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    out[i] = lut[Math.round(clamp(gray[i]))];
+  }
+  return out;
+};
+
+export const sharpenGray = (gray, width, height, amount = 0) => {
+  if (!amount) return gray;
+  const out = new Float32Array(gray.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const up = y > 0 ? gray[i - width] : gray[i];
+      const down = y < height - 1 ? gray[i + width] : gray[i];
+      const left = x > 0 ? gray[i - 1] : gray[i];
+      const right = x < width - 1 ? gray[i + 1] : gray[i];
+      const blur = (up + down + left + right) / 4;
+      out[i] = clamp(gray[i] + amount * (gray[i] - blur));
+    }
+  }
+  return out;
+};
+
+const diffuseError = (gray, width, height, kernel, threshold) => {
+  const buf = new Float32Array(gray);
+  const bits = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const oldVal = buf[i];
+      const newVal = oldVal < threshold ? 0 : 255;
+      const error = oldVal - newVal;
+      bits[i] = newVal;
+
+      for (let k = 0; k < kernel.length; k++) {
+        const [dx, dy, weight] = kernel[k];
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) {
+          buf[ny * width + nx] += error * weight;
+        }
+      }
+    }
+  }
+  return bits;
+};
+
+const orderedDither = (gray, width, height, matrix) => {
+  const size = matrix.length;
+  const levels = size * size;
+  const bits = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const t = ((matrix[y % size][x % size] + 0.5) / levels) * 255;
+      bits[i] = gray[i] < t ? 0 : 255;
+    }
+  }
+  return bits;
+};
+
+const thresholdOnly = (gray, threshold) => {
+  const bits = new Uint8Array(gray.length);
+  for (let i = 0; i < gray.length; i++) {
+    bits[i] = gray[i] < threshold ? 0 : 255;
+  }
+  return bits;
+};
+
+export const ditherImageData = (imageData, settings = {}) => {
+  const opts = { ...DEFAULT_DITHER_SETTINGS, ...settings };
+  const { width, height } = imageData;
+
+  let gray = toGrayscale(imageData);
+  gray = adjustTones(gray, opts);
+  gray = sharpenGray(gray, width, height, opts.sharpen);
+
+  let bits;
+  if (ERROR_KERNELS[opts.algorithm]) {
+    bits = diffuseError(gray, width, height, ERROR_KERNELS[opts.algorithm], opts.threshold);
+  } else if (BAYER_MATRICES[opts.algorithm]) {
+    bits = orderedDither(gray, width, height, BAYER_MATRICES[opts.algorithm]);
+  } else if (opts.algorithm === 'threshold') {
+    bits = thresholdOnly(gray, opts.threshold);
+  } else {
+    throw new Error(`Unknown dithering algorithm: ${opts.algorithm}`);
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < bits.length; i++) {
+    const idx = i * 4;
+    data[idx] = data[idx + 1] = data[idx + 2] = bits[i];
+    data[idx + 3] = 255;
+  }
+  return { width, height, data };
+};
@@ -0,0 +1,100 @@
+import { DITHER_ALGORITHMS, DEFAULT_DITHER_SETTINGS, ditherImageData, adjustTones, sharpenGray, toGrayscale } from './dithering';
+
+const solid = (width, height, value) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = value;
+    data[i + 3] = 255;
+  }
+  return { width, height, data };
+};
+
+const blackRatio = ({ data }) => {
+  let black = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i] === 0) black++;
+  }
+  return black / (data.length / 4);
+};
+
+test.each(DITHER_ALGORITHMS.map(({ id }) => id))('%s produces a strictly 1-bit bitmap', (algorithm) => {
+  const result = ditherImageData(solid(16, 16, 100), { algorithm });
+  expect(result.width).toBe(16);
+  expect(result.height).toBe(16);
+  for (let i = 0; i < result.data.length; i += 4) {
+    expect([0, 255]).toContain(result.data[i]);
+    expect(result.data[i + 3]).toBe(255);
+  }
+});
+
+test('pure white and pure black survive every algorithm', () => {
+  DITHER_ALGORITHMS.forEach(({ id }) => {
+    expect(blackRatio(ditherImageData(solid(8, 8, 255), { algorithm: id }))).toBe(0);
+    expect(blackRatio(ditherImageData(solid(8, 8, 0), { algorithm: id }))).toBe(1);
+  });
+});
+
+test('mid gray dithers to roughly half coverage', () => {
+  const ratio = blackRatio(ditherImageData(solid(32, 32, 128), { algorithm: 'bayer8' }));
+  expect(ratio).toBeGreaterThan(0.4);
+  expect(ratio).toBeLessThan(0.6);
+});
+
+test('transparent pixels are treated as paper', () => {
+  const image = solid(4, 4, 0);
+  for (let i = 3; i < image.data.length; i += 4) image.data[i] = 0;
+  expect(blackRatio(ditherImageData(image, { algorithm: 'threshold' }))).toBe(0);
+});
+
+test('gamma above 1 lightens midtones', () => {
+  const [out] = adjustTones(new Float32Array([100]), { gamma: 2 });
+  expect(out).toBeGreaterThan(100);
+});
+
+test('error diffusion keeps the average tone', () => {
+  ['floyd-steinberg', 'stucki', 'jarvis'].forEach(algorithm => {
+    // 64 is a quarter of the way from black to white, so about three quarters of the dots print
+    const ratio = blackRatio(ditherImageData(solid(32, 32, 64), { algorithm }));
+    expect(ratio).toBeGreaterThan(0.7);
+    expect(ratio).toBeLessThan(0.8);
+  });
+});
+
+test('Atkinson drops some error, so light tones print fewer dots', () => {
+  const floyd = blackRatio(ditherImageData(solid(32, 32, 230), { algorithm: 'floyd-steinberg' }));
+  const atkinson = blackRatio(ditherImageData(solid(32, 32, 230), { algorithm: 'atkinson' }));
+  expect(atkinson).toBeLessThan(floyd);
+});
+
+test('the threshold setting moves the cut-off', () => {
+  const gray = solid(4, 4, 100);
+  expect(blackRatio(ditherImageData(gray, { algorithm: 'threshold' }))).toBe(1);
+  expect(blackRatio(ditherImageData(gray, { algorithm: 'threshold', threshold: 90 }))).toBe(0);
+});
+
+test('grayscale uses luminance weights', () => {
+  const image = { width: 3, height: 1, data: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255]) };
+  const [red, green, blue] = toGrayscale(image);
+  expect(red).toBeCloseTo(255 * 0.299);
+  expect(green).toBeCloseTo(255 * 0.587);
+  expect(blue).toBeCloseTo(255 * 0.114);
+});
+
+test('contrast pushes tones away from the middle', () => {
+  const [dark, light] = adjustTones(new Float32Array([100, 160]), { contrast: 50 });
+  expect(dark).toBeLessThan(100);
+  expect(light).toBeGreaterThan(160);
+});
+
+test('sharpening steepens edges and is off by default', () => {
+  const edge = new Float32Array([50, 50, 200, 200]);
+  expect(sharpenGray(edge, 4, 1, DEFAULT_DITHER_SETTINGS.sharpen)).toBe(edge);
+
+  const [, darkSide, lightSide] = sharpenGray(edge, 4, 1, 1);
+  expect(darkSide).toBeLessThan(50);
+  expect(lightSide).toBeGreaterThan(200);
+});
+
+test('unknown algorithms are rejected', () => {
+  expect(() => ditherImageData(solid(2, 2, 0), { algorithm: 'nope' })).toThrow(/Unknown dithering/);
+});
@@ -0,0 +1,57 @@
+// Download links for a session
+// /d/<id> opens the guest gallery with the strip first, /d/<id>/gif with the animation first.
+// Older booths printed ?download=png&id=<id> and ?d=<id>; those are redirected to the new paths
+
+// No 0/o or 1/l/i, so an id read off a receipt can be typed back in
+const ID_ALPHABET = '23456789abcdefghjkmnpqrstuvwxyz';
+export const SESSION_ID_LENGTH = 12; // ~59 bits, far too many to enumerate
+const SESSION_ID_PATTERN = new RegExp(`^[${ID_ALPHABET}]{${SESSION_ID_LENGTH}}$`);
+// Links printed before random ids were Date.now() values; they keep working until they expire
+const LEGACY_ID_PATTERN = /^\d{13}$/;
+const DOWNLOAD_TYPES = ['png', 'gif'];
+
+const defaultRandomValues = (bytes) => crypto.getRandomValues(bytes);
+
+export const createSessionId = (getRandomValues = defaultRandomValues) => {
+  // Only bytes below a multiple of the alphabet size are used, so every character is equally likely
+  const limit = 256 - (256 % ID_ALPHABET.length);
+  let id = '';
+  while (id.length < SESSION_ID_LENGTH) {
+    const bytes = getRandomValues(new Uint8Array(SESSION_ID_LENGTH * 2));
+    for (let i = 0; i < bytes.length && id.length < SESSION_ID_LENGTH; i++) {
+      if (bytes[i] < limit) id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+    }
+  }
+  return id;
+};
+
+export const isSessionId = (id) => SESSION_ID_PATTERN.test(id) || LEGACY_ID_PATTERN.test(id);
+
+// isTaken(id) -> Promise<boolean>; a clash is astronomically unlikely, but an overwritten strip can't be recovered
+export const reserveSessionId = async (isTaken, { attempts = 5, getRandomValues } = {}) => {
+  for (let i = 0; i < attempts; i++) {
+    const id = createSessionId(getRandomValues);
+    if (!(await isTaken(id))) return id;
+  }
+  throw new Error(`No free session id after ${attempts} attempts`);
+};
+
+export const downloadPath = (type, id) => (type === 'gif' ? `/d/${id}/gif` : `/d/${id}`);
+
+export const buildDownloadUrl = (baseUrl, type, id) => `${baseUrl.replace(/\/+$/, '')}${downloadPath(type, id)}`;
+
+// What goes on receipts: the strip link, which is already as short as a link gets
+export const buildShortUrl = (baseUrl, id) => buildDownloadUrl(baseUrl, 'png', id);
+
+// Human-typeable version for under the printed code
+export const formatShortUrl = (url) => url.replace(/^https?:\/\//, '');
+
+// Old query-string links. Anything that isn't a well-formed id is treated as no link at all rather than looked up
+export const parseDownloadParams = (search) => {
+  const params = new URLSearchParams(search);
+  const link = params.get('d')
+    ? { type: 'png', id: params.get('d') }
+    : { type: params.get('download'), id: params.get('id') };
+  if (!DOWNLOAD_TYPES.includes(link.type) || !isSessionId(link.id)) return null;
+  return link;
+};
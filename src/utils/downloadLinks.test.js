@@ -0,0 +1,68 @@
+import { webcrypto } from 'crypto';
+import {
+  SESSION_ID_LENGTH,
+  buildDownloadUrl,
+  buildShortUrl,
+  createSessionId,
+  downloadPath,
+  formatShortUrl,
+  isSessionId,
+  parseDownloadParams,
+  reserveSessionId
+} from './downloadLinks';
+
+const getRandomValues = (bytes) => webcrypto.getRandomValues(bytes);
+
+const base = 'https://booth.example/';
+
+test('builds gallery paths for a reserved id', () => {
+  expect(buildDownloadUrl(base, 'png', 'k7m2x9qp4tza')).toBe('https://booth.example/d/k7m2x9qp4tza');
+  expect(buildDownloadUrl(base, 'gif', 'k7m2x9qp4tza')).toBe('https://booth.example/d/k7m2x9qp4tza/gif');
+  expect(buildShortUrl('https://booth.example/photobooth', 'k7m2x9qp4tza')).toBe('https://booth.example/photobooth/d/k7m2x9qp4tza');
+  expect(downloadPath('gif', '42')).toBe('/d/42/gif');
+});
+
+test('short label drops the protocol', () => {
+  expect(formatShortUrl('https://booth.example/d/k7m2x9qp4tza')).toBe('booth.example/d/k7m2x9qp4tza');
+  expect(formatShortUrl('http://localhost:3000/booth/d/42')).toBe('localhost:3000/booth/d/42');
+});
+
+test('parses both legacy query link forms', () => {
+  expect(parseDownloadParams('?download=gif&id=k7m2x9qp4tza')).toEqual({ type: 'gif', id: 'k7m2x9qp4tza' });
+  expect(parseDownloadParams('?d=k7m2x9qp4tza')).toEqual({ type: 'png', id: 'k7m2x9qp4tza' });
+  expect(parseDownloadParams('?download=png')).toBeNull();
+  expect(parseDownloadParams('')).toBeNull();
+});
+
+test('old timestamp links still parse, malformed ids and types do not', () => {
+  expect(parseDownloadParams('?download=png&id=1700000000000')).toEqual({ type: 'png', id: '1700000000000' });
+  expect(parseDownloadParams('?d=42')).toBeNull();
+  expect(parseDownloadParams('?download=png&id=k7m2x9qp4tz%25')).toBeNull();
+  expect(parseDownloadParams('?download=jpg&id=k7m2x9qp4tza')).toBeNull();
+});
+
+test('session ids are random, url-safe and unambiguous', () => {
+  const ids = new Set(Array.from({ length: 200 }, () => createSessionId(getRandomValues)));
+  expect(ids.size).toBe(200);
+  ids.forEach((id) => {
+    expect(id).toHaveLength(SESSION_ID_LENGTH);
+    expect(id).not.toMatch(/[01ilo]/);
+    expect(isSessionId(id)).toBe(true);
+    expect(encodeURIComponent(id)).toBe(id);
+  });
+});
+
+test('biased bytes are skipped rather than wrapped', () => {
+  // 255 is above the largest multiple of the alphabet size, so only the zeros count
+  const id = createSessionId(bytes => bytes.map((_, i) => (i % 2 ? 255 : 0)));
+  expect(id).toBe('2'.repeat(SESSION_ID_LENGTH));
+});
+
+test('reserving an id retries on collisions and gives up eventually', async () => {
+  const taken = jest.fn().mockResolvedValueOnce(true).mockResolvedValue(false);
+  const id = await reserveSessionId(taken, { getRandomValues });
+  expect(taken).toHaveBeenCalledTimes(2);
+  expect(taken).toHaveBeenLastCalledWith(id);
+
+  await expect(reserveSessionId(async () => true, { attempts: 3, getRandomValues })).rejects.toThrow('3 attempts');
+});
@@ -0,0 +1,124 @@
+// ESC/POS encoding for 1-bit bitmaps
+// Bitmaps come from ditherImageData(): RGBA pixels that are either 0 (print) or 255 (blank)
+
+export const ENCODING_MODES = [
+  { id: 'raster', label: 'GS v 0 (raster)' },
+  { id: 'column', label: 'ESC * (column)' }
+];
+
+const ESC = 0x1B;
+const GS = 0x1D;
+const LF = 0x0A;
+
+const isBlack = (data, width, x, y) => data[(y * width + x) * 4] === 0;
+
+// GS v 0 m xL xH yL yH d1...dk - one raster block, 8 horizontal dots per byte
+export const encodeRaster = ({ width, height, data }) => {
+  const commands = [];
+  const bytesPerLine = Math.ceil(width / 8);
+
+  commands.push(GS, 0x76, 0x30, 0);
+  commands.push(bytesPerLine & 0xff, (bytesPerLine >> 8) & 0xff);
+  commands.push(height & 0xff, (height >> 8) & 0xff);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < bytesPerLine; x++) {
+      let byte = 0;
+      for (let b = 0; b < 8; b++) {
+        const pixelX = x * 8 + b;
+        if (pixelX < width && isBlack(data, width, pixelX, y)) {
+          byte |= (1 << (7 - b));
+        }
+      }
+      commands.push(byte);
+    }
+  }
+  return commands;
+};
+
+// ESC * 33 nL nH - 24-dot double-density bands, 3 vertical bytes per column
+export const encodeColumn = ({ width, height, data }) => {
+  const commands = [];
+
+  // Line spacing must match the band height or clones leave white stripes
+  commands.push(ESC, 0x33, 24);
+
+  for (let y = 0; y < height; y += 24) {
+    commands.push(ESC, 0x2A, 33);
+    commands.push(width & 0xff, (width >> 8) & 0xff);
+
+    for (let x = 0; x < width; x++) {
+      for (let k = 0; k < 3; k++) {
+        let byte = 0;
+        for (let b = 0; b < 8; b++) {
+          const py = y + k * 8 + b;
+          if (py < height && isBlack(data, width, x, py)) {
+            byte |= (1 << (7 - b));
+          }
+        }
+        commands.push(byte);
+      }
+    }
+    commands.push(LF);
+  }
+
+  commands.push(ESC, 0x32); // Restore default line spacing
+  return commands;
+};
+
+const feedAndCut = (feedLines, cut) => {
+  const commands = [ESC, 0x64, feedLines]; // ESC d n - Feed n lines
+  if (cut) {
+    commands.push(GS, 0x56, 0x01); // GS V 1 - Partial cut
+  }
+  return commands;
+};
+
+export const encodeBitmap = (bitmap, { mode = 'raster', feedLines = 2, cut = true } = {}) => {
+  let body;
+  if (mode === 'raster') {
+    body = encodeRaster(bitmap);
+  } else if (mode === 'column') {
+    body = encodeColumn(bitmap);
+  } else {
+    throw new Error(`Unknown ESC/POS encoding mode: ${mode}`);
+  }
+
+  // Image bodies run to hundreds of KB, so concat instead of spreading into push()
+  const commands = [
+    ESC, 0x40, // ESC @ - Initialize
+    ESC, 0x61, 0x01 // ESC a 1 - Center align
+  ].concat(body);
+
+  commands.push(...feedAndCut(feedLines, cut));
+  return new Uint8Array(commands);
+};
+
+// Feeds and cuts without printing, to finish off a strip that stopped part-way before it's printed again
+export const encodeFeedAndCut = ({ feedLines = 2, cut = true } = {}) => new Uint8Array(feedAndCut(feedLines, cut));
+
+// DLE EOT n - real-time status requests, answered with a single status byte
+export const STATUS_QUERIES = {
+  offline: [0x10, 0x04, 2],
+  paper: [0x10, 0x04, 4]
+};
+
+// Bits 1 and 4 are always set and bits 0 and 7 always clear in a status byte
+const isStatusByte = (byte) => (byte & 0x93) === 0x12;
+
+export const parseOfflineStatus = (byte) => {
+  if (!isStatusByte(byte)) return null;
+  return {
+    coverOpen: !!(byte & 0x04),
+    paperOut: !!(byte & 0x20),
+    error: !!(byte & 0x40)
+  };
+};
+
+// 'ok' | 'near-end' | 'out', or null when the byte isn't a status reply
+export const parsePaperStatus = (byte) => {
+  if (!isStatusByte(byte)) return null;
+  if (byte & 0x60) return 'out';
+  if (byte & 0x0C) return 'near-end';
+  return 'ok';
+};
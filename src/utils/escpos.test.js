@@ -0,0 +1,65 @@
+import { encodeBitmap, encodeFeedAndCut, encodeRaster, encodeColumn, parsePaperStatus, parseOfflineStatus } from './escpos';
+
+const bitmap = (width, height, isBlack) => {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (isBlack(x, y)) data[(y * width + x) * 4] = 0;
+    }
+  }
+  return { width, height, data };
+};
+
+test('raster mode writes a GS v 0 header followed by packed rows', () => {
+  const bytes = encodeRaster(bitmap(10, 2, (x) => x === 0 || x === 9));
+  expect(bytes.slice(0, 8)).toEqual([0x1D, 0x76, 0x30, 0, 2, 0, 2, 0]);
+  // Row = 1000 0000 | 0100 0000
+  expect(bytes.slice(8)).toEqual([0x80, 0x40, 0x80, 0x40]);
+});
+
+test('column mode writes 24-dot bands with 3 bytes per column', () => {
+  const bytes = encodeColumn(bitmap(2, 24, (x, y) => x === 1 && y === 0));
+  expect(bytes.slice(0, 3)).toEqual([0x1B, 0x33, 24]);
+  expect(bytes.slice(3, 8)).toEqual([0x1B, 0x2A, 33, 2, 0]);
+  expect(bytes.slice(8, 14)).toEqual([0, 0, 0, 0x80, 0, 0]);
+  expect(bytes[14]).toBe(0x0A);
+});
+
+test('column mode pads the last partial band', () => {
+  const bytes = encodeColumn(bitmap(1, 30, () => true));
+  const bands = bytes.filter((b, i) => b === 0x2A && bytes[i - 1] === 0x1B).length;
+  expect(bands).toBe(2);
+});
+
+test('encodeBitmap wraps the body with init, feed and cut', () => {
+  const bytes = Array.from(encodeBitmap(bitmap(8, 1, () => false), { feedLines: 4 }));
+  expect(bytes.slice(0, 5)).toEqual([0x1B, 0x40, 0x1B, 0x61, 0x01]);
+  expect(bytes.slice(-6)).toEqual([0x1B, 0x64, 4, 0x1D, 0x56, 0x01]);
+});
+
+test('encodeBitmap can skip the cut', () => {
+  const bytes = Array.from(encodeBitmap(bitmap(8, 1, () => false), { cut: false }));
+  expect(bytes.slice(-3)).toEqual([0x1B, 0x64, 2]);
+});
+
+test('a partial strip is finished with a feed and cut only', () => {
+  expect(Array.from(encodeFeedAndCut({ feedLines: 3 }))).toEqual([0x1B, 0x64, 3, 0x1D, 0x56, 0x01]);
+  expect(Array.from(encodeFeedAndCut({ cut: false }))).toEqual([0x1B, 0x64, 2]);
+});
+
+test('encodeBitmap rejects unknown modes', () => {
+  expect(() => encodeBitmap(bitmap(8, 1, () => false), { mode: 'bogus' })).toThrow(/Unknown ESC\/POS/);
+});
+
+test('paper sensor status bytes are decoded', () => {
+  expect(parsePaperStatus(0x12)).toBe('ok');
+  expect(parsePaperStatus(0x1E)).toBe('near-end');
+  expect(parsePaperStatus(0x72)).toBe('out');
+  expect(parsePaperStatus(0xFF)).toBeNull();
+});
+
+test('offline status bytes are decoded', () => {
+  expect(parseOfflineStatus(0x12)).toEqual({ coverOpen: false, paperOut: false, error: false });
+  expect(parseOfflineStatus(0x76)).toEqual({ coverOpen: true, paperOut: true, error: true });
+  expect(parseOfflineStatus(0x00)).toBeNull();
+});
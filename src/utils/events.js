@@ -0,0 +1,161 @@
+// Event / booth configuration
+// One row per gig in the `events` table; the active one drives the receipt, the screens and the download page
+
+export const DATE_FORMATS = ['MM/DD/YY', 'DD/MM/YY', 'YYYY-MM-DD', 'MMMM D, YYYY', 'D MMMM YYYY'];
+
+export const EVENT_FONTS = ['Computer Says No', 'Farmhand Serif', 'Space Mono', 'Georgia', 'Arial'];
+
+export const DEFAULT_EVENT = {
+  id: null,
+  name: 'Therma-Snaps',
+  headerLines: ['Therma-Snaps', 'Warm Memories on Receipts'],
+  footerLines: ['***', 'Thanks for the warm moments'],
+  dateFormat: 'MM/DD/YY',
+  logo: null, // data URL, printed above the header lines
+  fonts: {
+    heading: 'Computer Says No',
+    body: 'Computer Says No'
+  },
+  colors: {
+    background: '#3e000c',
+    accent: '#ffd482',
+    text: '#ffecd1'
+  },
+  countdownSeconds: 5,
+  shotDelaySeconds: 1, // pause between one shot and the next countdown, to see the photo and change pose
+  countdownBeep: false,
+  shutterSound: false,
+  flash: false, // white flash on screen at each shot
+  stickers: false, // props guests can put on the camera preview
+  faceTracking: false, // pin props to faces; downloads a face-landmark model on first use
+  maxPrints: 5,
+  linkExpiryDays: 3,
+  retentionDays: 7, // photos are deleted from storage this long after the session, never before the link expires
+  layouts: [] // custom strip templates made in the layout editor
+};
+
+const CACHE_KEY = 'thermaSnaps.activeEvent';
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const formatEventDate = (date, format = DEFAULT_EVENT.dateFormat) => {
+  const tokens = {
+    YYYY: String(date.getFullYear()),
+    YY: pad(date.getFullYear() % 100),
+    MMMM: MONTHS[date.getMonth()],
+    MM: pad(date.getMonth() + 1),
+    M: String(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    D: String(date.getDate())
+  };
+  return format.replace(/YYYY|YY|MMMM|MM|M|DD|D/g, (token) => tokens[token]);
+};
+
+const clampNumber = (value, min, max, fallback) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+};
+
+// Fill gaps from DEFAULT_EVENT so older rows keep working as fields are added
+export const normalizeEvent = (event = {}) => ({
+  ...DEFAULT_EVENT,
+  ...event,
+  headerLines: Array.isArray(event.headerLines) ? event.headerLines : DEFAULT_EVENT.headerLines,
+  footerLines: Array.isArray(event.footerLines) ? event.footerLines : DEFAULT_EVENT.footerLines,
+  fonts: { ...DEFAULT_EVENT.fonts, ...event.fonts },
+  colors: { ...DEFAULT_EVENT.colors, ...event.colors },
+  countdownSeconds: clampNumber(event.countdownSeconds, 1, 30, DEFAULT_EVENT.countdownSeconds),
+  shotDelaySeconds: clampNumber(event.shotDelaySeconds, 0, 10, DEFAULT_EVENT.shotDelaySeconds),
+  maxPrints: clampNumber(event.maxPrints, 1, 20, DEFAULT_EVENT.maxPrints),
+  linkExpiryDays: clampNumber(event.linkExpiryDays, 1, 365, DEFAULT_EVENT.linkExpiryDays),
+  retentionDays: Math.max(
+    clampNumber(event.linkExpiryDays, 1, 365, DEFAULT_EVENT.linkExpiryDays),
+    clampNumber(event.retentionDays, 1, 365, DEFAULT_EVENT.retentionDays)
+  ),
+  layouts: Array.isArray(event.layouts) ? event.layouts : []
+});
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// When a session's download link stops working and when its files may be deleted
+export const sessionExpiry = (event, takenAt = new Date()) => ({
+  expiry: addDays(takenAt, event.linkExpiryDays).toISOString(),
+  deleteAfter: addDays(takenAt, event.retentionDays).toISOString()
+});
+
+const fromRow = (row) => normalizeEvent({ ...row.config, id: row.id, name: row.name });
+
+const toRow = (event) => {
+  const { id, name, ...config } = normalizeEvent(event);
+  return { ...(id ? { id } : {}), name, config };
+};
+
+export const loadCachedEvent = () => {
+  try {
+    const saved = localStorage.getItem(CACHE_KEY);
+    return saved ? normalizeEvent(JSON.parse(saved)) : DEFAULT_EVENT;
+  } catch {
+    return DEFAULT_EVENT;
+  }
+};
+
+export const cacheEvent = (event) => {
+  try {
+    localStorage.setItem(CACHE_KEY, JSON.stringify(event));
+  } catch (error) {
+    console.warn('Active event not cached:', error);
+  }
+};
+
+export const createEventService = (supabase) => ({
+  getActive: async () => {
+    const { data, error } = await supabase
+      .from('events')
+      .select('*')
+      .eq('is_active', true)
+      .maybeSingle();
+    if (error) throw error;
+    return data ? fromRow(data) : null;
+  },
+
+  list: async () => {
+    const { data, error } = await supabase
+      .from('events')
+      .select('*')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data.map(fromRow);
+  },
+
+  save: async (event) => {
+    const { data, error } = await supabase
+      .from('events')
+      .upsert(toRow(event))
+      .select()
+      .single();
+    if (error) throw error;
+    return fromRow(data);
+  },
+
+  setActive: async (id) => {
+    const { error: clearError } = await supabase
+      .from('events')
+      .update({ is_active: false })
+      .eq('is_active', true);
+    if (clearError) throw clearError;
+
+    const { error } = await supabase
+      .from('events')
+      .update({ is_active: true })
+      .eq('id', id);
+    if (error) throw error;
+  }
+});
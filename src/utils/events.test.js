@@ -0,0 +1,57 @@
+import { DEFAULT_EVENT, formatEventDate, normalizeEvent, createEventService, sessionExpiry } from './events';
+
+const date = new Date(2024, 2, 7);
+
+test('formats dates with every supported pattern', () => {
+  expect(formatEventDate(date, 'MM/DD/YY')).toBe('03/07/24');
+  expect(formatEventDate(date, 'DD/MM/YY')).toBe('07/03/24');
+  expect(formatEventDate(date, 'YYYY-MM-DD')).toBe('2024-03-07');
+  expect(formatEventDate(date, 'MMMM D, YYYY')).toBe('March 7, 2024');
+  expect(formatEventDate(date, 'D MMMM YYYY')).toBe('7 March 2024');
+});
+
+test('normalizeEvent fills missing fields and clamps limits', () => {
+  const event = normalizeEvent({ name: 'Wedding', colors: { accent: '#fff' }, maxPrints: '50', countdownSeconds: 'abc' });
+  expect(event.name).toBe('Wedding');
+  expect(event.headerLines).toEqual(DEFAULT_EVENT.headerLines);
+  expect(event.colors).toEqual({ ...DEFAULT_EVENT.colors, accent: '#fff' });
+  expect(event.maxPrints).toBe(20);
+  expect(event.countdownSeconds).toBe(DEFAULT_EVENT.countdownSeconds);
+});
+
+test('capture timing allows no gap between shots but not a long one', () => {
+  expect(normalizeEvent({}).shotDelaySeconds).toBe(1);
+  expect(normalizeEvent({ shotDelaySeconds: '0' }).shotDelaySeconds).toBe(0);
+  expect(normalizeEvent({ shotDelaySeconds: 60 }).shotDelaySeconds).toBe(10);
+  expect(normalizeEvent({ countdownBeep: true })).toMatchObject({ countdownBeep: true, shutterSound: false, flash: false });
+});
+
+test('photos are never deleted before their link expires', () => {
+  expect(normalizeEvent({ linkExpiryDays: 14, retentionDays: 3 }).retentionDays).toBe(14);
+  expect(normalizeEvent({ linkExpiryDays: 3, retentionDays: '30' }).retentionDays).toBe(30);
+
+  const takenAt = new Date('2024-03-07T12:00:00Z');
+  const { expiry, deleteAfter } = sessionExpiry(normalizeEvent({ linkExpiryDays: 2, retentionDays: 10 }), takenAt);
+  expect(new Date(expiry) - takenAt).toBe(2 * 24 * 60 * 60 * 1000);
+  expect(new Date(deleteAfter) - takenAt).toBe(10 * 24 * 60 * 60 * 1000);
+});
+
+test('event service maps rows to events and back', async () => {
+  const row = { id: 'e1', name: 'Gala', config: { footerLines: ['Bye'] }, is_active: true };
+  const query = {
+    select: jest.fn(() => query),
+    eq: jest.fn(() => query),
+    upsert: jest.fn(() => query),
+    maybeSingle: jest.fn().mockResolvedValue({ data: row, error: null }),
+    single: jest.fn().mockResolvedValue({ data: row, error: null })
+  };
+  const service = createEventService({ from: jest.fn(() => query) });
+
+  const active = await service.getActive();
+  expect(active).toMatchObject({ id: 'e1', name: 'Gala', footerLines: ['Bye'], linkExpiryDays: 3 });
+
+  await service.save(active);
+  const saved = query.upsert.mock.calls[0][0];
+  expect(saved).toMatchObject({ id: 'e1', name: 'Gala' });
+  expect(saved.config).not.toHaveProperty('id');
+});
@@ -0,0 +1,128 @@
+// Optional face tracking for stickers, using MediaPipe's face landmarker on the CPU
+// The library and model are only fetched once an event turns tracking on. scripts/copy-vendor-assets.js copies
+// the installed library and its WASM into public/mediapipe/, so they always match; the model comes from Google
+// unless REACT_APP_FACE_MODEL_URL points at a self-hosted copy
+import { orientedSize } from './camera';
+import { coverCrop } from './layouts';
+
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+
+export const FACE_VISION_URL = process.env.REACT_APP_FACE_VISION_URL || `${PUBLIC_URL}/mediapipe/vision_bundle.mjs`;
+export const FACE_WASM_URL = process.env.REACT_APP_FACE_WASM_URL || `${PUBLIC_URL}/mediapipe/wasm`;
+export const FACE_MODEL_URL = process.env.REACT_APP_FACE_MODEL_URL
+  || 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task';
+
+export const MAX_FACES = 4;
+
+// Indices into the 478-point face mesh
+const LANDMARKS = {
+  rightEye: 33,
+  leftEye: 263,
+  forehead: 10,
+  upperLip: 13,
+  lowerLip: 14,
+  rightCheek: 234,
+  leftCheek: 454
+};
+
+export const createFaceTracker = async ({
+  wasmUrl = FACE_WASM_URL,
+  modelUrl = FACE_MODEL_URL,
+  maxFaces = MAX_FACES,
+  // Loaded by the browser rather than bundled: webpack can't follow the library's own dynamic imports
+  loadVision = () => import(/* webpackIgnore: true */ FACE_VISION_URL)
+} = {}) => {
+  const { FilesetResolver, FaceLandmarker } = await loadVision();
+  const fileset = await FilesetResolver.forVisionTasks(wasmUrl);
+  const landmarker = await FaceLandmarker.createFromOptions(fileset, {
+    baseOptions: { modelAssetPath: modelUrl, delegate: 'CPU' },
+    runningMode: 'VIDEO',
+    numFaces: maxFaces
+  });
+  let lastTimestamp = 0;
+
+  return {
+    // Landmarks per face, normalized to the raw video frame
+    detect: (video, timestamp = performance.now()) => {
+      // The landmarker rejects timestamps that don't increase
+      lastTimestamp = Math.max(timestamp, lastTimestamp + 1);
+      return landmarker.detectForVideo(video, lastTimestamp).faceLandmarks || [];
+    },
+    close: () => landmarker.close()
+  };
+};
+
+// One tracker per page: loading the model is the slow part. A failed load can be retried
+let sharedTracker = null;
+export const getFaceTracker = () => {
+  if (!sharedTracker) {
+    sharedTracker = createFaceTracker().catch((error) => {
+      sharedTracker = null;
+      throw error;
+    });
+  }
+  return sharedTracker;
+};
+
+// Where a pixel of the raw camera frame lands in the oriented photo, matching drawOrientedFrame
+export const orientPoint = ({ x, y }, width, height, { rotation = 0, mirror = false } = {}) => {
+  const out = orientedSize(width, height, rotation);
+  const rad = (rotation * Math.PI) / 180;
+  const cx = x - width / 2;
+  const cy = y - height / 2;
+  const rx = cx * Math.cos(rad) - cy * Math.sin(rad);
+  const ry = cx * Math.sin(rad) + cy * Math.cos(rad);
+  return { x: (mirror ? -rx : rx) + out.width / 2, y: ry + out.height / 2 };
+};
+
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Sticker anchors for one face, in slot coordinates like sticker placements (see utils/stickers)
+export const faceGeometry = (landmarks, { videoWidth, videoHeight, orientation, slotAspect }) => {
+  const point = (idx) => orientPoint(
+    { x: landmarks[idx].x * videoWidth, y: landmarks[idx].y * videoHeight },
+    videoWidth,
+    videoHeight,
+    orientation
+  );
+  const out = orientedSize(videoWidth, videoHeight, orientation.rotation);
+  const crop = coverCrop(out.width, out.height, slotAspect, 1);
+
+  // Mirroring swaps which eye is on the left; measure the tilt left to right either way
+  const [eyeA, eyeB] = [point(LANDMARKS.rightEye), point(LANDMARKS.leftEye)].sort((a, b) => a.x - b.x);
+  const angle = Math.atan2(eyeB.y - eyeA.y, eyeB.x - eyeA.x);
+  const cheekA = point(LANDMARKS.rightCheek);
+  const cheekB = point(LANDMARKS.leftCheek);
+  const width = Math.hypot(cheekB.x - cheekA.x, cheekB.y - cheekA.y);
+  const forehead = point(LANDMARKS.forehead);
+
+  // Unit vectors along and across the tilted face
+  const right = { x: Math.cos(angle), y: Math.sin(angle) };
+  const up = { x: Math.sin(angle), y: -Math.cos(angle) };
+  const offset = (from, alongRight, alongUp) => ({
+    x: from.x + (right.x * alongRight + up.x * alongUp) * width,
+    y: from.y + (right.y * alongRight + up.y * alongUp) * width
+  });
+  const toSlot = ({ x, y }) => ({ x: (x - crop.x) / crop.width, y: (y - crop.y) / crop.height });
+
+  return {
+    crown: toSlot(offset(forehead, 0, 0.3)),
+    eyes: toSlot(midpoint(eyeA, eyeB)),
+    mouth: toSlot(midpoint(point(LANDMARKS.upperLip), point(LANDMARKS.lowerLip))),
+    side: toSlot(offset(forehead, 0.9, 0.1)),
+    width: width / crop.width,
+    angle
+  };
+};
+
+// Faces in the video, left to right so sticker assignments stay put from frame to frame
+export const trackFaces = (tracker, video, { orientation, slotAspect }) => (
+  tracker.detect(video)
+    .map(landmarks => faceGeometry(landmarks, {
+      videoWidth: video.videoWidth,
+      videoHeight: video.videoHeight,
+      orientation,
+      slotAspect
+    }))
+    .sort((a, b) => a.eyes.x - b.eyes.x)
+);
@@ -0,0 +1,88 @@
+import fs from 'fs';
+import path from 'path';
+import { FACE_VISION_URL, FACE_WASM_URL, createFaceTracker, faceGeometry, orientPoint, trackFaces } from './faceTracking';
+import { VENDOR_ASSETS } from '../../scripts/copy-vendor-assets';
+
+// A level face in the middle of a 1000x1000 frame, 400px across
+const mesh = (shiftX = 0) => {
+  const landmarks = [];
+  const set = (idx, x, y) => { landmarks[idx] = { x: x + shiftX, y }; };
+  set(33, 0.4, 0.4);
+  set(263, 0.6, 0.4);
+  set(10, 0.5, 0.25);
+  set(13, 0.5, 0.6);
+  set(14, 0.5, 0.64);
+  set(234, 0.3, 0.45);
+  set(454, 0.7, 0.45);
+  return landmarks;
+};
+
+const square = { videoWidth: 1000, videoHeight: 1000, orientation: { rotation: 0, mirror: false }, slotAspect: 1 };
+
+test('points follow the photo rotation and mirroring', () => {
+  const rotated = orientPoint({ x: 1600, y: 100 }, 1920, 1080, { rotation: 90 });
+  expect(rotated.x).toBeCloseTo(980);
+  expect(rotated.y).toBeCloseTo(1600);
+
+  const mirrored = orientPoint({ x: 100, y: 100 }, 1920, 1080, { mirror: true });
+  expect(mirrored).toEqual({ x: 1820, y: 100 });
+});
+
+test('a level face gives anchors in slot coordinates', () => {
+  const geometry = faceGeometry(mesh(), square);
+
+  expect(geometry.eyes).toEqual({ x: 0.5, y: 0.4 });
+  expect(geometry.mouth.y).toBeCloseTo(0.62);
+  expect(geometry.width).toBeCloseTo(0.4);
+  expect(geometry.angle).toBeCloseTo(0);
+  // The crown sits above the forehead, the speech bubble off to the side
+  expect(geometry.crown.y).toBeCloseTo(0.25 - 0.3 * 0.4);
+  expect(geometry.side.x).toBeGreaterThan(0.8);
+});
+
+test('slot coordinates account for the crop to the slot shape', () => {
+  const geometry = faceGeometry(mesh(), { ...square, slotAspect: 0.5 });
+  // A half-width slot shows x 250..750 of the frame
+  expect(geometry.eyes.x).toBeCloseTo(0.5);
+  expect(geometry.width).toBeCloseTo(0.8);
+});
+
+test('a mirrored photo keeps the face level', () => {
+  const geometry = faceGeometry(mesh(0.1), { ...square, orientation: { rotation: 0, mirror: true } });
+  expect(geometry.angle).toBeCloseTo(0);
+  expect(geometry.eyes.x).toBeCloseTo(0.4);
+});
+
+test('faces come back left to right', () => {
+  const tracker = { detect: () => [mesh(0.2), mesh(-0.2)] };
+  const faces = trackFaces(tracker, { videoWidth: 1000, videoHeight: 1000 }, square);
+  expect(faces.map(face => face.eyes.x)).toEqual([0.3, 0.7].map(x => expect.closeTo(x)));
+});
+
+test('the library and WASM are served from the copies of the installed package', () => {
+  const copied = VENDOR_ASSETS.filter(({ from }) => from.startsWith('@mediapipe/tasks-vision/'));
+  copied.forEach(({ from }) => expect(fs.existsSync(path.resolve(__dirname, '../../node_modules', from))).toBe(true));
+
+  const targets = copied.map(({ to }) => `/${to}`);
+  expect(targets).toContain(FACE_VISION_URL);
+  expect(targets.filter(target => target.startsWith(`${FACE_WASM_URL}/`))).toHaveLength(4);
+});
+
+test('the tracker runs the landmarker on the CPU with rising timestamps', async () => {
+  const detectForVideo = jest.fn(() => ({ faceLandmarks: [mesh()] }));
+  const createFromOptions = jest.fn(async () => ({ detectForVideo, close: jest.fn() }));
+  const loadVision = async () => ({
+    FilesetResolver: { forVisionTasks: async (url) => ({ url }) },
+    FaceLandmarker: { createFromOptions }
+  });
+
+  const tracker = await createFaceTracker({ wasmUrl: '/wasm', modelUrl: '/face.task', loadVision });
+  expect(createFromOptions).toHaveBeenCalledWith({ url: '/wasm' }, expect.objectContaining({
+    baseOptions: { modelAssetPath: '/face.task', delegate: 'CPU' },
+    runningMode: 'VIDEO'
+  }));
+
+  expect(tracker.detect('video', 50)).toHaveLength(1);
+  tracker.detect('video', 50);
+  expect(detectForVideo.mock.calls.map(call => call[1])).toEqual([50, 51]);
+});
@@ -0,0 +1,146 @@
+// Photo looks guests pick on the layout screen
+// Each filter is a list of CSS filter steps. The live preview uses them as a CSS `filter` on the <video>, and
+// captured photos run the same steps in JS with the matrices from the Filter Effects spec, so the photo matches
+// the preview without relying on canvas `ctx.filter` (missing in Safari). The sketch step is an SVG filter
+// (see PhotoFilterDefs) in the preview and the same convolution here.
+// Looks are tuned for the thermal print as much as the screen: mid-tones are pushed apart so dithering
+// doesn't turn them into the same grey.
+
+export const SKETCH_FILTER_ID = 'therma-sketch';
+
+// Edge kernel for the sketch look; the gain is folded in so the SVG and JS versions share it
+export const SKETCH_KERNEL = [-2, -2, -2, -2, 16, -2, -2, -2, -2];
+
+// The preview runs the kernel at one CSS pixel of a ~480px-wide video; photos space it to match
+const SKETCH_REFERENCE_WIDTH = 480;
+
+export const PHOTO_FILTERS = [
+  { id: 'none', label: 'Original', steps: [] },
+  { id: 'bw', label: 'B&W', steps: [['grayscale', 1], ['contrast', 1.15], ['brightness', 1.05]] },
+  { id: 'sepia', label: 'Sepia', steps: [['sepia', 0.9], ['contrast', 1.1], ['brightness', 1.05]] },
+  { id: 'newsprint', label: 'Newsprint', steps: [['grayscale', 1], ['contrast', 1.8], ['brightness', 1.1]] },
+  { id: 'vintage', label: 'Vintage', steps: [['sepia', 0.45], ['saturate', 0.75], ['hue-rotate', -8], ['contrast', 1.1], ['brightness', 1.05]] },
+  { id: 'sketch', label: 'Sketch', steps: [['sketch', 1], ['contrast', 1.3]] }
+];
+
+export const getPhotoFilter = (id) => PHOTO_FILTERS.find(filter => filter.id === id) || PHOTO_FILTERS[0];
+
+const cssStep = ([name, amount]) => {
+  if (name === 'sketch') return `url(#${SKETCH_FILTER_ID})`;
+  if (name === 'hue-rotate') return `hue-rotate(${amount}deg)`;
+  return `${name}(${amount})`;
+};
+
+export const filterCss = (id) => {
+  const { steps } = getPhotoFilter(id);
+  return steps.length ? steps.map(cssStep).join(' ') : 'none';
+};
+
+// 3x3 colour matrices, row-major, from https://www.w3.org/TR/filter-effects-1/#filter-functions
+const colorMatrix = (name, amount) => {
+  const a = 1 - amount;
+  switch (name) {
+    case 'grayscale':
+      return [
+        0.2126 + 0.7874 * a, 0.7152 - 0.7152 * a, 0.0722 - 0.0722 * a,
+        0.2126 - 0.2126 * a, 0.7152 + 0.2848 * a, 0.0722 - 0.0722 * a,
+        0.2126 - 0.2126 * a, 0.7152 - 0.7152 * a, 0.0722 + 0.9278 * a
+      ];
+    case 'sepia':
+      return [
+        0.393 + 0.607 * a, 0.769 - 0.769 * a, 0.189 - 0.189 * a,
+        0.349 - 0.349 * a, 0.686 + 0.314 * a, 0.168 - 0.168 * a,
+        0.272 - 0.272 * a, 0.534 - 0.534 * a, 0.131 + 0.869 * a
+      ];
+    case 'saturate':
+      return [
+        0.213 + 0.787 * amount, 0.715 - 0.715 * amount, 0.072 - 0.072 * amount,
+        0.213 - 0.213 * amount, 0.715 + 0.285 * amount, 0.072 - 0.072 * amount,
+        0.213 - 0.213 * amount, 0.715 - 0.715 * amount, 0.072 + 0.928 * amount
+      ];
+    case 'hue-rotate': {
+      const rad = (amount * Math.PI) / 180;
+      const cos = Math.cos(rad);
+      const sin = Math.sin(rad);
+      return [
+        0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+        0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+        0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+      ];
+    }
+    default:
+      return null;
+  }
+};
+
+const clampByte = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+const applyMatrix = (data, m) => {
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = clampByte(m[0] * r + m[1] * g + m[2] * b);
+    data[i + 1] = clampByte(m[3] * r + m[4] * g + m[5] * b);
+    data[i + 2] = clampByte(m[6] * r + m[7] * g + m[8] * b);
+  }
+};
+
+const applyLinear = (data, slope, intercept) => {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = clampByte(data[i] * slope + intercept);
+    data[i + 1] = clampByte(data[i + 1] * slope + intercept);
+    data[i + 2] = clampByte(data[i + 2] * slope + intercept);
+  }
+};
+
+// Greyscale, edge kernel, invert: dark lines on white, which is what thermal paper does best
+const applySketch = ({ data, width, height }) => {
+  const saturate0 = colorMatrix('saturate', 0);
+  const gray = new Float32Array(width * height);
+  for (let p = 0, i = 0; p < gray.length; p++, i += 4) {
+    gray[p] = saturate0[0] * data[i] + saturate0[1] * data[i + 1] + saturate0[2] * data[i + 2];
+  }
+
+  const step = Math.max(1, Math.round(width / SKETCH_REFERENCE_WIDTH));
+  const clampX = (x) => (x < 0 ? 0 : x >= width ? width - 1 : x);
+  const clampY = (y) => (y < 0 ? 0 : y >= height ? height - 1 : y);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let k = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const row = clampY(y + dy * step) * width;
+        for (let dx = -1; dx <= 1; dx++) {
+          sum += SKETCH_KERNEL[k++] * gray[row + clampX(x + dx * step)];
+        }
+      }
+      const value = 255 - clampByte(sum);
+      const i = (y * width + x) * 4;
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+    }
+  }
+};
+
+// Runs the filter's steps over RGBA ImageData in place. Alpha is left alone
+export const applyFilterToImageData = (imageData, id) => {
+  const { steps } = getPhotoFilter(id);
+  steps.forEach(([name, amount]) => {
+    if (name === 'brightness') applyLinear(imageData.data, amount, 0);
+    else if (name === 'contrast') applyLinear(imageData.data, amount, 127.5 * (1 - amount));
+    else if (name === 'sketch') applySketch(imageData);
+    else applyMatrix(imageData.data, colorMatrix(name, amount));
+  });
+  return imageData;
+};
+
+// For a canvas that already holds the photo
+export const applyFilterToCanvas = (canvas, id) => {
+  if (!getPhotoFilter(id).steps.length) return;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  ctx.putImageData(applyFilterToImageData(imageData, id), 0, 0);
+};
@@ -0,0 +1,59 @@
+import { PHOTO_FILTERS, applyFilterToImageData, filterCss, getPhotoFilter } from './filters';
+
+const image = (pixels, width = pixels.length, height = 1) => ({
+  width,
+  height,
+  data: new Uint8ClampedArray(pixels.flatMap(([r, g, b]) => [r, g, b, 255]))
+});
+
+const pixel = ({ data }, idx = 0) => Array.from(data.slice(idx * 4, idx * 4 + 4));
+
+test('offers the looks guests asked for, with Original first', () => {
+  expect(PHOTO_FILTERS.map(filter => filter.id)).toEqual(['none', 'bw', 'sepia', 'newsprint', 'vintage', 'sketch']);
+  expect(getPhotoFilter('missing').id).toBe('none');
+});
+
+test('builds the CSS filter the live preview uses', () => {
+  expect(filterCss('none')).toBe('none');
+  expect(filterCss('bw')).toBe('grayscale(1) contrast(1.15) brightness(1.05)');
+  expect(filterCss('vintage')).toContain('hue-rotate(-8deg)');
+  expect(filterCss('sketch')).toBe('url(#therma-sketch) contrast(1.3)');
+});
+
+test('Original leaves the pixels untouched', () => {
+  const photo = image([[12, 200, 90]]);
+  expect(pixel(applyFilterToImageData(photo, 'none'))).toEqual([12, 200, 90, 255]);
+});
+
+test('B&W matches the CSS grayscale, contrast and brightness steps', () => {
+  const [r, g, b] = pixel(applyFilterToImageData(image([[200, 100, 50]]), 'bw'));
+  // grayscale(1): 0.2126 * 200 + 0.7152 * 100 + 0.0722 * 50 = 117.65 -> 118, contrast(1.15) -> 117, brightness(1.05) -> 123
+  expect(r).toBe(g);
+  expect(g).toBe(b);
+  expect(r).toBe(123);
+});
+
+test('sepia warms colours and keeps alpha', () => {
+  const [r, g, b, a] = pixel(applyFilterToImageData(image([[128, 128, 128]]), 'sepia'));
+  expect(r).toBeGreaterThan(g);
+  expect(g).toBeGreaterThan(b);
+  expect(a).toBe(255);
+});
+
+test('newsprint pushes mid-tones apart for dithering', () => {
+  const photo = applyFilterToImageData(image([[100, 100, 100], [160, 160, 160]]), 'newsprint');
+  const gap = pixel(photo, 1)[0] - pixel(photo, 0)[0];
+  expect(gap).toBeGreaterThan(100);
+});
+
+test('sketch turns flat areas white and edges dark', () => {
+  const width = 6;
+  const pixels = Array.from({ length: width * 3 }, (_, idx) => (idx % width < 3 ? [0, 0, 0] : [255, 255, 255]));
+  const photo = applyFilterToImageData(image(pixels, width, 3), 'sketch');
+
+  const row = Array.from({ length: width }, (_, x) => pixel(photo, width + x)[0]);
+  expect(row[0]).toBe(255);
+  expect(row[5]).toBe(255);
+  // The light side of the edge goes dark
+  expect(row[3]).toBe(0);
+});
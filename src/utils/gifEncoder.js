@@ -0,0 +1,27 @@
+// gif.js wrapper - frames are quantized and encoded in web workers so the kiosk UI stays responsive
+
+import GIF from 'gif.js';
+
+// gif.js loads its worker with new Worker(url). scripts/copy-vendor-assets.js copies gif.js/dist/gif.worker.js
+// into public/ before start and build, so it's served as-is and always matches the installed gif.js
+export const gifWorkerUrl = (publicUrl = process.env.PUBLIC_URL || '') => `${publicUrl}/gif.worker.js`;
+
+export const encodeGif = (frames, { delayMs, quality = 10, workers = 2 } = {}) => new Promise((resolve, reject) => {
+  if (frames.length === 0) {
+    reject(new Error('No frames to encode'));
+    return;
+  }
+
+  const gif = new GIF({
+    workers,
+    quality,
+    workerScript: gifWorkerUrl(),
+    width: frames[0].width,
+    height: frames[0].height
+  });
+
+  frames.forEach(frame => gif.addFrame(frame, { delay: delayMs }));
+  gif.on('finished', (blob) => resolve(blob));
+  gif.on('abort', () => reject(new Error('GIF encoding was aborted')));
+  gif.render();
+});
@@ -0,0 +1,47 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import GIF from 'gif.js';
+import { encodeGif, gifWorkerUrl } from './gifEncoder';
+import { copyVendorAssets } from '../../scripts/copy-vendor-assets';
+
+jest.mock('gif.js', () => jest.fn());
+
+const frame = { width: 4, height: 3 };
+
+beforeEach(() => {
+  GIF.mockReset();
+});
+
+test('the worker is served from the public folder', () => {
+  expect(gifWorkerUrl('')).toBe('/gif.worker.js');
+  expect(gifWorkerUrl('/booth')).toBe('/booth/gif.worker.js');
+});
+
+test('the worker copied into public/ is the installed gif.js one', () => {
+  const publicDir = fs.mkdtempSync(path.join(os.tmpdir(), 'public-'));
+  copyVendorAssets({ publicDir });
+  const read = (file) => fs.readFileSync(file, 'utf8');
+  expect(read(path.join(publicDir, 'gif.worker.js'))).toBe(read(path.resolve(__dirname, '../../node_modules/gif.js/dist/gif.worker.js')));
+  fs.rmSync(publicDir, { recursive: true });
+});
+
+test('frames are encoded with the public worker', async () => {
+  const handlers = {};
+  const gif = {
+    addFrame: jest.fn(),
+    on: (name, handler) => { handlers[name] = handler; },
+    render: () => handlers.finished('blob')
+  };
+  GIF.mockImplementation(() => gif);
+
+  await expect(encodeGif([frame, frame], { delayMs: 80 })).resolves.toBe('blob');
+  expect(GIF).toHaveBeenCalledWith(expect.objectContaining({ workerScript: '/gif.worker.js', width: 4, height: 3 }));
+  expect(gif.addFrame).toHaveBeenCalledTimes(2);
+  expect(gif.addFrame).toHaveBeenCalledWith(frame, { delay: 80 });
+});
+
+test('an empty burst is rejected', async () => {
+  await expect(encodeGif([])).rejects.toThrow('No frames');
+  expect(GIF).not.toHaveBeenCalled();
+});
@@ -0,0 +1,71 @@
+// Everything a guest gets from one session: the framed strip, each original photo and the GIF if one was recorded
+// Stored as separate keys so every storage backend can hold them: photo_png_<id>, photo_frame_<id>_<n>, photo_gif_<id>
+// The strip's metadata carries frameCount so the gallery knows which frame keys to ask for
+
+import { createZip } from './zip';
+
+export const stripKey = (id) => `photo_png_${id}`;
+export const gifKey = (id) => `photo_gif_${id}`;
+export const frameKey = (id, number) => `photo_frame_${id}_${number}`;
+
+// Every key a session can have, for hiding or deleting it as a whole
+export const sessionKeys = (id, frameCount = 0) => [
+  stripKey(id),
+  gifKey(id),
+  ...Array.from({ length: frameCount }, (_, idx) => frameKey(id, idx + 1))
+];
+
+const extensionOf = (image, isGif) => (isGif || /^data:image\/gif/.test(image) ? 'gif' : 'png');
+
+// getValue(key) -> parsed metadata or null. Returns null when the session doesn't exist (yet)
+export const loadSessionGallery = async (getValue, id) => {
+  const [strip, gif] = await Promise.all([getValue(stripKey(id)), getValue(gifKey(id))]);
+  const main = strip || gif;
+  if (!main) return null;
+
+  const frameCount = (strip && strip.frameCount) || 0;
+  const frames = await Promise.all(
+    Array.from({ length: frameCount }, (_, idx) => getValue(frameKey(id, idx + 1)))
+  );
+
+  // Frames still syncing from the booth are left out rather than shown broken
+  const items = [
+    strip && { id: 'strip', type: 'png', label: 'Photo strip', image: strip.image, fileName: 'strip.png' },
+    gif && { id: 'gif', type: 'gif', label: 'Animation', image: gif.image, fileName: 'animation.gif' },
+    ...frames.map((frame, idx) => frame && {
+      id: `frame-${idx + 1}`,
+      type: 'png',
+      label: `Photo ${idx + 1}`,
+      image: frame.image,
+      fileName: `photo-${idx + 1}.${extensionOf(frame.image, frame.isGif)}`
+    })
+  ].filter(item => item && item.image);
+
+  return {
+    id,
+    date: main.date,
+    expiry: main.expiry,
+    event: main.event,
+    hidden: !!main.hidden,
+    items
+  };
+};
+
+export const downloadFileName = (session, item) => {
+  const date = String(session.date || '').replace(/[^\w-]+/g, '-');
+  return `therma-snaps-${date}-${item.fileName}`;
+};
+
+export const fetchItemBlob = async (item) => {
+  const response = await fetch(item.image);
+  if (!response.ok) throw new Error(`Could not download ${item.label} (${response.status})`);
+  return response.blob();
+};
+
+// folder puts the files in a subdirectory, so several sessions can share one archive
+export const sessionZipFiles = (session, folder = '') => Promise.all(session.items.map(async (item) => ({
+  name: folder ? `${folder}/${item.fileName}` : item.fileName,
+  data: new Uint8Array(await (await fetchItemBlob(item)).arrayBuffer())
+})));
+
+export const createSessionZip = async (session) => createZip(await sessionZipFiles(session));
@@ -0,0 +1,42 @@
+import { downloadFileName, frameKey, gifKey, loadSessionGallery, stripKey } from './guestGallery';
+
+const meta = { date: '01/02/25', expiry: '2025-01-05T00:00:00.000Z', event: { name: 'Launch' } };
+
+const getter = (records) => jest.fn(async (key) => records[key] || null);
+
+test('collects the strip, the GIF and every frame in display order', async () => {
+  const getValue = getter({
+    [stripKey('abc')]: { ...meta, image: 'https://cdn/strip.png', frameCount: 2 },
+    [gifKey('abc')]: { ...meta, image: 'https://cdn/anim.gif', isGif: true },
+    [frameKey('abc', 1)]: { ...meta, image: 'https://cdn/1.png' },
+    [frameKey('abc', 2)]: { ...meta, image: 'https://cdn/2.png' }
+  });
+
+  const session = await loadSessionGallery(getValue, 'abc');
+
+  expect(session).toMatchObject({ id: 'abc', date: '01/02/25', expiry: meta.expiry, event: meta.event });
+  expect(session.items.map(item => item.fileName)).toEqual(['strip.png', 'animation.gif', 'photo-1.png', 'photo-2.png']);
+  expect(getValue).toHaveBeenCalledWith('photo_frame_abc_2');
+});
+
+test('older sessions without frames, frames still syncing and unsigned images are skipped', async () => {
+  const legacy = await loadSessionGallery(getter({ [stripKey('1700000000000')]: { ...meta, image: 'a.png' } }), '1700000000000');
+  expect(legacy.items.map(item => item.id)).toEqual(['strip']);
+
+  const partial = await loadSessionGallery(getter({
+    [stripKey('abc')]: { ...meta, image: 'a.png', frameCount: 3 },
+    [frameKey('abc', 2)]: { ...meta, image: 'b.png' },
+    [frameKey('abc', 3)]: { ...meta, image: null }
+  }), 'abc');
+  expect(partial.items.map(item => item.id)).toEqual(['strip', 'frame-2']);
+});
+
+test('a GIF link works even if only the GIF is there, and unknown sessions are null', async () => {
+  const session = await loadSessionGallery(getter({ [gifKey('abc')]: { ...meta, image: 'a.gif', isGif: true } }), 'abc');
+  expect(session.items.map(item => item.type)).toEqual(['gif']);
+  expect(await loadSessionGallery(getter({}), 'nope')).toBeNull();
+});
+
+test('download names carry the session date without path characters', () => {
+  expect(downloadFileName({ date: '01/02/25' }, { fileName: 'photo-1.png' })).toBe('therma-snaps-01-02-25-photo-1.png');
+});
@@ -0,0 +1,41 @@
+// Image pipeline for thermal output: load -> resize -> filter -> dither
+// Kept free of any Bluetooth code so the preview and the printer share the same steps
+
+import { DEFAULT_DITHER_SETTINGS, ditherImageData } from './dithering';
+
+// Increase contrast/brightness for cleaner thermal output
+export const DEFAULT_PRINT_FILTER = 'contrast(1.1) brightness(1.1)';
+
+export const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+export const resizeToWidth = (img, width, { filter = DEFAULT_PRINT_FILTER } = {}) => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const aspectRatio = img.height / img.width;
+  canvas.width = width;
+  canvas.height = Math.floor(width * aspectRatio);
+
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  ctx.filter = filter || 'none';
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+  ctx.filter = 'none';
+
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+export const rasterizeImage = async (src, {
+  width = 384,
+  filter = DEFAULT_PRINT_FILTER,
+  ditherSettings = DEFAULT_DITHER_SETTINGS
+} = {}) => {
+  const img = await loadImage(src);
+  const imageData = resizeToWidth(img, width, { filter });
+  return ditherImageData(imageData, ditherSettings);
+};
@@ -0,0 +1,55 @@
+// Small promise wrapper around IndexedDB for booth-local data
+// Bump DB_VERSION and add to STORES whenever a new object store is needed
+
+const DB_NAME = 'therma-snaps';
+const DB_VERSION = 3;
+const STORES = ['printJobs', 'uploads', 'photos'];
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let the next caller retry instead of caching a failure forever
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+// Records must carry an `id` field, which is the key path of every store
+export const createIdbStore = (storeName) => {
+  const withStore = async (mode, fn) => {
+    const db = await openDatabase();
+    const tx = db.transaction(storeName, mode);
+    return promisify(fn(tx.objectStore(storeName)));
+  };
+
+  return {
+    get: (id) => withStore('readonly', (store) => store.get(id)),
+    getAll: () => withStore('readonly', (store) => store.getAll()),
+    put: (record) => withStore('readwrite', (store) => store.put(record)),
+    delete: (id) => withStore('readwrite', (store) => store.delete(id)),
+    clear: () => withStore('readwrite', (store) => store.clear())
+  };
+};
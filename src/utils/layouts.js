@@ -0,0 +1,202 @@
+// Strip layout templates
+// A template is plain JSON describing the photo area between the event header and footer:
+//   { id, label, padding, spacing: { before, after }, width, height,
+//     slots: [{ x, y, width, height }],
+//     texts: [{ x, y, width, text, size, font: 'heading' | 'body', align }],
+//     overlays: [{ x, y, width, height, image, rotation, opacity }] }
+// Coordinates are layout units inside the photo area (width 720 fills an 800-unit receipt with 40 padding)
+
+import strip1 from '../layouts/strip-1.json';
+import strip2 from '../layouts/strip-2.json';
+import strip3 from '../layouts/strip-3.json';
+import strip4 from '../layouts/strip-4.json';
+import grid2x2 from '../layouts/grid-2x2.json';
+import landscape from '../layouts/landscape.json';
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const checkRect = (rect, kind, index) => {
+  ['x', 'y', 'width', 'height'].forEach((field) => {
+    if (!isNumber(rect[field])) {
+      throw new Error(`Layout ${kind} ${index + 1} is missing a numeric "${field}"`);
+    }
+  });
+};
+
+// Validate and fill defaults so hand-written or saved templates can't break the renderer
+export const normalizeLayout = (template) => {
+  if (!template || !template.id) throw new Error('Layout needs an id');
+  if (!Array.isArray(template.slots) || template.slots.length === 0) {
+    throw new Error(`Layout "${template.id}" needs at least one photo slot`);
+  }
+  if (!isNumber(template.width) || !isNumber(template.height)) {
+    throw new Error(`Layout "${template.id}" needs a numeric width and height`);
+  }
+
+  template.slots.forEach((slot, idx) => checkRect(slot, 'slot', idx));
+  (template.overlays || []).forEach((overlay, idx) => checkRect(overlay, 'overlay', idx));
+
+  return {
+    label: template.id,
+    padding: 40,
+    ...template,
+    spacing: { before: 60, after: 60, ...template.spacing },
+    texts: (template.texts || []).map(text => ({
+      y: 0,
+      x: 0,
+      width: template.width,
+      size: 48,
+      font: 'body',
+      align: 'center',
+      ...text
+    })),
+    overlays: (template.overlays || []).map(overlay => ({ rotation: 0, opacity: 1, ...overlay }))
+  };
+};
+
+export const BUILT_IN_LAYOUTS = [strip1, strip2, strip3, strip4, grid2x2, landscape].map(normalizeLayout);
+
+export const DEFAULT_LAYOUT_ID = 'strip-2';
+
+// Built-ins first, then any extra templates (e.g. ones saved for an event); invalid extras are skipped
+export const listLayouts = (extra = []) => {
+  const custom = extra.flatMap((template) => {
+    try {
+      return [normalizeLayout(template)];
+    } catch (error) {
+      console.warn('Skipping invalid layout:', error.message);
+      return [];
+    }
+  });
+  const customIds = new Set(custom.map(layout => layout.id));
+  return [...BUILT_IN_LAYOUTS.filter(layout => !customIds.has(layout.id)), ...custom];
+};
+
+export const getLayout = (id, layouts = BUILT_IN_LAYOUTS) => (
+  layouts.find(layout => layout.id === id) ||
+  BUILT_IN_LAYOUTS.find(layout => layout.id === DEFAULT_LAYOUT_ID)
+);
+
+// Scale that fits the template's photo area inside a box, e.g. a preview on screen
+export const fitLayoutScale = (template, maxWidth, maxHeight = Infinity) => (
+  Math.min(maxWidth / template.width, maxHeight / template.height)
+);
+
+// Source rectangle that crops an image to the target aspect ratio, like object-fit: cover
+export const coverCrop = (sourceWidth, sourceHeight, targetWidth, targetHeight) => {
+  const sourceAspect = sourceWidth / sourceHeight;
+  const targetAspect = targetWidth / targetHeight;
+
+  if (sourceAspect > targetAspect) {
+    // Source is wider, crop sides
+    const width = sourceHeight * targetAspect;
+    return { x: (sourceWidth - width) / 2, y: 0, width, height: sourceHeight };
+  }
+  // Source is taller, crop top/bottom
+  const height = sourceWidth / targetAspect;
+  return { x: 0, y: (sourceHeight - height) / 2, width: sourceWidth, height };
+};
+
+// Fill {event} and {date} placeholders in template text blocks
+export const resolveLayoutText = (text, { eventName = '', date = '' } = {}) => (
+  text.replace(/\{event\}/g, eventName).replace(/\{date\}/g, date)
+);
+
+// Draw the photo area onto a 2D context at (left, top), scaled to `width` layout units
+export const drawLayout = (ctx, template, {
+  left,
+  top,
+  width,
+  images,
+  overlayImages = {},
+  fonts,
+  textValues
+}) => {
+  const scale = width / template.width;
+
+  template.slots.forEach((slot, idx) => {
+    const img = images[idx];
+    if (!img) return;
+    const crop = coverCrop(img.width, img.height, slot.width, slot.height);
+    ctx.drawImage(
+      img, crop.x, crop.y, crop.width, crop.height,
+      left + slot.x * scale, top + slot.y * scale, slot.width * scale, slot.height * scale
+    );
+  });
+
+  template.overlays.forEach((overlay) => {
+    const img = overlayImages[overlay.image];
+    if (!img) return;
+    ctx.save();
+    ctx.globalAlpha = overlay.opacity;
+    ctx.translate(left + (overlay.x + overlay.width / 2) * scale, top + (overlay.y + overlay.height / 2) * scale);
+    ctx.rotate((overlay.rotation * Math.PI) / 180);
+    ctx.drawImage(img, (-overlay.width / 2) * scale, (-overlay.height / 2) * scale, overlay.width * scale, overlay.height * scale);
+    ctx.restore();
+  });
+
+  ctx.save();
+  ctx.fillStyle = '#000';
+  ctx.textBaseline = 'top';
+  template.texts.forEach((block) => {
+    const anchor = { left: block.x, center: block.x + block.width / 2, right: block.x + block.width }[block.align];
+    ctx.textAlign = block.align;
+    ctx.font = `${block.size * scale}px "${fonts[block.font] || fonts.body}", monospace`;
+    ctx.fillText(resolveLayoutText(block.text, textValues), left + anchor * scale, top + block.y * scale, block.width * scale);
+  });
+  ctx.restore();
+};
+
+// --- Editor helpers ---
+
+export const LAYOUT_GRID = 10;
+const MIN_ELEMENT_SIZE = 20;
+
+export const createBlankLayout = () => normalizeLayout({
+  id: 'custom-new',
+  label: 'New layout',
+  width: 720,
+  height: 1000,
+  slots: [{ x: 0, y: 0, width: 720, height: 480 }]
+});
+
+// Slug the label into an id that doesn't clash with any existing layout
+export const toCustomLayoutId = (label, existingIds = []) => {
+  const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const baseId = `custom-${slug || 'layout'}`;
+  const taken = new Set(existingIds);
+  let id = baseId;
+  for (let n = 2; taken.has(id); n++) id = `${baseId}-${n}`;
+  return id;
+};
+
+// Text blocks have no height of their own, so the font size stands in for it while editing
+export const getElementRect = (kind, element) => ({
+  x: element.x,
+  y: element.y,
+  width: element.width,
+  height: kind === 'texts' ? element.size : element.height
+});
+
+const snap = (value, grid) => Math.round(value / grid) * grid;
+
+// Snap to the grid and keep the element inside the photo area
+export const clampRect = (rect, layout, grid = LAYOUT_GRID) => {
+  const width = Math.min(layout.width, Math.max(MIN_ELEMENT_SIZE, snap(rect.width, grid)));
+  const height = Math.min(layout.height, Math.max(MIN_ELEMENT_SIZE, snap(rect.height, grid)));
+  return {
+    x: Math.min(layout.width - width, Math.max(0, snap(rect.x, grid))),
+    y: Math.min(layout.height - height, Math.max(0, snap(rect.y, grid))),
+    width,
+    height
+  };
+};
+
+export const updateLayoutElement = (layout, kind, index, rect, grid = LAYOUT_GRID) => {
+  const { x, y, width, height } = clampRect(rect, layout, grid);
+  const changes = kind === 'texts' ? { x, y, width, size: height } : { x, y, width, height };
+  return {
+    ...layout,
+    [kind]: layout[kind].map((element, idx) => (idx === index ? { ...element, ...changes } : element))
+  };
+};
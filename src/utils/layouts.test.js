@@ -0,0 +1,136 @@
+import {
+  BUILT_IN_LAYOUTS,
+  DEFAULT_LAYOUT_ID,
+  clampRect,
+  coverCrop,
+  createBlankLayout,
+  drawLayout,
+  fitLayoutScale,
+  getElementRect,
+  getLayout,
+  listLayouts,
+  normalizeLayout,
+  resolveLayoutText,
+  toCustomLayoutId,
+  updateLayoutElement
+} from './layouts';
+
+test('ships the strip, grid and landscape templates', () => {
+  expect(BUILT_IN_LAYOUTS.map(layout => layout.id)).toEqual(
+    ['strip-1', 'strip-2', 'strip-3', 'strip-4', 'grid-2x2', 'landscape']
+  );
+  expect(getLayout('grid-2x2').slots).toHaveLength(4);
+});
+
+test('built-in slots stay inside their photo area', () => {
+  BUILT_IN_LAYOUTS.forEach((layout) => {
+    layout.slots.forEach((slot) => {
+      expect(slot.x + slot.width).toBeLessThanOrEqual(layout.width);
+      expect(slot.y + slot.height).toBeLessThanOrEqual(layout.height);
+    });
+  });
+});
+
+test('normalizeLayout fills defaults and rejects broken templates', () => {
+  const layout = normalizeLayout({
+    id: 'custom',
+    width: 720,
+    height: 400,
+    slots: [{ x: 0, y: 0, width: 720, height: 400 }],
+    texts: [{ text: 'Hi' }]
+  });
+  expect(layout).toMatchObject({ label: 'custom', padding: 40, spacing: { before: 60, after: 60 }, overlays: [] });
+  expect(layout.texts[0]).toMatchObject({ x: 0, width: 720, font: 'body', align: 'center' });
+
+  expect(() => normalizeLayout({ id: 'empty', width: 720, height: 400, slots: [] })).toThrow('at least one photo slot');
+  expect(() => normalizeLayout({ id: 'bad', width: 720, height: 400, slots: [{ x: 0, y: 0, width: 'wide' }] }))
+    .toThrow('slot 1 is missing a numeric "width"');
+});
+
+test('listLayouts appends valid extras, lets them replace built-ins and skips broken ones', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const custom = { id: 'strip-1', label: 'Wide single', width: 720, height: 405, slots: [{ x: 0, y: 0, width: 720, height: 405 }] };
+  const layouts = listLayouts([custom, { id: 'broken' }]);
+
+  expect(layouts.filter(layout => layout.id === 'strip-1')).toHaveLength(1);
+  expect(getLayout('strip-1', layouts).label).toBe('Wide single');
+  expect(layouts.some(layout => layout.id === 'broken')).toBe(false);
+  console.warn.mockRestore();
+});
+
+test('unknown ids fall back to the default layout', () => {
+  expect(getLayout('nope').id).toBe(DEFAULT_LAYOUT_ID);
+});
+
+test('fitLayoutScale respects both bounds', () => {
+  const layout = getLayout('strip-4');
+  expect(fitLayoutScale(layout, 360)).toBeCloseTo(0.5);
+  expect(fitLayoutScale(layout, 360, 171)).toBeCloseTo(0.1);
+});
+
+test('coverCrop trims the long side to the slot aspect', () => {
+  expect(coverCrop(1920, 1080, 720, 720)).toEqual({ x: 420, y: 0, width: 1080, height: 1080 });
+  expect(coverCrop(1080, 1920, 720, 405)).toEqual({ x: 0, y: 656.25, width: 1080, height: 607.5 });
+});
+
+test('resolveLayoutText fills placeholders', () => {
+  expect(resolveLayoutText('{event} · {date}', { eventName: 'Gala', date: '03/07/24' })).toBe('Gala · 03/07/24');
+});
+
+test('drawLayout places photos, overlays and text at the requested scale', () => {
+  const ctx = {
+    drawImage: jest.fn(),
+    fillText: jest.fn(),
+    save: jest.fn(),
+    restore: jest.fn(),
+    translate: jest.fn(),
+    rotate: jest.fn()
+  };
+  const layout = normalizeLayout({
+    id: 'test',
+    width: 720,
+    height: 400,
+    slots: [{ x: 0, y: 0, width: 360, height: 360 }, { x: 360, y: 0, width: 360, height: 360 }],
+    texts: [{ y: 370, text: '{date}', size: 20 }],
+    overlays: [{ x: 340, y: 160, width: 40, height: 40, image: 'element1' }]
+  });
+  const photo = { width: 1000, height: 1000 };
+
+  drawLayout(ctx, layout, {
+    left: 10,
+    top: 100,
+    width: 360,
+    images: [photo, photo],
+    overlayImages: { element1: { width: 40, height: 40 } },
+    fonts: { body: 'Space Mono' },
+    textValues: { date: 'today' }
+  });
+
+  expect(ctx.drawImage).toHaveBeenCalledWith(photo, 0, 0, 1000, 1000, 10, 100, 180, 180);
+  expect(ctx.drawImage).toHaveBeenCalledWith(photo, 0, 0, 1000, 1000, 190, 100, 180, 180);
+  expect(ctx.translate).toHaveBeenCalledWith(190, 190);
+  expect(ctx.fillText).toHaveBeenCalledWith('today', 190, 285, 360);
+  expect(ctx.font).toBe('10px "Space Mono", monospace');
+});
+
+test('custom layout ids are slugged and never clash', () => {
+  expect(toCustomLayoutId('Wedding Strip!')).toBe('custom-wedding-strip');
+  expect(toCustomLayoutId('Wedding Strip', ['custom-wedding-strip', 'custom-wedding-strip-2'])).toBe('custom-wedding-strip-3');
+  expect(toCustomLayoutId('***')).toBe('custom-layout');
+});
+
+test('editor moves snap to the grid and stay inside the photo area', () => {
+  const layout = createBlankLayout();
+  expect(clampRect({ x: -30, y: 997, width: 123, height: 4 }, layout)).toEqual({ x: 0, y: 980, width: 120, height: 20 });
+  expect(clampRect({ x: 700, y: 0, width: 2000, height: 100 }, layout)).toEqual({ x: 0, y: 0, width: 720, height: 100 });
+});
+
+test('updateLayoutElement maps the dragged height onto text size', () => {
+  const layout = { ...createBlankLayout(), texts: [{ x: 0, y: 0, width: 720, size: 48, text: 'Hi' }] };
+  const moved = updateLayoutElement(layout, 'texts', 0, { ...getElementRect('texts', layout.texts[0]), y: 604, height: 61 });
+  expect(moved.texts[0]).toMatchObject({ y: 600, size: 60, text: 'Hi' });
+  expect(moved.slots).toBe(layout.slots);
+
+  const resized = updateLayoutElement(layout, 'slots', 0, { x: 0, y: 0, width: 355, height: 355 });
+  expect(resized.slots[0]).toEqual({ x: 0, y: 0, width: 360, height: 360 });
+});
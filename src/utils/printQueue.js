@@ -0,0 +1,251 @@
+// Persistent print queue
+// Jobs survive a page reload (IndexedDB) and are sent one at a time with retry + reconnect
+
+import { createIdbStore } from './indexedDb';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Finished jobs are kept around for reprints, but not forever
+const MAX_FINISHED_JOBS = 20;
+
+// A receipt still waiting after this long belongs to a guest who has left, so it's dropped rather than printed
+export const MAX_PENDING_AGE_MS = 30 * 60 * 1000;
+const MAX_PENDING_JOBS = 10;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createJobId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export class PrintQueue {
+  constructor({
+    getPrinter,
+    store = createIdbStore('printJobs'),
+    maxAttempts = 3,
+    retryDelayMs = 2000,
+    jobGapMs = 3000, // Lets the head cool and the guest tear off the strip between copies
+    maxPendingAgeMs = MAX_PENDING_AGE_MS,
+    maxPendingJobs = MAX_PENDING_JOBS,
+    now = () => Date.now()
+  }) {
+    this.getPrinter = getPrinter;
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.jobGapMs = jobGapMs;
+    this.maxPendingAgeMs = maxPendingAgeMs;
+    this.maxPendingJobs = maxPendingJobs;
+    this.now = now;
+    this.jobs = [];
+    this.listeners = new Set();
+    this.isProcessing = false;
+    this.isPaused = false;
+  }
+
+  async restore() {
+    try {
+      const saved = await this.store.getAll();
+      // A job that was mid-send when the page died is unknown state; let the operator decide.
+      // Part of it may be on the paper already, so it's treated as partial
+      this.jobs = saved
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(job => job.status === JOB_STATUS.SENDING
+          ? { ...job, status: JOB_STATUS.FAILED, error: 'Interrupted by page reload', partial: true }
+          : job);
+      this.isPaused = this.jobs.some(job => job.status === JOB_STATUS.FAILED);
+      this.pruneStale();
+    } catch (error) {
+      console.warn('Print queue could not be restored:', error);
+    }
+    this.emit();
+    return this.jobs;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  getState() {
+    return {
+      jobs: this.jobs,
+      isProcessing: this.isProcessing,
+      isPaused: this.isPaused
+    };
+  }
+
+  emit() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  persist(job) {
+    return this.store.put(job).catch(error => console.warn('Print job not saved:', error));
+  }
+
+  updateJob(id, changes, { persist = true } = {}) {
+    let updated = null;
+    this.jobs = this.jobs.map(job => {
+      if (job.id !== id) return job;
+      updated = { ...job, ...changes };
+      return updated;
+    });
+    if (updated && persist) this.persist(updated);
+    this.emit();
+    return updated;
+  }
+
+  enqueue(image, { copies = 1, label = 'Photo strip' } = {}) {
+    const added = Array.from({ length: copies }, (_, idx) => ({
+      id: createJobId(),
+      label: copies > 1 ? `${label} (${idx + 1}/${copies})` : label,
+      image,
+      status: JOB_STATUS.QUEUED,
+      progress: { sent: 0, total: 0 },
+      attempts: 0,
+      error: null,
+      partial: false, // some of it reached the printer before a failure
+      createdAt: this.now() + idx
+    }));
+    this.jobs = [...this.jobs, ...added];
+    added.forEach(job => this.persist(job));
+    this.pruneStale();
+    this.emit();
+    this.process();
+    return added;
+  }
+
+  retry(id) {
+    this.updateJob(id, { status: JOB_STATUS.QUEUED, attempts: 0, error: null, progress: { sent: 0, total: 0 } });
+    this.isPaused = false;
+    this.process();
+  }
+
+  reprint(id) {
+    const job = this.jobs.find(j => j.id === id);
+    if (!job) return [];
+    return this.enqueue(job.image, { label: job.label.replace(/ \(\d+\/\d+\)$/, '') });
+  }
+
+  // Re-queue every failed job and carry on. Jobs that stopped part-way print again from the top,
+  // after the partial strip is cut off (see runJob)
+  resume() {
+    this.jobs
+      .filter(job => job.status === JOB_STATUS.FAILED)
+      .forEach(job => this.updateJob(job.id, { status: JOB_STATUS.QUEUED, attempts: 0, error: null }));
+    this.isPaused = false;
+    this.process();
+  }
+
+  remove(id) {
+    this.jobs = this.jobs.filter(job => job.id !== id);
+    this.store.delete(id).catch(error => console.warn('Print job not removed:', error));
+    this.emit();
+  }
+
+  clearFinished() {
+    this.jobs
+      .filter(job => job.status === JOB_STATUS.DONE)
+      .forEach(job => this.remove(job.id));
+  }
+
+  pruneFinished() {
+    const finished = this.jobs.filter(job => job.status === JOB_STATUS.DONE);
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)).forEach(job => this.remove(job.id));
+  }
+
+  // Drops waiting and failed jobs older than maxPendingAgeMs, then the oldest beyond maxPendingJobs, so a
+  // printer that was away for hours doesn't come back to a backlog. Returns the dropped jobs
+  pruneStale() {
+    const cutoff = this.now() - this.maxPendingAgeMs;
+    const pending = this.jobs.filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.FAILED);
+    const fresh = pending.filter(job => job.createdAt >= cutoff);
+    const dropped = [
+      ...pending.filter(job => job.createdAt < cutoff),
+      ...fresh.slice(0, Math.max(0, fresh.length - this.maxPendingJobs))
+    ];
+    if (dropped.length === 0) return dropped;
+
+    console.warn(`Dropped ${dropped.length} stale print job(s)`);
+    dropped.forEach(job => this.remove(job.id));
+    if (!this.jobs.some(job => job.status === JOB_STATUS.FAILED)) this.isPaused = false;
+    this.emit();
+    return dropped;
+  }
+
+  async process() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+    this.emit();
+
+    try {
+      let next = this.nextJob();
+      while (next && !this.isPaused && this.isPrinterReady()) {
+        await this.runJob(next);
+        next = this.nextJob();
+        if (next && !this.isPaused) await wait(this.jobGapMs);
+      }
+    } finally {
+      this.isProcessing = false;
+      this.pruneFinished();
+      this.emit();
+    }
+  }
+
+  // With no printer (or one still reconnecting) jobs stay queued instead of burning their retries;
+  // process() is called again once it connects
+  isPrinterReady() {
+    const printer = this.getPrinter();
+    return !!printer && printer.isConnected;
+  }
+
+  nextJob() {
+    this.pruneStale();
+    return this.jobs.find(job => job.status === JOB_STATUS.QUEUED);
+  }
+
+  async runJob(job) {
+    let attempts = 0;
+    let partial = !!job.partial;
+    this.updateJob(job.id, { status: JOB_STATUS.SENDING, error: null, progress: { sent: 0, total: 0 } });
+
+    while (attempts < this.maxAttempts) {
+      attempts += 1;
+      let sentChunks = 0;
+      try {
+        const printer = this.getPrinter();
+        if (!printer) throw new Error('Printer not connected');
+        if (!printer.isConnected) await printer.reconnect();
+
+        // The printer can't pick up mid-image, so the job is printed again whole
+        if (partial) {
+          await printer.finishPartialPrint();
+          partial = false;
+          this.updateJob(job.id, { partial });
+        }
+        await printer.printImage(job.image, {
+          onProgress: (sent, total) => {
+            sentChunks = sent;
+            this.updateJob(job.id, { progress: { sent, total } }, { persist: false });
+          }
+        });
+        this.updateJob(job.id, { status: JOB_STATUS.DONE, attempts, completedAt: Date.now() });
+        return;
+      } catch (error) {
+        console.error(`Print job ${job.id} attempt ${attempts} failed:`, error);
+        partial = partial || sentChunks > 0;
+        this.updateJob(job.id, { attempts, partial, error: error.message || String(error) });
+        if (attempts < this.maxAttempts) await wait(this.retryDelayMs * attempts);
+      }
+    }
+
+    // Stop here so the rest of the batch doesn't burn through its retries too
+    this.updateJob(job.id, { status: JOB_STATUS.FAILED });
+    this.isPaused = true;
+  }
+}
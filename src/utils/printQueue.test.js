@@ -0,0 +1,215 @@
+import { PrintQueue, JOB_STATUS } from './printQueue';
+
+const memoryStore = (initial = []) => {
+  const records = new Map(initial.map(r => [r.id, r]));
+  return {
+    records,
+    getAll: async () => [...records.values()],
+    put: async (record) => { records.set(record.id, record); },
+    delete: async (id) => { records.delete(id); }
+  };
+};
+
+const fakePrinter = ({ failTimes = 0 } = {}) => {
+  let failures = 0;
+  return {
+    isConnected: true,
+    reconnect: jest.fn(async function () { this.isConnected = true; }),
+    finishPartialPrint: jest.fn(async () => {}),
+    printImage: jest.fn(async function (image, { onProgress }) {
+      if (failures < failTimes) {
+        failures += 1;
+        this.isConnected = false;
+        throw new Error('GATT Server is disconnected');
+      }
+      onProgress(1, 2);
+      onProgress(2, 2);
+    })
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+  console.warn.mockRestore();
+});
+
+const createQueue = (printer, store = memoryStore(), options = {}) => new PrintQueue({
+  getPrinter: () => printer,
+  store,
+  retryDelayMs: 0,
+  jobGapMs: 0,
+  ...options
+});
+
+const settle = (queue) => new Promise(resolve => {
+  const check = () => (queue.isProcessing ? setTimeout(check, 0) : resolve());
+  check();
+});
+
+test('enqueued copies print in order and finish as done', async () => {
+  const printer = fakePrinter();
+  const queue = createQueue(printer);
+
+  const jobs = queue.enqueue('data:strip', { copies: 2 });
+  await settle(queue);
+
+  expect(jobs.map(j => j.label)).toEqual(['Photo strip (1/2)', 'Photo strip (2/2)']);
+  expect(printer.printImage).toHaveBeenCalledTimes(2);
+  expect(queue.jobs.every(j => j.status === JOB_STATUS.DONE)).toBe(true);
+  expect(queue.jobs[0].progress).toEqual({ sent: 2, total: 2 });
+});
+
+test('a dropped connection is reconnected and the job retried', async () => {
+  const printer = fakePrinter({ failTimes: 1 });
+  const queue = createQueue(printer);
+
+  queue.enqueue('data:strip');
+  await settle(queue);
+
+  expect(printer.reconnect).toHaveBeenCalledTimes(1);
+  expect(queue.jobs[0].status).toBe(JOB_STATUS.DONE);
+  expect(queue.jobs[0].attempts).toBe(2);
+});
+
+test('a job that keeps failing pauses the queue until resumed', async () => {
+  const printer = fakePrinter({ failTimes: 3 });
+  const queue = createQueue(printer);
+
+  queue.enqueue('data:strip', { copies: 2 });
+  await settle(queue);
+
+  expect(queue.jobs.map(j => j.status)).toEqual([JOB_STATUS.FAILED, JOB_STATUS.QUEUED]);
+  expect(queue.isPaused).toBe(true);
+
+  // The printer is back by the time the operator resumes
+  printer.isConnected = true;
+  queue.resume();
+  await settle(queue);
+
+  expect(queue.jobs.map(j => j.status)).toEqual([JOB_STATUS.DONE, JOB_STATUS.DONE]);
+});
+
+test('a strip that fails part-way is cut off and printed again from the top', async () => {
+  const printer = fakePrinter();
+  let failures = 0;
+  printer.printImage.mockImplementation(async function (image, { onProgress }) {
+    onProgress(1, 2);
+    if (failures < 3) {
+      failures += 1;
+      throw new Error('GATT Server is disconnected');
+    }
+    onProgress(2, 2);
+  });
+  const queue = createQueue(printer);
+
+  queue.enqueue('data:strip');
+  await settle(queue);
+
+  // Every retry after the first half-printed attempt starts with a cut
+  expect(queue.jobs[0]).toMatchObject({ status: JOB_STATUS.FAILED, partial: true });
+  expect(printer.finishPartialPrint).toHaveBeenCalledTimes(2);
+
+  queue.resume();
+  await settle(queue);
+
+  expect(printer.finishPartialPrint).toHaveBeenCalledTimes(3);
+  expect(printer.finishPartialPrint.mock.invocationCallOrder[2]).toBeLessThan(printer.printImage.mock.invocationCallOrder[3]);
+  expect(queue.jobs[0]).toMatchObject({ status: JOB_STATUS.DONE, partial: false });
+});
+
+test('a job that failed before sending anything is retried without a cut', async () => {
+  const printer = fakePrinter({ failTimes: 1 });
+  const queue = createQueue(printer);
+
+  queue.enqueue('data:strip');
+  await settle(queue);
+
+  expect(printer.finishPartialPrint).not.toHaveBeenCalled();
+  expect(queue.jobs[0].partial).toBe(false);
+});
+
+test('jobs wait for an offline printer instead of failing', async () => {
+  const printer = { ...fakePrinter(), isConnected: false };
+  const queue = createQueue(printer);
+
+  queue.enqueue('data:strip');
+  await settle(queue);
+
+  expect(queue.jobs[0].status).toBe(JOB_STATUS.QUEUED);
+  expect(queue.jobs[0].attempts).toBe(0);
+  expect(queue.isPaused).toBe(false);
+  expect(printer.printImage).not.toHaveBeenCalled();
+
+  // The app calls process() when the printer connects
+  printer.isConnected = true;
+  queue.process();
+  await settle(queue);
+
+  expect(queue.jobs[0].status).toBe(JOB_STATUS.DONE);
+});
+
+test('restore marks interrupted jobs as failed', async () => {
+  const store = memoryStore([
+    { id: 'b', status: JOB_STATUS.SENDING, createdAt: 2, label: 'x', image: 'i' },
+    { id: 'a', status: JOB_STATUS.QUEUED, createdAt: 1, label: 'x', image: 'i' }
+  ]);
+  const queue = createQueue(fakePrinter(), store, { now: () => 10 });
+
+  await queue.restore();
+
+  expect(queue.jobs.map(j => j.id)).toEqual(['a', 'b']);
+  expect(queue.jobs[1]).toMatchObject({ status: JOB_STATUS.FAILED, partial: true });
+  expect(queue.isPaused).toBe(true);
+});
+
+test('receipts left waiting too long, or beyond the cap, are dropped instead of printed later', async () => {
+  let time = 0;
+  const printer = { ...fakePrinter(), isConnected: false };
+  const store = memoryStore();
+  const queue = createQueue(printer, store, { now: () => time, maxPendingAgeMs: 1000, maxPendingJobs: 2 });
+
+  const [first] = queue.enqueue('data:first');
+  time = 10;
+  queue.enqueue('data:second');
+  queue.enqueue('data:third');
+  expect(queue.jobs.map(j => j.image)).toEqual(['data:second', 'data:third']);
+  expect(store.records.has(first.id)).toBe(false);
+
+  time = 2000;
+  printer.isConnected = true;
+  queue.process();
+  await settle(queue);
+
+  expect(queue.jobs).toEqual([]);
+  expect(printer.printImage).not.toHaveBeenCalled();
+});
+
+test('a failed job that expires unpauses the queue', async () => {
+  const store = memoryStore([{ id: 'a', status: JOB_STATUS.FAILED, createdAt: 0, label: 'x', image: 'i' }]);
+  const queue = createQueue(fakePrinter(), store, { now: () => 5000, maxPendingAgeMs: 1000 });
+
+  await queue.restore();
+
+  expect(queue.jobs).toEqual([]);
+  expect(queue.isPaused).toBe(false);
+});
+
+test('reprint queues a fresh copy of a finished job', async () => {
+  const printer = fakePrinter();
+  const store = memoryStore();
+  const queue = createQueue(printer, store);
+
+  const [job] = queue.enqueue('data:strip', { label: 'Session 1' });
+  await settle(queue);
+  queue.reprint(job.id);
+  await settle(queue);
+
+  expect(printer.printImage).toHaveBeenCalledTimes(2);
+  expect(queue.jobs).toHaveLength(2);
+  expect(store.records.size).toBe(2);
+});
@@ -0,0 +1,85 @@
+// Printer profiles for the ESC/POS printers we rent out
+// dotWidth is the printable width in dots; everything upstream scales from it
+// notifyCharacteristicUuid is where DLE EOT status replies arrive, if the printer sends any
+
+const STANDARD_SERVICE = '000018f0-0000-1000-8000-00805f9b34fb';
+const STANDARD_CHARACTERISTIC = '00002af1-0000-1000-8000-00805f9b34fb';
+const STANDARD_NOTIFY_CHARACTERISTIC = '00002af0-0000-1000-8000-00805f9b34fb';
+
+export const AUTO_PROFILE_ID = 'auto';
+
+export const PRINTER_PROFILES = [
+  {
+    id: 'mp58a1',
+    label: 'MP-58A1 (58mm)',
+    paperWidthMm: 58,
+    dotWidth: 384,
+    dpi: 203,
+    serviceUuid: STANDARD_SERVICE,
+    characteristicUuid: STANDARD_CHARACTERISTIC,
+    notifyCharacteristicUuid: STANDARD_NOTIFY_CHARACTERISTIC,
+    maxChunkSize: 512,
+    supportsCut: true,
+    feedLines: 2,
+    namePatterns: [/MP-?58/i]
+  },
+  {
+    id: 'generic-58',
+    label: 'Generic 58mm',
+    paperWidthMm: 58,
+    dotWidth: 384,
+    dpi: 203,
+    serviceUuid: STANDARD_SERVICE,
+    characteristicUuid: STANDARD_CHARACTERISTIC,
+    notifyCharacteristicUuid: STANDARD_NOTIFY_CHARACTERISTIC,
+    maxChunkSize: 512,
+    supportsCut: false,
+    feedLines: 3,
+    namePatterns: [/58/, /^BlueTooth Printer/i]
+  },
+  {
+    // PT-210, GOOJPRT and other cheap clones with the ISSC transparent UART service
+    id: 'issc-58',
+    label: 'PT-210 / GOOJPRT (58mm)',
+    paperWidthMm: 58,
+    dotWidth: 384,
+    dpi: 203,
+    serviceUuid: 'e7810a71-73ae-499d-8c15-faa9aef0c3f2',
+    characteristicUuid: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f',
+    notifyCharacteristicUuid: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f',
+    maxChunkSize: 180,
+    supportsCut: false,
+    feedLines: 3,
+    namePatterns: [/PT-?210/i, /GOOJPRT/i, /MTP-?II/i]
+  },
+  {
+    id: 'generic-80',
+    label: 'Generic 80mm',
+    paperWidthMm: 80,
+    dotWidth: 576,
+    dpi: 203,
+    serviceUuid: STANDARD_SERVICE,
+    characteristicUuid: STANDARD_CHARACTERISTIC,
+    notifyCharacteristicUuid: STANDARD_NOTIFY_CHARACTERISTIC,
+    maxChunkSize: 512,
+    supportsCut: true,
+    feedLines: 4,
+    namePatterns: [/80/, /TM-?[PT]/i]
+  }
+];
+
+export const DEFAULT_PROFILE = PRINTER_PROFILES[0];
+
+export const getProfile = (id) =>
+  PRINTER_PROFILES.find((profile) => profile.id === id) || DEFAULT_PROFILE;
+
+// First profile whose name pattern matches, in registry order
+export const detectProfile = (deviceName) => {
+  if (!deviceName) return null;
+  return PRINTER_PROFILES.find(({ namePatterns }) =>
+    namePatterns.some((pattern) => pattern.test(deviceName))
+  ) || null;
+};
+
+export const getAllServiceUuids = () =>
+  [...new Set(PRINTER_PROFILES.map(({ serviceUuid }) => serviceUuid))];
@@ -0,0 +1,27 @@
+import { detectProfile, getProfile, getAllServiceUuids, DEFAULT_PROFILE } from './printerProfiles';
+
+test.each([
+  ['MP-58A1', 'mp58a1'],
+  ['MP58A1_BLE', 'mp58a1'],
+  ['PT-210_6A2B', 'issc-58'],
+  ['GOOJPRT', 'issc-58'],
+  ['POS-80C', 'generic-80'],
+  ['BlueTooth Printer', 'generic-58']
+])('detectProfile(%s) -> %s', (name, id) => {
+  expect(detectProfile(name).id).toBe(id);
+});
+
+test('unknown or missing names are not detected', () => {
+  expect(detectProfile('Galaxy Buds')).toBeNull();
+  expect(detectProfile(undefined)).toBeNull();
+});
+
+test('getProfile falls back to the default profile', () => {
+  expect(getProfile('generic-80').dotWidth).toBe(576);
+  expect(getProfile('missing')).toBe(DEFAULT_PROFILE);
+});
+
+test('service UUIDs are de-duplicated', () => {
+  const uuids = getAllServiceUuids();
+  expect(new Set(uuids).size).toBe(uuids.length);
+});
@@ -0,0 +1,52 @@
+import { TextEncoder } from 'util';
+import { DEFAULT_QR_SETTINGS, createQrMatrix, createQrSvg, drawQrCode, loadQrSettings, saveQrSettings } from './qrCode';
+
+// jsdom in this Jest version has no TextEncoder, which qrcode uses for byte-mode data
+global.TextEncoder = TextEncoder;
+
+const url = 'https://booth.example/?download=png&id=1700000000000';
+
+afterEach(() => localStorage.clear());
+
+test('higher error correction produces a denser code', () => {
+  const low = createQrMatrix(url, { errorCorrectionLevel: 'L' });
+  const high = createQrMatrix(url, { errorCorrectionLevel: 'H' });
+  expect(high.size).toBeGreaterThan(low.size);
+  // Finder pattern corner is always dark
+  expect(low.isDark(0, 0)).toBe(true);
+});
+
+test('renders an SVG at the requested size without any network call', async () => {
+  const svg = await createQrSvg(url, { errorCorrectionLevel: 'Q', screenSize: 240 });
+  expect(svg).toMatch(/^<svg/);
+  expect(svg).toContain('width="240"');
+});
+
+test('printed codes snap modules to whole printer dots', () => {
+  const ctx = { fillRect: jest.fn(), fillStyle: '' };
+  const { size } = createQrMatrix(url);
+  const drawn = drawQrCode(ctx, url, { x: 0, y: 0, size: 300, pixelScale: 384 / 576 });
+
+  const moduleDots = Math.floor((300 * (384 / 576)) / (size + 4));
+  expect(drawn).toBeCloseTo((moduleDots * (size + 4)) / (384 / 576));
+  const [, , moduleWidth] = ctx.fillRect.mock.calls[1];
+  expect(moduleWidth * (384 / 576)).toBeCloseTo(moduleDots);
+});
+
+test('modules line up with whole dots on a 384-dot receipt', () => {
+  const ctx = { fillRect: jest.fn(), fillStyle: '' };
+  const dotsPerUnit = 384 / 800;
+  drawQrCode(ctx, url, { x: (800 - 280) / 2, y: 1234.5, size: 280, pixelScale: dotsPerUnit });
+
+  const edges = ctx.fillRect.mock.calls.flatMap(([left, top, width, height]) => [left, top, left + width, top + height]);
+  edges.forEach(edge => {
+    const dots = edge * dotsPerUnit;
+    expect(Math.abs(dots - Math.round(dots))).toBeLessThan(1e-6);
+  });
+});
+
+test('settings persist with defaults for missing fields', () => {
+  expect(loadQrSettings()).toEqual(DEFAULT_QR_SETTINGS);
+  saveQrSettings({ errorCorrectionLevel: 'H' });
+  expect(loadQrSettings()).toEqual({ ...DEFAULT_QR_SETTINGS, errorCorrectionLevel: 'H' });
+});
@@ -0,0 +1,107 @@
+// Getting a guest's photos off the download page and onto their phone or into a chat
+// nav/doc are injectable so the fallbacks can be tested without a real browser
+
+// Fetching first works for signed and cross-origin URLs, where <a download> would just navigate.
+// Browsers without the download attribute (older iOS, some in-app browsers) get the file in a new tab
+// where it can be long-pressed and saved. The object URL outlives the click because iOS reads it lazily
+export const downloadBlob = (blob, fileName, { doc = document } = {}) => {
+  const url = URL.createObjectURL(blob);
+  const link = doc.createElement('a');
+  link.href = url;
+  if ('download' in link) {
+    link.download = fileName;
+  } else {
+    link.target = '_blank';
+    link.rel = 'noopener';
+  }
+  doc.body.appendChild(link);
+  link.click();
+  doc.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+// execCommand covers http:// pages and browsers without the async clipboard
+export const copyLink = async (url, { nav = navigator, doc = document } = {}) => {
+  if (nav.clipboard && nav.clipboard.writeText) {
+    try {
+      await nav.clipboard.writeText(url);
+      return true;
+    } catch (error) {
+      console.warn('Clipboard write failed, trying fallback:', error);
+    }
+  }
+  const field = doc.createElement('textarea');
+  field.value = url;
+  field.setAttribute('readonly', '');
+  field.style.position = 'fixed';
+  field.style.opacity = '0';
+  doc.body.appendChild(field);
+  field.select();
+  let copied = false;
+  try {
+    copied = doc.execCommand('copy');
+  } catch (error) {
+    copied = false;
+  }
+  doc.body.removeChild(field);
+  return copied;
+};
+
+// Shares the file itself where the browser allows it (lands in Photos/WhatsApp as an image),
+// otherwise the link, otherwise copies the link.
+// Returns 'shared' | 'copied' | 'cancelled' | 'failed'
+export const shareItem = async ({ blob, fileName, title, text, url }, { nav = navigator, doc = document } = {}) => {
+  if (nav.share) {
+    const file = blob && typeof File !== 'undefined' ? new File([blob], fileName, { type: blob.type }) : null;
+    const data = file && nav.canShare && nav.canShare({ files: [file] })
+      ? { files: [file], title, text }
+      : { title, text, url };
+    try {
+      await nav.share(data);
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') return 'cancelled';
+      console.warn('Web Share failed, copying link instead:', error);
+    }
+  }
+  return (await copyLink(url, { nav, doc })) ? 'copied' : 'failed';
+};
+
+const metaTags = (title, description, image, url) => [
+  ['property', 'og:title', title],
+  ['property', 'og:description', description],
+  ['property', 'og:image', image],
+  ['property', 'og:url', url],
+  ['name', 'twitter:title', title],
+  ['name', 'twitter:description', description],
+  ['name', 'twitter:image', image]
+];
+
+// Previews for apps that render the page before unfurling it. Crawlers that don't run JS only see the
+// static tags in public/index.html. Returns a function that puts the previous values back
+export const setShareMeta = ({ title, description, image, url }, { doc = document } = {}) => {
+  const previous = [];
+  const previousTitle = doc.title;
+  if (title) doc.title = title;
+
+  metaTags(title, description, image, url).forEach(([attribute, name, content]) => {
+    if (!content) return;
+    let tag = doc.head.querySelector(`meta[${attribute}="${name}"]`);
+    const created = !tag;
+    if (created) {
+      tag = doc.createElement('meta');
+      tag.setAttribute(attribute, name);
+      doc.head.appendChild(tag);
+    }
+    previous.push({ tag, created, content: tag.getAttribute('content') });
+    tag.setAttribute('content', content);
+  });
+
+  return () => {
+    doc.title = previousTitle;
+    previous.forEach(({ tag, created, content }) => {
+      if (created) tag.remove();
+      else tag.setAttribute('content', content);
+    });
+  };
+};
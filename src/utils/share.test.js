@@ -0,0 +1,76 @@
+import { copyLink, setShareMeta, shareItem } from './share';
+
+const url = 'https://booth.example/d/k7m2x9qp4tza';
+const blob = new Blob(['png'], { type: 'image/png' });
+const item = { blob, fileName: 'strip.png', title: 'Launch', text: 'My photos', url };
+
+const abort = () => Object.assign(new Error('cancelled'), { name: 'AbortError' });
+
+afterEach(() => {
+  document.head.innerHTML = '';
+  document.execCommand = undefined;
+});
+
+test('shares the file when the browser accepts files', async () => {
+  const nav = { share: jest.fn().mockResolvedValue(), canShare: jest.fn(() => true) };
+
+  expect(await shareItem(item, { nav })).toBe('shared');
+  const [data] = nav.share.mock.calls[0];
+  expect(data.files[0]).toBeInstanceOf(File);
+  expect(data.files[0].name).toBe('strip.png');
+  expect(data.url).toBeUndefined();
+});
+
+test('shares the link when files are not supported', async () => {
+  const nav = { share: jest.fn().mockResolvedValue(), canShare: () => false };
+
+  expect(await shareItem(item, { nav })).toBe('shared');
+  expect(nav.share).toHaveBeenCalledWith({ title: 'Launch', text: 'My photos', url });
+});
+
+test('dismissing the share sheet is not a failure and copies nothing', async () => {
+  const writeText = jest.fn();
+  const nav = { share: jest.fn().mockRejectedValue(abort()), clipboard: { writeText } };
+
+  expect(await shareItem(item, { nav })).toBe('cancelled');
+  expect(writeText).not.toHaveBeenCalled();
+});
+
+test('copies the link without Web Share or when it fails', async () => {
+  const writeText = jest.fn().mockResolvedValue();
+  expect(await shareItem(item, { nav: { clipboard: { writeText } } })).toBe('copied');
+  expect(writeText).toHaveBeenCalledWith(url);
+
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const nav = { share: jest.fn().mockRejectedValue(new Error('NotAllowedError')), clipboard: { writeText } };
+  expect(await shareItem(item, { nav })).toBe('copied');
+  console.warn.mockRestore();
+});
+
+test('copy falls back to execCommand without the async clipboard', async () => {
+  document.execCommand = jest.fn(() => true);
+
+  expect(await copyLink(url, { nav: {} })).toBe(true);
+  expect(document.execCommand).toHaveBeenCalledWith('copy');
+  expect(document.querySelector('textarea')).toBeNull();
+
+  document.execCommand = jest.fn(() => false);
+  expect(await copyLink(url, { nav: {} })).toBe(false);
+});
+
+test('share meta updates existing tags, adds missing ones and restores both', () => {
+  document.head.innerHTML = '<title>Thermal Snaps</title><meta property="og:title" content="Thermal Snaps">';
+
+  const restore = setShareMeta({ title: 'Launch photos', image: 'https://cdn.example/strip.png', url });
+
+  expect(document.title).toBe('Launch photos');
+  expect(document.head.querySelector('meta[property="og:title"]').content).toBe('Launch photos');
+  expect(document.head.querySelector('meta[name="twitter:image"]').content).toBe('https://cdn.example/strip.png');
+  expect(document.head.querySelector('meta[property="og:description"]')).toBeNull();
+
+  restore();
+
+  expect(document.title).toBe('Thermal Snaps');
+  expect(document.head.querySelector('meta[property="og:title"]').content).toBe('Thermal Snaps');
+  expect(document.head.querySelector('meta[property="og:image"]')).toBeNull();
+});
@@ -0,0 +1,209 @@
+// Stickers and props guests place on the camera preview
+// A placement lives in the photo's own coordinates, normalized to the part of the frame its slot shows: x/y of
+// the sticker centre in 0..1 and a scale on the sticker's base size. Placements tied to a face follow it (see
+// faceTracking). The preview overlay and takePhoto both draw with drawStickers, so the print and download
+// match what guests arranged.
+
+export const EVENT_LOGO_STICKER = 'event-logo';
+
+// Sizes are fractions of a face's width; without face tracking they use DEFAULT_FACE_WIDTH
+export const STICKERS = [
+  { id: 'top-hat', label: 'Top hat', kind: 'emoji', glyph: '🎩', anchor: 'crown', size: 0.9 },
+  { id: 'crown', label: 'Crown', kind: 'emoji', glyph: '👑', anchor: 'crown', size: 0.8 },
+  { id: 'bow', label: 'Bow', kind: 'emoji', glyph: '🎀', anchor: 'crown', size: 0.55 },
+  { id: 'sunglasses', label: 'Sunglasses', kind: 'emoji', glyph: '🕶️', anchor: 'eyes', size: 0.95 },
+  { id: 'glasses', label: 'Glasses', kind: 'emoji', glyph: '👓', anchor: 'eyes', size: 0.95 },
+  { id: 'lips', label: 'Lips', kind: 'emoji', glyph: '👄', anchor: 'mouth', size: 0.45 },
+  { id: 'bubble-cheers', label: 'Cheers!', kind: 'bubble', text: 'Cheers!', anchor: 'side', size: 1.1 },
+  { id: 'bubble-love', label: 'Love this!', kind: 'bubble', text: 'Love this!', anchor: 'side', size: 1.1 },
+  { id: EVENT_LOGO_STICKER, label: 'Event logo', kind: 'logo', anchor: null, size: 0.9 }
+];
+
+export const DEFAULT_FACE_WIDTH = 0.35;
+
+// Where a sticker goes when there's no face to put it on
+const DEFAULT_POSITIONS = {
+  crown: { x: 0.5, y: 0.18 },
+  eyes: { x: 0.5, y: 0.38 },
+  mouth: { x: 0.5, y: 0.62 },
+  side: { x: 0.75, y: 0.2 },
+  free: { x: 0.8, y: 0.85 }
+};
+
+export const MIN_STICKER_SCALE = 0.3;
+export const MAX_STICKER_SCALE = 3;
+
+const EMOJI_FONT = "'Apple Color Emoji', 'Segoe UI Emoji', 'Noto Color Emoji', sans-serif";
+
+export const getSticker = (id) => STICKERS.find(sticker => sticker.id === id);
+
+// The logo sticker only makes sense once the event has a logo loaded
+export const availableStickers = (images = {}) => STICKERS.filter(sticker => sticker.kind !== 'logo' || images[sticker.id]);
+
+// New stickers go on the face with the fewest stickers at that spot, so a group gets one hat each
+export const addSticker = (placements, stickerId, faces = []) => {
+  const sticker = getSticker(stickerId);
+  const id = placements.reduce((max, placement) => Math.max(max, placement.id), 0) + 1;
+  const base = { id, sticker: stickerId, scale: 1, rotation: 0, face: null };
+
+  if (sticker.anchor && faces.length) {
+    const counts = faces.map((_, faceIdx) => placements.filter(p => (
+      p.face === faceIdx && getSticker(p.sticker).anchor === sticker.anchor
+    )).length);
+    const face = counts.indexOf(Math.min(...counts));
+    return [...placements, { ...base, ...faces[face][sticker.anchor], face }];
+  }
+  return [...placements, { ...base, ...DEFAULT_POSITIONS[sticker.anchor || 'free'] }];
+};
+
+// Position, size (fraction of the slot width) and rotation to draw at right now
+export const resolvePlacement = (placement, faces = []) => {
+  const sticker = getSticker(placement.sticker);
+  const face = placement.face !== null ? faces[placement.face] : null;
+  if (face && sticker.anchor) {
+    return {
+      ...placement,
+      ...face[sticker.anchor],
+      size: sticker.size * face.width * placement.scale,
+      rotation: face.angle + placement.rotation
+    };
+  }
+  return { ...placement, size: sticker.size * DEFAULT_FACE_WIDTH * placement.scale };
+};
+
+export const resolvePlacements = (placements, faces) => placements.map(placement => resolvePlacement(placement, faces));
+
+// Dragging a sticker off a face keeps it where and how it currently looks
+export const moveSticker = (placement, x, y, faces) => {
+  const resolved = resolvePlacement(placement, faces);
+  const sticker = getSticker(placement.sticker);
+  return {
+    ...placement,
+    x,
+    y,
+    face: null,
+    rotation: resolved.rotation,
+    scale: resolved.size / (sticker.size * DEFAULT_FACE_WIDTH)
+  };
+};
+
+export const resizeSticker = (placement, factor) => ({
+  ...placement,
+  scale: Math.min(MAX_STICKER_SCALE, Math.max(MIN_STICKER_SCALE, placement.scale * factor))
+});
+
+// Half the drawn width and height in pixels, before rotation
+const stickerExtent = (resolved, sizePx, images) => {
+  const sticker = getSticker(resolved.sticker);
+  if (sticker.kind === 'bubble') return { width: sizePx / 2, height: sizePx / 4 };
+  if (sticker.kind === 'logo') {
+    const img = images[sticker.id];
+    return { width: sizePx / 2, height: img ? (sizePx * img.height) / img.width / 2 : sizePx / 2 };
+  }
+  return { width: sizePx / 2, height: sizePx / 2 };
+};
+
+// Centre, size and rotation in the context's pixels. `flip` is for a preview mirrored differently from the photo
+const toPixels = (resolved, region, flip) => ({
+  cx: region.x + (flip ? 1 - resolved.x : resolved.x) * region.width,
+  cy: region.y + resolved.y * region.height,
+  sizePx: resolved.size * region.width,
+  rotation: flip ? -resolved.rotation : resolved.rotation
+});
+
+const roundedRect = (ctx, x, y, width, height, radius) => {
+  ctx.beginPath();
+  ctx.moveTo(x + radius, y);
+  ctx.arcTo(x + width, y, x + width, y + height, radius);
+  ctx.arcTo(x + width, y + height, x, y + height, radius);
+  ctx.arcTo(x, y + height, x, y, radius);
+  ctx.arcTo(x, y, x + width, y, radius);
+  ctx.closePath();
+};
+
+// Black on white with a thick outline, so the bubble survives dithering on the print
+const drawBubble = (ctx, text, sizePx) => {
+  const width = sizePx;
+  const height = sizePx / 2;
+  ctx.lineWidth = Math.max(2, sizePx * 0.03);
+  ctx.strokeStyle = '#000000';
+  ctx.fillStyle = '#ffffff';
+
+  roundedRect(ctx, -width / 2, -height / 2, width, height, height * 0.3);
+  ctx.fill();
+  ctx.stroke();
+
+  // Tail down towards the speaker
+  ctx.beginPath();
+  ctx.moveTo(-width * 0.25, height / 2 - ctx.lineWidth);
+  ctx.lineTo(-width * 0.4, height * 0.85);
+  ctx.lineTo(-width * 0.08, height / 2 - ctx.lineWidth);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  let fontSize = height * 0.4;
+  ctx.font = `bold ${fontSize}px 'Space Mono', monospace`;
+  const textWidth = ctx.measureText(text).width;
+  if (textWidth > width * 0.85) {
+    fontSize *= (width * 0.85) / textWidth;
+    ctx.font = `bold ${fontSize}px 'Space Mono', monospace`;
+  }
+  ctx.fillStyle = '#000000';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(text, 0, 0);
+};
+
+// Draws resolved placements into `region` (the slot's part of the frame, in context pixels)
+export const drawStickers = (ctx, resolved, region, { images = {}, flip = false } = {}) => {
+  resolved.forEach((placement) => {
+    const sticker = getSticker(placement.sticker);
+    const { cx, cy, sizePx, rotation } = toPixels(placement, region, flip);
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(rotation);
+    if (sticker.kind === 'bubble') {
+      drawBubble(ctx, sticker.text, sizePx);
+    } else if (sticker.kind === 'logo') {
+      const img = images[sticker.id];
+      const { width, height } = stickerExtent(placement, sizePx, images);
+      if (img) ctx.drawImage(img, -width, -height, width * 2, height * 2);
+    } else {
+      ctx.font = `${sizePx}px ${EMOJI_FONT}`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(sticker.glyph, 0, 0);
+    }
+    ctx.restore();
+  });
+};
+
+// Outline for the sticker a guest is moving on the preview
+export const drawSelection = (ctx, placement, region, { images = {}, flip = false } = {}) => {
+  const { cx, cy, sizePx, rotation } = toPixels(placement, region, flip);
+  const { width, height } = stickerExtent(placement, sizePx, images);
+  ctx.save();
+  ctx.translate(cx, cy);
+  ctx.rotate(rotation);
+  ctx.setLineDash([6, 4]);
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = '#ffd482';
+  ctx.strokeRect(-width, -height, width * 2, height * 2);
+  ctx.restore();
+};
+
+// Topmost sticker under a point in context pixels, or -1
+export const hitTestStickers = (resolved, px, py, region, { images = {}, flip = false } = {}) => {
+  for (let idx = resolved.length - 1; idx >= 0; idx--) {
+    const { cx, cy, sizePx, rotation } = toPixels(resolved[idx], region, flip);
+    const { width, height } = stickerExtent(resolved[idx], sizePx, images);
+    // Undo the sticker's rotation so the test is against an upright box
+    const dx = px - cx;
+    const dy = py - cy;
+    const localX = dx * Math.cos(-rotation) - dy * Math.sin(-rotation);
+    const localY = dx * Math.sin(-rotation) + dy * Math.cos(-rotation);
+    if (Math.abs(localX) <= width && Math.abs(localY) <= height) return idx;
+  }
+  return -1;
+};
@@ -0,0 +1,101 @@
+import {
+  DEFAULT_FACE_WIDTH,
+  EVENT_LOGO_STICKER,
+  MAX_STICKER_SCALE,
+  addSticker,
+  availableStickers,
+  drawStickers,
+  hitTestStickers,
+  moveSticker,
+  resizeSticker,
+  resolvePlacement
+} from './stickers';
+
+const face = (x, overrides = {}) => ({
+  crown: { x, y: 0.1 },
+  eyes: { x, y: 0.4 },
+  mouth: { x, y: 0.6 },
+  side: { x: x + 0.2, y: 0.2 },
+  width: 0.3,
+  angle: 0,
+  ...overrides
+});
+
+const recordingContext = () => {
+  const calls = [];
+  const ctx = new Proxy({}, {
+    get: (_, name) => (name === 'measureText' ? () => ({ width: 10 }) : (...args) => calls.push([name, ...args])),
+    set: (_, name, value) => calls.push([`${name}=`, value])
+  });
+  return { ctx, calls };
+};
+
+const region = { x: 0, y: 0, width: 1000, height: 1000 };
+
+test('the event logo is only offered once the event has one', () => {
+  expect(availableStickers().map(sticker => sticker.id)).not.toContain(EVENT_LOGO_STICKER);
+  expect(availableStickers({ [EVENT_LOGO_STICKER]: {} }).map(sticker => sticker.id)).toContain(EVENT_LOGO_STICKER);
+});
+
+test('without faces a sticker lands at its usual spot', () => {
+  const [hat] = addSticker([], 'top-hat');
+  expect(hat).toMatchObject({ id: 1, sticker: 'top-hat', face: null, x: 0.5, y: 0.18 });
+  expect(resolvePlacement(hat).size).toBeCloseTo(0.9 * DEFAULT_FACE_WIDTH);
+});
+
+test('hats are shared out across faces and follow them', () => {
+  const faces = [face(0.3), face(0.7)];
+  let placements = addSticker([], 'top-hat', faces);
+  placements = addSticker(placements, 'crown', faces);
+  placements = addSticker(placements, 'sunglasses', faces);
+  expect(placements.map(p => [p.id, p.face])).toEqual([[1, 0], [2, 1], [3, 0]]);
+
+  const moved = [face(0.35, { width: 0.4, angle: 0.2 }), face(0.7)];
+  expect(resolvePlacement(placements[0], moved)).toMatchObject({ x: 0.35, y: 0.1, rotation: 0.2 });
+  expect(resolvePlacement(placements[0], moved).size).toBeCloseTo(0.9 * 0.4);
+});
+
+test('dragging a sticker off a face keeps its size and tilt', () => {
+  const [hat] = addSticker([], 'top-hat', [face(0.5, { width: 0.7, angle: 0.3 })]);
+  const moved = moveSticker(hat, 0.2, 0.3, [face(0.5, { width: 0.7, angle: 0.3 })]);
+
+  expect(moved).toMatchObject({ x: 0.2, y: 0.3, face: null, rotation: 0.3 });
+  expect(resolvePlacement(moved, []).size).toBeCloseTo(0.9 * 0.7);
+});
+
+test('resizing is clamped', () => {
+  const [hat] = addSticker([], 'top-hat');
+  expect(resizeSticker(hat, 100).scale).toBe(MAX_STICKER_SCALE);
+});
+
+test('stickers draw at their place in the region, mirrored for a flipped preview', () => {
+  const [hat] = addSticker([], 'top-hat');
+  const resolved = [{ ...resolvePlacement(hat), x: 0.25, rotation: 0.5 }];
+
+  const plain = recordingContext();
+  drawStickers(plain.ctx, resolved, { x: 100, y: 0, width: 1000, height: 500 });
+  expect(plain.calls).toContainEqual(['translate', 350, 90]);
+  expect(plain.calls).toContainEqual(['rotate', 0.5]);
+  expect(plain.calls).toContainEqual(['fillText', '🎩', 0, 0]);
+
+  const flipped = recordingContext();
+  drawStickers(flipped.ctx, resolved, { x: 100, y: 0, width: 1000, height: 500 }, { flip: true });
+  expect(flipped.calls).toContainEqual(['translate', 850, 90]);
+  expect(flipped.calls).toContainEqual(['rotate', -0.5]);
+});
+
+test('speech bubbles carry their text', () => {
+  const [bubble] = addSticker([], 'bubble-cheers');
+  const { ctx, calls } = recordingContext();
+  drawStickers(ctx, [resolvePlacement(bubble)], region);
+  expect(calls).toContainEqual(['fillText', 'Cheers!', 0, 0]);
+});
+
+test('hit testing finds the topmost sticker under a point', () => {
+  let placements = addSticker([], 'top-hat');
+  placements = addSticker(placements, 'crown');
+  const resolved = placements.map(p => resolvePlacement(p));
+
+  expect(hitTestStickers(resolved, 500, 180, region)).toBe(1);
+  expect(hitTestStickers(resolved, 50, 900, region)).toBe(-1);
+});
@@ -0,0 +1,510 @@
+// Photo storage backends
+// Adapters share one shape:
+//   putImage(key, blob) -> image reference, putMetadata(key, value), get(key) -> value | null,
+//   delete(key), list({ prefix, eventId }) -> [{ key, value }]
+// and optionally updateMetadata(key, changes) when get() doesn't return the stored value as-is
+// A value is the session metadata ({ date, expiry, deleteAfter, event, isGif, image }). `image` is stored as whatever
+// putImage returned, and get/list hand it back as a URL the guest can open
+
+import { createIdbStore } from './indexedDb';
+import { blobToDataUrl } from './animation';
+
+export const STORAGE_PROVIDERS = {
+  SUPABASE: 'supabase',
+  FIREBASE: 'firebase',
+  INDEXEDDB: 'indexeddb',
+  HTTP: 'http',
+  MEMORY: 'memory'
+};
+
+const IMAGE_EXTENSIONS = ['png', 'gif'];
+
+const imageFileName = (key, blob) => `${key}.${blob.type === 'image/gif' ? 'gif' : 'png'}`;
+
+const matchesPrefix = (key, prefix) => !prefix || key.startsWith(prefix);
+
+// list()'s eventId: left out for every session, null for sessions from before any event was configured
+const matchesEvent = (value, eventId) => eventId === undefined || ((value.event && value.event.id) || null) === eventId;
+
+// PostgREST caps a response at 1000 rows by default
+const LIST_PAGE_SIZE = 1000;
+
+// Signed links are kept short; the download page asks for a fresh one on every visit
+const SIGNED_URL_MAX_SECONDS = 60 * 60;
+
+const isUrl = (image) => /^(https?|data|blob|memory):/.test(image || '');
+
+// Sessions older than the retention fields predate them; fall back to the link expiry
+export const deleteAfterOf = (value) => new Date(value.deleteAfter || value.expiry);
+
+export const dataUrlToBlob = (dataUrl) => {
+  const [header, data] = dataUrl.split(',');
+  const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+  if (!header.includes(';base64')) {
+    return new Blob([decodeURIComponent(data)], { type });
+  }
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Blob([bytes], { type });
+};
+
+// The bucket is private: metadata stores the object path and guests get a signed URL that can't outlive the link.
+// Storage policies refuse to sign once `expires_at` has passed, so an old URL or a doctored expiry doesn't help
+export const createSupabaseStorage = (supabase, {
+  bucket = 'photos',
+  table = 'photo_metadata',
+  getRpc = 'get_photo_metadata',
+  now = () => new Date()
+} = {}) => {
+  const withSignedUrl = async (value) => {
+    if (isUrl(value.image)) return value; // public URL saved before the bucket went private
+    const secondsLeft = Math.floor((new Date(value.expiry) - now()) / 1000);
+    if (secondsLeft <= 0) return { ...value, image: null };
+
+    const { data, error } = await supabase.storage
+      .from(bucket)
+      .createSignedUrl(value.image, Math.min(secondsLeft, SIGNED_URL_MAX_SECONDS));
+    if (error) {
+      console.warn(`Could not sign ${value.image}:`, error);
+      return { ...value, image: null };
+    }
+    return { ...value, image: data.signedUrl };
+  };
+
+  // Listing is for operators, who can see sessions past their link expiry until cleanup removes them;
+  // the storage policy decides what gets signed
+  const withSignedUrls = async (rows) => {
+    const paths = rows.map(row => row.value.image).filter(image => image && !isUrl(image));
+    if (paths.length === 0) return rows;
+    const { data: signed, error } = await supabase.storage
+      .from(bucket)
+      .createSignedUrls(paths, SIGNED_URL_MAX_SECONDS);
+    if (error) throw error;
+    const urls = new Map(signed.filter(entry => !entry.error).map(entry => [entry.path, entry.signedUrl]));
+    return rows.map(({ key, value }) => ({
+      key,
+      value: isUrl(value.image) ? value : { ...value, image: urls.get(value.image) || null }
+    }));
+  };
+
+  return {
+    putImage: async (key, blob) => {
+      const filename = imageFileName(key, blob);
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(filename, blob, { upsert: true, contentType: blob.type });
+
+      if (error) {
+        if (error.message && error.message.includes('Bucket not found')) {
+          throw new Error(`The '${bucket}' storage bucket is missing in Supabase. Run the SQL setup script.`);
+        }
+        throw error;
+      }
+
+      return filename;
+    },
+
+    putMetadata: async (key, value) => {
+      const { error } = await supabase.from(table).upsert({
+        key,
+        value,
+        expires_at: value.expiry,
+        delete_after: deleteAfterOf(value).toISOString()
+      });
+      if (error) throw error;
+    },
+
+    // Guests can't select from the table; the RPC returns one session by its exact key and nothing else
+    get: async (key) => {
+      const { data, error } = await supabase.rpc(getRpc, { session_key: key });
+      if (error) throw error;
+      return data ? withSignedUrl(data) : null;
+    },
+
+    // get() swaps the object path for a signed URL, so merge into the raw row instead
+    updateMetadata: async (key, changes) => {
+      const { data, error } = await supabase
+        .from(table)
+        .select('value')
+        .eq('key', key)
+        .maybeSingle();
+      if (error) throw error;
+      if (!data) return;
+      const { error: updateError } = await supabase
+        .from(table)
+        .update({ value: { ...data.value, ...changes } })
+        .eq('key', key);
+      if (updateError) throw updateError;
+    },
+
+    delete: async (key) => {
+      const { error: removeError } = await supabase.storage
+        .from(bucket)
+        .remove(IMAGE_EXTENSIONS.map(ext => `${key}.${ext}`));
+      if (removeError) throw removeError;
+
+      const { error } = await supabase.from(table).delete().eq('key', key);
+      if (error) throw error;
+    },
+
+    // Read in pages until a short one comes back, with the event filtered in the query rather than here
+    list: async ({ prefix = '', eventId } = {}) => {
+      const rows = [];
+      for (let from = 0; ; from += LIST_PAGE_SIZE) {
+        let query = supabase
+          .from(table)
+          .select('key, value')
+          .like('key', `${prefix}%`);
+        if (eventId !== undefined) {
+          query = eventId === null ? query.is('value->event->>id', null) : query.eq('value->event->>id', eventId);
+        }
+        const { data, error } = await query.order('key').range(from, from + LIST_PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...await withSignedUrls(data));
+        if (data.length < LIST_PAGE_SIZE) return rows;
+      }
+    }
+  };
+};
+
+// The Firebase SDK is only loaded when this backend is selected, so other setups don't pay for it in the bundle
+export const createFirebaseStorage = (firebaseConfig, { collectionName = 'photo_metadata', folder = 'photos' } = {}) => {
+  let servicesPromise = null;
+  const services = () => {
+    if (!servicesPromise) {
+      servicesPromise = Promise.all([
+        import('firebase/app'),
+        import('firebase/storage'),
+        import('firebase/firestore')
+      ]).then(([appSdk, storageSdk, firestoreSdk]) => {
+        const app = appSdk.getApps().length ? appSdk.getApp() : appSdk.initializeApp(firebaseConfig);
+        return {
+          storageSdk,
+          firestoreSdk,
+          bucket: storageSdk.getStorage(app),
+          db: firestoreSdk.getFirestore(app)
+        };
+      });
+    }
+    return servicesPromise;
+  };
+
+  return {
+    putImage: async (key, blob) => {
+      const { storageSdk, bucket } = await services();
+      const fileRef = storageSdk.ref(bucket, `${folder}/${imageFileName(key, blob)}`);
+      await storageSdk.uploadBytes(fileRef, blob, { contentType: blob.type });
+      return storageSdk.getDownloadURL(fileRef);
+    },
+
+    putMetadata: async (key, value) => {
+      const { firestoreSdk, db } = await services();
+      await firestoreSdk.setDoc(firestoreSdk.doc(db, collectionName, key), { value });
+    },
+
+    get: async (key) => {
+      const { firestoreSdk, db } = await services();
+      const snapshot = await firestoreSdk.getDoc(firestoreSdk.doc(db, collectionName, key));
+      return snapshot.exists() ? snapshot.data().value : null;
+    },
+
+    delete: async (key) => {
+      const { storageSdk, firestoreSdk, bucket, db } = await services();
+      await Promise.all(IMAGE_EXTENSIONS.map(ext => (
+        storageSdk.deleteObject(storageSdk.ref(bucket, `${folder}/${key}.${ext}`)).catch((error) => {
+          if (error.code !== 'storage/object-not-found') throw error;
+        })
+      )));
+      await firestoreSdk.deleteDoc(firestoreSdk.doc(db, collectionName, key));
+    },
+
+    list: async ({ prefix = '', eventId } = {}) => {
+      const { firestoreSdk, db } = await services();
+      const { collection, documentId, getDocs, query, where } = firestoreSdk;
+      const ref = collection(db, collectionName);
+      const snapshot = await getDocs(prefix
+        ? query(ref, where(documentId(), '>=', prefix), where(documentId(), '<', `${prefix}\uf8ff`))
+        : ref);
+      return snapshot.docs
+        .map(docSnapshot => ({ key: docSnapshot.id, value: docSnapshot.data().value }))
+        .filter(({ value }) => matchesEvent(value, eventId));
+    }
+  };
+};
+
+// Everything stays on the booth: images are kept inline as data URLs, so links only open on this device
+export const createIndexedDbStorage = (store = createIdbStore('photos')) => ({
+  isLocal: true, // the booth is the only copy, so it runs the retention cleanup itself
+
+  putImage: async (key, blob) => blobToDataUrl(blob),
+
+  putMetadata: async (key, value) => {
+    await store.put({ id: key, value });
+  },
+
+  get: async (key) => {
+    const record = await store.get(key);
+    return record ? record.value : null;
+  },
+
+  delete: async (key) => {
+    await store.delete(key);
+  },
+
+  list: async ({ prefix = '', eventId } = {}) => {
+    const records = await store.getAll();
+    return records
+      .filter(record => matchesPrefix(record.id, prefix) && matchesEvent(record.value, eventId))
+      .map(record => ({ key: record.id, value: record.value }));
+  }
+});
+
+// Self-hosted S3-compatible bucket (MinIO, Garage, R2 behind a proxy...) or any server speaking plain PUT/GET/DELETE
+// Images go to images/<file>, metadata to meta/<key>.json; listing uses the S3 ListObjectsV2 query.
+// Guests read objects straight from the bucket. Writes, deletes and listings go to presigned URLs from signUrl
+// (scripts/storage-signer.js), which checks the operator's login, so no write credential ships in the bundle
+export const createHttpStorage = ({
+  baseUrl,
+  signUrl = null,
+  getAccessToken = async () => null,
+  fetchImpl = (...args) => fetch(...args)
+}) => {
+  const root = baseUrl.replace(/\/+$/, '');
+  const metaPath = (key) => `meta/${encodeURIComponent(key)}.json`;
+  const imagePath = (file) => `images/${encodeURIComponent(file)}`;
+
+  const request = async (url, options = {}) => {
+    const response = await fetchImpl(url, options);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Storage request failed: ${options.method || 'GET'} ${url} (${response.status})`);
+    }
+    return response;
+  };
+
+  const callSigner = async (body) => {
+    const token = await getAccessToken();
+    const response = await fetchImpl(signUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      const query = body.params ? `?${new URLSearchParams(body.params)}` : '';
+      const error = new Error(`Storage signer refused ${body.method} ${body.path}${query} (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+    return response.json();
+  };
+
+  // Without a signer the bucket itself has to accept the booth's writes, e.g. MinIO on the booth's own network
+  const signedUrl = async (method, path, params = null) => {
+    if (!signUrl) return `${root}/${path}${params ? `?${new URLSearchParams(params)}` : ''}`;
+    return (await callSigner({ method, path, params })).url;
+  };
+
+  // The signer only signs PUTs for new objects and answers 409 otherwise. During an upload that means an earlier
+  // attempt already stored it
+  const putOnce = async (path, options) => {
+    try {
+      await request(await signedUrl('PUT', path), { method: 'PUT', ...options });
+      return true;
+    } catch (error) {
+      if (error.status === 409) return false;
+      throw error;
+    }
+  };
+
+  // The signer merges the changes into the stored metadata itself; it decides which fields each role may change
+  const patchMetadata = async (key, changes) => {
+    try {
+      await callSigner({ method: 'PATCH', path: metaPath(key), changes });
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+  };
+
+  const get = async (key) => {
+    const response = await request(`${root}/${metaPath(key)}`);
+    return response.status === 404 ? null : response.json();
+  };
+
+  return {
+    putImage: async (key, blob) => {
+      const path = imagePath(imageFileName(key, blob));
+      await putOnce(path, { body: blob, headers: { 'Content-Type': blob.type } });
+      return `${root}/${path}`;
+    },
+
+    putMetadata: async (key, value) => {
+      const created = await putOnce(metaPath(key), {
+        body: JSON.stringify(value),
+        headers: { 'Content-Type': 'application/json' }
+      });
+      // Deliveries can be recorded while the upload is retried; carry them over to the copy that made it
+      if (!created && value.deliveries) await patchMetadata(key, { deliveries: value.deliveries });
+    },
+
+    get,
+
+    // Without a signer, update() falls back to get() and putMetadata()
+    updateMetadata: signUrl ? patchMetadata : undefined,
+
+    delete: async (key) => {
+      await Promise.all(IMAGE_EXTENSIONS.map(async ext => (
+        request(await signedUrl('DELETE', imagePath(`${key}.${ext}`)), { method: 'DELETE' })
+      )));
+      await request(await signedUrl('DELETE', metaPath(key)), { method: 'DELETE' });
+    },
+
+    list: async ({ prefix = '', eventId } = {}) => {
+      const keys = [];
+      let continuationToken = null;
+      do {
+        const params = { 'list-type': '2', prefix: `meta/${prefix}` };
+        if (continuationToken) params['continuation-token'] = continuationToken;
+        const response = await request(await signedUrl('GET', '', params));
+        const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+        xml.querySelectorAll('Contents > Key').forEach((node) => {
+          const match = node.textContent.match(/^meta\/(.+)\.json$/);
+          if (match) keys.push(match[1]);
+        });
+        const truncated = xml.querySelector('IsTruncated');
+        const token = xml.querySelector('NextContinuationToken');
+        continuationToken = truncated && truncated.textContent === 'true' && token ? token.textContent : null;
+      } while (continuationToken);
+
+      const values = await Promise.all(keys.map(get));
+      return keys
+        .map((key, idx) => ({ key, value: values[idx] }))
+        .filter(item => item.value && matchesEvent(item.value, eventId));
+    }
+  };
+};
+
+// For tests and local development; nothing survives a reload
+export const createMemoryStorage = () => {
+  const images = new Map();
+  const records = new Map();
+
+  return {
+    images,
+    records,
+
+    putImage: async (key, blob) => {
+      const filename = imageFileName(key, blob);
+      images.set(filename, blob);
+      return `memory://${filename}`;
+    },
+
+    putMetadata: async (key, value) => {
+      records.set(key, value);
+    },
+
+    get: async (key) => (records.has(key) ? records.get(key) : null),
+
+    delete: async (key) => {
+      IMAGE_EXTENSIONS.forEach(ext => images.delete(`${key}.${ext}`));
+      records.delete(key);
+    },
+
+    list: async ({ prefix = '', eventId } = {}) => (
+      [...records.entries()]
+        .filter(([key, value]) => matchesPrefix(key, prefix) && matchesEvent(value, eventId))
+        .map(([key, value]) => ({ key, value }))
+    )
+  };
+};
+
+const parseFirebaseConfig = (env) => {
+  try {
+    return JSON.parse(env.REACT_APP_FIREBASE_CONFIG || 'null');
+  } catch {
+    console.warn('REACT_APP_FIREBASE_CONFIG is not valid JSON');
+    return null;
+  }
+};
+
+// REACT_APP_STORAGE_PROVIDER picks the backend; without it the booth uses Supabase when it's configured
+// and keeps photos on the device otherwise
+export const createStorageAdapter = ({ supabase, env = process.env } = {}) => {
+  const provider = env.REACT_APP_STORAGE_PROVIDER || STORAGE_PROVIDERS.SUPABASE;
+
+  switch (provider) {
+    case STORAGE_PROVIDERS.SUPABASE:
+      if (supabase) return createSupabaseStorage(supabase);
+      break;
+    case STORAGE_PROVIDERS.FIREBASE: {
+      const config = parseFirebaseConfig(env);
+      if (config) return createFirebaseStorage(config);
+      break;
+    }
+    case STORAGE_PROVIDERS.HTTP:
+      if (env.REACT_APP_STORAGE_URL) {
+        return createHttpStorage({
+          baseUrl: env.REACT_APP_STORAGE_URL,
+          signUrl: env.REACT_APP_STORAGE_SIGN_URL || null,
+          getAccessToken: async () => {
+            if (!supabase) return null;
+            const { data } = await supabase.auth.getSession();
+            return data.session ? data.session.access_token : null;
+          }
+        });
+      }
+      break;
+    case STORAGE_PROVIDERS.MEMORY:
+      return createMemoryStorage();
+    case STORAGE_PROVIDERS.INDEXEDDB:
+      return createIndexedDbStorage();
+    default:
+      console.warn(`Unknown storage provider "${provider}"`);
+  }
+
+  console.warn(`Storage provider "${provider}" is not configured. Keeping photos on this device (QR codes won't work on other devices).`);
+  return createIndexedDbStorage();
+};
+
+// What the booth talks to: takes the serialized session the upload queue holds, uploads the image
+// through the adapter and stores the metadata pointing at it
+export const createStorageService = (adapter) => ({
+  adapter,
+
+  set: async (key, serialized) => {
+    const data = JSON.parse(serialized);
+    const imageBlob = data.image.startsWith('data:')
+      ? dataUrlToBlob(data.image)
+      : await (await fetch(data.image)).blob();
+    const image = await adapter.putImage(key, imageBlob);
+    await adapter.putMetadata(key, { ...data, image });
+  },
+
+  get: async (key) => {
+    const value = await adapter.get(key);
+    return value ? { value: JSON.stringify(value) } : null;
+  },
+
+  delete: (key) => adapter.delete(key),
+
+  list: (options) => adapter.list(options),
+
+  // Merge changes into a session's metadata without touching its image, e.g. { hidden: true }
+  update: async (key, changes) => {
+    if (adapter.updateMetadata) {
+      await adapter.updateMetadata(key, changes);
+      return;
+    }
+    const value = await adapter.get(key);
+    if (value) await adapter.putMetadata(key, { ...value, ...changes });
+  },
+
+  // Delete every session past its event's retention period; returns the deleted keys
+  cleanupExpired: async ({ now = new Date() } = {}) => {
+    const items = await adapter.list({ prefix: 'photo_' });
+    const expired = items.filter(item => deleteAfterOf(item.value) < now).map(item => item.key);
+    for (const key of expired) {
+      await adapter.delete(key);
+    }
+    return expired;
+  }
+});
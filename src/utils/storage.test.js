@@ -0,0 +1,253 @@
+import {
+  STORAGE_PROVIDERS,
+  createHttpStorage,
+  createMemoryStorage,
+  createStorageAdapter,
+  createStorageService,
+  createSupabaseStorage,
+  dataUrlToBlob
+} from './storage';
+
+const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgo=';
+const GIF_DATA_URL = 'data:image/gif;base64,R0lGODlh';
+
+const session = (image = PNG_DATA_URL, isGif = false) => JSON.stringify({
+  date: '1/2/2025',
+  expiry: '2025-01-05T00:00:00.000Z',
+  event: { id: 'e1', name: 'Launch' },
+  image,
+  isGif
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+test('decodes base64 data URLs into typed blobs', () => {
+  const blob = dataUrlToBlob(PNG_DATA_URL);
+  expect(blob.type).toBe('image/png');
+  expect(blob.size).toBe(8);
+});
+
+test('the service uploads the image and stores metadata pointing at it', async () => {
+  const adapter = createMemoryStorage();
+  const storage = createStorageService(adapter);
+
+  await storage.set('photo_png_1', session());
+  await storage.set('photo_gif_1', session(GIF_DATA_URL, true));
+
+  expect([...adapter.images.keys()]).toEqual(['photo_png_1.png', 'photo_gif_1.gif']);
+  const result = await storage.get('photo_gif_1');
+  expect(JSON.parse(result.value)).toMatchObject({ image: 'memory://photo_gif_1.gif', isGif: true, date: '1/2/2025' });
+  expect(await storage.get('photo_png_2')).toBeNull();
+});
+
+test('list filters by prefix and delete removes the image with the metadata', async () => {
+  const adapter = createMemoryStorage();
+  const storage = createStorageService(adapter);
+  await storage.set('photo_png_1', session());
+  await storage.set('photo_png_2', session());
+  await storage.set('photo_gif_1', session(GIF_DATA_URL, true));
+
+  expect((await storage.list({ prefix: 'photo_png_' })).map(item => item.key)).toEqual(['photo_png_1', 'photo_png_2']);
+  expect(await storage.list({ eventId: 'e2' })).toEqual([]);
+  expect(await storage.list({ eventId: 'e1' })).toHaveLength(3);
+
+  await storage.delete('photo_png_1');
+  expect(adapter.images.has('photo_png_1.png')).toBe(false);
+  expect(await storage.get('photo_png_1')).toBeNull();
+  expect(await storage.list()).toHaveLength(2);
+});
+
+test('picks the backend from configuration', () => {
+  const memory = createStorageAdapter({ env: { REACT_APP_STORAGE_PROVIDER: STORAGE_PROVIDERS.MEMORY } });
+  expect(memory.records).toBeInstanceOf(Map);
+  expect(console.warn).not.toHaveBeenCalled();
+});
+
+test('falls back to booth-local storage when the chosen backend is not configured', () => {
+  const adapter = createStorageAdapter({ supabase: null, env: {} });
+  expect(typeof adapter.putImage).toBe('function');
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"supabase" is not configured'));
+
+  createStorageAdapter({ env: { REACT_APP_STORAGE_PROVIDER: STORAGE_PROVIDERS.HTTP } });
+  expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"http" is not configured'));
+});
+
+const response = (status, body = '') => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => JSON.parse(body),
+  text: async () => body
+});
+
+test('the HTTP backend writes objects under images/ and meta/ through presigned URLs', async () => {
+  const fetchImpl = jest.fn(async (url, options) => (
+    url === 'https://signer.local/sign'
+      ? response(200, JSON.stringify({ url: `https://s3.local/photos/${JSON.parse(options.body).path}?X-Amz-Signature=s` }))
+      : response(200)
+  ));
+  const adapter = createHttpStorage({
+    baseUrl: 'https://s3.local/photos/',
+    signUrl: 'https://signer.local/sign',
+    getAccessToken: async () => 'operator-jwt',
+    fetchImpl
+  });
+
+  const url = await adapter.putImage('photo_png_1', dataUrlToBlob(PNG_DATA_URL));
+  await adapter.putMetadata('photo_png_1', { image: url });
+
+  // Guests get the plain object URL; only the booth's write is signed
+  expect(url).toBe('https://s3.local/photos/images/photo_png_1.png');
+  const [signerUrl, signerOptions] = fetchImpl.mock.calls[2];
+  expect(signerUrl).toBe('https://signer.local/sign');
+  expect(signerOptions.headers.Authorization).toBe('Bearer operator-jwt');
+  expect(JSON.parse(signerOptions.body)).toEqual({ method: 'PUT', path: 'meta/photo_png_1.json', params: null });
+  const [metaUrl, metaOptions] = fetchImpl.mock.calls[3];
+  expect(metaUrl).toBe('https://s3.local/photos/meta/photo_png_1.json?X-Amz-Signature=s');
+  expect(metaOptions).toMatchObject({ method: 'PUT', headers: { 'Content-Type': 'application/json' } });
+  expect(metaOptions.headers.Authorization).toBeUndefined();
+});
+
+test('the HTTP backend stops when the signer refuses', async () => {
+  const fetchImpl = jest.fn(async () => response(403));
+  const adapter = createHttpStorage({ baseUrl: 'https://s3.local/photos', signUrl: 'https://signer.local/sign', fetchImpl });
+
+  await expect(adapter.delete('photo_png_1')).rejects.toThrow('Storage signer refused DELETE');
+  expect(fetchImpl.mock.calls.every(([url]) => url === 'https://signer.local/sign')).toBe(true);
+});
+
+test('a retried HTTP upload skips objects the signer says are stored and patches changes through it', async () => {
+  const signed = [];
+  const fetchImpl = jest.fn(async (url, options) => {
+    if (url !== 'https://signer.local/sign') return response(200);
+    const body = JSON.parse(options.body);
+    signed.push(body);
+    return body.method === 'PUT' ? response(409, JSON.stringify({ error: 'Already uploaded' })) : response(200, '{"ok":true}');
+  });
+  const adapter = createHttpStorage({ baseUrl: 'https://s3.local/photos', signUrl: 'https://signer.local/sign', fetchImpl });
+  const deliveries = [{ channel: 'email', to: 'g***@example.com' }];
+
+  expect(await adapter.putImage('photo_png_1', dataUrlToBlob(PNG_DATA_URL))).toBe('https://s3.local/photos/images/photo_png_1.png');
+  await adapter.putMetadata('photo_png_1', { image: 'a.png', deliveries });
+  await createStorageService(adapter).update('photo_png_1', { hidden: true });
+
+  expect(fetchImpl.mock.calls.every(([url]) => url === 'https://signer.local/sign')).toBe(true);
+  expect(signed.slice(2)).toEqual([
+    { method: 'PATCH', path: 'meta/photo_png_1.json', changes: { deliveries } },
+    { method: 'PATCH', path: 'meta/photo_png_1.json', changes: { hidden: true } }
+  ]);
+
+  fetchImpl.mockImplementationOnce(async () => response(403));
+  await expect(adapter.putImage('photo_png_2', dataUrlToBlob(PNG_DATA_URL))).rejects.toThrow('(403)');
+});
+
+test('the HTTP backend treats 404 as missing and pages through S3 listings', async () => {
+  const pages = [
+    '<ListBucketResult><IsTruncated>true</IsTruncated><NextContinuationToken>next</NextContinuationToken>' +
+      '<Contents><Key>meta/photo_png_1.json</Key></Contents></ListBucketResult>',
+    '<ListBucketResult><IsTruncated>false</IsTruncated>' +
+      '<Contents><Key>meta/photo_png_2.json</Key></Contents></ListBucketResult>'
+  ];
+  const fetchImpl = jest.fn(async (url) => {
+    if (url.includes('list-type=2')) return response(200, pages.shift());
+    if (url.endsWith('photo_png_2.json')) return response(404);
+    return response(200, JSON.stringify({ image: 'a.png' }));
+  });
+  const adapter = createHttpStorage({ baseUrl: 'https://s3.local/photos', fetchImpl });
+
+  expect(await adapter.get('photo_png_2')).toBeNull();
+  expect(await adapter.list({ prefix: 'photo_png_' })).toEqual([{ key: 'photo_png_1', value: { image: 'a.png' } }]);
+  expect(fetchImpl.mock.calls.some(([url]) => url.includes('continuation-token=next'))).toBe(true);
+  expect(fetchImpl.mock.calls[1][0]).toContain('prefix=meta%2Fphoto_png_');
+
+  fetchImpl.mockImplementationOnce(async () => response(500));
+  await expect(adapter.get('photo_png_1')).rejects.toThrow('(500)');
+});
+
+test('cleanup deletes sessions past their retention period', async () => {
+  const adapter = createMemoryStorage();
+  const storage = createStorageService(adapter);
+  const stored = (expiry, deleteAfter) => JSON.stringify({ image: PNG_DATA_URL, expiry, deleteAfter });
+  await storage.set('photo_png_old', stored('2025-01-01T00:00:00Z', '2025-01-05T00:00:00Z'));
+  await storage.set('photo_png_kept', stored('2025-01-01T00:00:00Z', '2025-02-01T00:00:00Z'));
+  await storage.set('photo_png_legacy', stored('2025-01-02T00:00:00Z'));
+
+  const deleted = await storage.cleanupExpired({ now: new Date('2025-01-10T00:00:00Z') });
+
+  expect(deleted.sort()).toEqual(['photo_png_legacy', 'photo_png_old']);
+  expect((await storage.list()).map(item => item.key)).toEqual(['photo_png_kept']);
+  expect(adapter.images.has('photo_png_old.png')).toBe(false);
+});
+
+const fakeSupabase = (row) => {
+  const bucket = {
+    upload: jest.fn(async () => ({ error: null })),
+    createSignedUrl: jest.fn(async (path, seconds) => ({ data: { signedUrl: `https://sb.local/sign/${path}?t=${seconds}` }, error: null }))
+  };
+  const table = {
+    upsert: jest.fn(async () => ({ error: null })),
+    select: () => table,
+    eq: () => table,
+    maybeSingle: async () => ({ data: row, error: null })
+  };
+  const rpc = jest.fn(async () => ({ data: row ? row.value : null, error: null }));
+  return { bucket, table, rpc, client: { storage: { from: () => bucket }, from: () => table, rpc } };
+};
+
+test('Supabase keeps the object path and hands out signed URLs capped at the link expiry', async () => {
+  const now = new Date('2025-01-01T00:00:00Z');
+  const value = { image: 'photo_png_1.png', expiry: '2025-01-01T00:10:00Z', deleteAfter: '2025-01-08T00:00:00Z' };
+  const { table, client } = fakeSupabase({ value });
+  const adapter = createSupabaseStorage(client, { now: () => now });
+
+  expect(await adapter.putImage('photo_png_1', dataUrlToBlob(PNG_DATA_URL))).toBe('photo_png_1.png');
+  await adapter.putMetadata('photo_png_1', value);
+  expect(table.upsert).toHaveBeenCalledWith(expect.objectContaining({
+    expires_at: value.expiry,
+    delete_after: '2025-01-08T00:00:00.000Z'
+  }));
+
+  expect((await adapter.get('photo_png_1')).image).toBe('https://sb.local/sign/photo_png_1.png?t=600');
+});
+
+test('Supabase lists in pages and filters by event in the query', async () => {
+  const rows = Array.from({ length: 1500 }, (_, idx) => ({ key: `photo_png_${idx}`, value: { image: `https://cdn.example/${idx}.png` } }));
+  const calls = [];
+  const query = {
+    select: () => query,
+    like: () => query,
+    eq: (column, value) => { calls.push(['eq', column, value]); return query; },
+    is: (column, value) => { calls.push(['is', column, value]); return query; },
+    order: () => query,
+    range: async (from, to) => { calls.push(['range', from, to]); return { data: rows.slice(from, to + 1), error: null }; }
+  };
+  const adapter = createSupabaseStorage({ from: () => query });
+
+  expect(await adapter.list({ prefix: 'photo_png_', eventId: 'e1' })).toHaveLength(1500);
+  expect(calls).toEqual([['eq', 'value->event->>id', 'e1'], ['range', 0, 999], ['eq', 'value->event->>id', 'e1'], ['range', 1000, 1999]]);
+
+  calls.length = 0;
+  await adapter.list({ eventId: null });
+  expect(calls[0]).toEqual(['is', 'value->event->>id', null]);
+});
+
+test('Supabase reads a session through the exact-key RPC', async () => {
+  const { rpc, client } = fakeSupabase(null);
+  const adapter = createSupabaseStorage(client);
+
+  expect(await adapter.get('photo_png_1')).toBeNull();
+  expect(rpc).toHaveBeenCalledWith('get_photo_metadata', { session_key: 'photo_png_1' });
+});
+
+test('Supabase never signs an expired session', async () => {
+  const { bucket, client } = fakeSupabase({ value: { image: 'photo_png_1.png', expiry: '2024-12-31T00:00:00Z' } });
+  const adapter = createSupabaseStorage(client, { now: () => new Date('2025-01-01T00:00:00Z') });
+
+  expect((await adapter.get('photo_png_1')).image).toBeNull();
+  expect(bucket.createSignedUrl).not.toHaveBeenCalled();
+});
@@ -0,0 +1,10 @@
+import { createClient } from '@supabase/supabase-js';
+
+// SUPABASE CONFIGURATION
+// Replace these with your actual Supabase project details
+const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
+const supabaseKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
+
+// Initialize Supabase only if keys are present to prevent crashes during dev
+// Without them this is null and storage/auth fall back to booth-local implementations
+export const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
@@ -1,120 +1,347 @@
-// MP-58A1 Thermal Printer Integration
+// Bluetooth ESC/POS Thermal Printer Integration
+// Transport only: image processing lives in imagePipeline.js and encoding in escpos.js
+
+import { DEFAULT_DITHER_SETTINGS } from './dithering';
+import { STATUS_QUERIES, encodeBitmap, encodeFeedAndCut, parseOfflineStatus, parsePaperStatus } from './escpos';
+import { rasterizeImage } from './imagePipeline';
+import { DEFAULT_PROFILE, PRINTER_PROFILES, detectProfile, getAllServiceUuids } from './printerProfiles';
+
+export const PRINTER_STATE = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting'
+};
+
+const LAST_DEVICE_KEY = 'thermaSnaps.lastPrinterId';
+const DEFAULT_RECONNECT_DELAYS = [1000, 2000, 4000, 8000, 16000, 30000];
+const STATUS_TIMEOUT_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 export class ThermalPrinter {
-  constructor() {
+  // Pass a profile to pin it; leave it out to auto-detect from the device name on connect
+  constructor({
+    ditherSettings = DEFAULT_DITHER_SETTINGS,
+    encoding = 'raster',
+    profile = null,
+    reconnectDelaysMs = DEFAULT_RECONNECT_DELAYS,
+    healthCheckMs = 15000
+  } = {}) {
     this.device = null;
     this.characteristic = null;
+    this.notifyCharacteristic = null;
+    this.ditherSettings = ditherSettings;
+    this.encoding = encoding;
+    this.autoDetect = !profile;
+    this.profile = profile || DEFAULT_PROFILE;
+    this.reconnectDelaysMs = reconnectDelaysMs;
+    this.healthCheckMs = healthCheckMs;
+
+    this.status = { state: PRINTER_STATE.DISCONNECTED, paper: 'unknown', error: null, attempt: 0 };
+    this.listeners = new Set();
+    this.reconnectPromise = null;
+    this.healthTimer = null;
+    this.pendingResponse = null;
+    this.isWriting = false;
+    this.manualDisconnect = false;
+
+    this.handleDisconnect = this.handleDisconnect.bind(this);
+    this.handleNotification = this.handleNotification.bind(this);
+  }
+
+  setDitherSettings(settings) {
+    this.ditherSettings = { ...DEFAULT_DITHER_SETTINGS, ...settings };
+  }
+
+  setEncoding(encoding) {
+    this.encoding = encoding;
+  }
+
+  setProfile(profile) {
+    this.autoDetect = !profile;
+    if (profile) this.profile = profile;
+  }
+
+  get isConnected() {
+    return !!(this.device && this.device.gatt.connected && this.characteristic);
+  }
+
+  onStatusChange(listener) {
+    this.listeners.add(listener);
+    listener(this.status);
+    return () => this.listeners.delete(listener);
+  }
+
+  setStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    this.listeners.forEach(listener => listener(this.status));
   }
 
   async connect() {
+    this.setStatus({ state: PRINTER_STATE.CONNECTING, error: null });
     try {
-      // Request Bluetooth device (MP-58A1 uses standard Bluetooth printer profile)
-      this.device = await navigator.bluetooth.requestDevice({
-        filters: [
-          { services: ['000018f0-0000-1000-8000-00805f9b34fb'] }
-        ],
-        optionalServices: ['000018f0-0000-1000-8000-00805f9b34fb']
+      // Many clones don't advertise the printer service, so list everything
+      const device = await navigator.bluetooth.requestDevice({
+        acceptAllDevices: true,
+        optionalServices: getAllServiceUuids()
       });
-
-      const server = await this.device.gatt.connect();
-      const service = await server.getPrimaryService('000018f0-0000-1000-8000-00805f9b34fb');
-      this.characteristic = await service.getCharacteristic('00002af1-0000-1000-8000-00805f9b34fb');
-      
+      await this.attach(device);
       return true;
     } catch (error) {
       console.error('Connection failed:', error);
+      this.setStatus({ state: PRINTER_STATE.DISCONNECTED });
       throw error;
     }
   }
 
-  async printImage(imageDataUrl) {
-    if (!this.characteristic) {
-      throw new Error('Printer not connected');
+  // Reconnects to the last printer without the chooser, where the browser allows it
+  async restoreLastDevice() {
+    const lastId = localStorage.getItem(LAST_DEVICE_KEY);
+    if (!lastId || !navigator.bluetooth || !navigator.bluetooth.getDevices) return false;
+
+    try {
+      const devices = await navigator.bluetooth.getDevices();
+      const device = devices.find(d => d.id === lastId);
+      if (!device) return false;
+
+      this.setStatus({ state: PRINTER_STATE.CONNECTING, error: null });
+      await this.attach(device);
+      return true;
+    } catch (error) {
+      console.warn('Could not restore last printer:', error);
+      this.setStatus({ state: PRINTER_STATE.DISCONNECTED });
+      return false;
+    }
+  }
+
+  async attach(device) {
+    if (this.device && this.device !== device) {
+      this.device.removeEventListener('gattserverdisconnected', this.handleDisconnect);
+    }
+    this.device = device;
+    this.manualDisconnect = false;
+    device.addEventListener('gattserverdisconnected', this.handleDisconnect);
+
+    const server = await device.gatt.connect();
+    await this.resolveCharacteristic(server);
+    localStorage.setItem(LAST_DEVICE_KEY, device.id);
+    this.markConnected();
+  }
+
+  markConnected() {
+    this.setStatus({ state: PRINTER_STATE.CONNECTED, error: null, attempt: 0 });
+    this.startHealthChecks();
+  }
+
+  // Name match first, then every other profile in registry order
+  getCandidateProfiles() {
+    if (!this.autoDetect) return [this.profile];
+    const detected = detectProfile(this.device && this.device.name);
+    return detected
+      ? [detected, ...PRINTER_PROFILES.filter((profile) => profile !== detected)]
+      : PRINTER_PROFILES;
+  }
+
+  async resolveCharacteristic(server) {
+    let lastError = null;
+    for (const profile of this.getCandidateProfiles()) {
+      try {
+        const service = await server.getPrimaryService(profile.serviceUuid);
+        this.characteristic = await service.getCharacteristic(profile.characteristicUuid);
+        this.profile = profile;
+        await this.setupNotifications(service);
+        return profile;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError || new Error('No supported printer service found');
+  }
+
+  // Status replies are optional; printers without a notify characteristic just report 'unknown'
+  async setupNotifications(service) {
+    this.notifyCharacteristic = null;
+    if (!this.profile.notifyCharacteristicUuid) return;
+    try {
+      const characteristic = await service.getCharacteristic(this.profile.notifyCharacteristicUuid);
+      await characteristic.startNotifications();
+      characteristic.addEventListener('characteristicvaluechanged', this.handleNotification);
+      this.notifyCharacteristic = characteristic;
+    } catch (error) {
+      console.warn('Printer status notifications unavailable:', error);
+    }
+  }
+
+  handleNotification(event) {
+    const value = event.target.value;
+    if (this.pendingResponse && value && value.byteLength > 0) {
+      this.pendingResponse(value.getUint8(0));
     }
+  }
+
+  handleDisconnect() {
+    this.stopHealthChecks();
+    this.characteristic = null;
+    this.notifyCharacteristic = null;
+    if (this.manualDisconnect) {
+      this.setStatus({ state: PRINTER_STATE.DISCONNECTED, paper: 'unknown' });
+      return;
+    }
+    this.reconnect().catch(error => console.error('Printer reconnection gave up:', error));
+  }
+
+  // Concurrent callers (the disconnect handler, the print queue) share one backoff loop
+  reconnect() {
+    if (!this.reconnectPromise) {
+      this.reconnectPromise = this.reconnectWithBackoff().finally(() => {
+        this.reconnectPromise = null;
+      });
+    }
+    return this.reconnectPromise;
+  }
+
+  async reconnectWithBackoff() {
+    if (!this.device) {
+      throw new Error('No printer to reconnect to');
+    }
+
+    let lastError = null;
+    for (let attempt = 0; attempt < this.reconnectDelaysMs.length; attempt++) {
+      if (this.manualDisconnect) break;
+      this.setStatus({ state: PRINTER_STATE.RECONNECTING, attempt: attempt + 1 });
+      try {
+        const server = await this.device.gatt.connect();
+        await this.resolveCharacteristic(server);
+        this.markConnected();
+        return true;
+      } catch (error) {
+        lastError = error;
+        if (attempt < this.reconnectDelaysMs.length - 1) {
+          await wait(this.reconnectDelaysMs[attempt]);
+        }
+      }
+    }
+
+    const error = lastError || new Error('Reconnection cancelled');
+    this.setStatus({ state: PRINTER_STATE.DISCONNECTED, error: error.message, attempt: 0 });
+    throw error;
+  }
+
+  startHealthChecks() {
+    this.stopHealthChecks();
+    if (!this.notifyCharacteristic || !this.healthCheckMs) return;
+    this.queryStatus();
+    this.healthTimer = setInterval(() => {
+      if (!this.isWriting) this.queryStatus();
+    }, this.healthCheckMs);
+  }
+
+  stopHealthChecks() {
+    clearInterval(this.healthTimer);
+    this.healthTimer = null;
+  }
+
+  // Resolves with the status byte, or null if the printer stays silent
+  requestStatusByte(command) {
+    return new Promise((resolve) => {
+      const finish = (byte) => {
+        clearTimeout(timer);
+        this.pendingResponse = null;
+        resolve(byte);
+      };
+      const timer = setTimeout(() => finish(null), STATUS_TIMEOUT_MS);
+      this.pendingResponse = finish;
+      this.sendChunk(new Uint8Array(command)).catch(() => finish(null));
+    });
+  }
+
+  async queryStatus() {
+    if (!this.notifyCharacteristic || !this.isConnected) return this.status;
+
+    const offline = parseOfflineStatus(await this.requestStatusByte(STATUS_QUERIES.offline));
+    const paper = parsePaperStatus(await this.requestStatusByte(STATUS_QUERIES.paper));
+
+    const changes = {};
+    if (paper) changes.paper = paper;
+    if (offline) {
+      if (offline.paperOut) changes.paper = 'out';
+      changes.error = offline.coverOpen ? 'Cover open' : offline.error ? 'Printer error' : null;
+    }
+    this.setStatus(changes);
+    return this.status;
+  }
 
-    const img = new Image();
-    await new Promise((resolve, reject) => {
-      img.onload = resolve;
-      img.onerror = reject;
-      img.src = imageDataUrl;
+  // Resize, filter and dither exactly as the printer will receive it
+  rasterize(imageDataUrl) {
+    return rasterizeImage(imageDataUrl, {
+      width: this.profile.dotWidth,
+      ditherSettings: this.ditherSettings
     });
+  }
+
+  encode(bitmap) {
+    return encodeBitmap(bitmap, {
+      mode: this.encoding,
+      feedLines: this.profile.feedLines,
+      cut: this.profile.supportsCut
+    });
+  }
 
-    // Create canvas for image processing
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    
-    // MP-58A1 prints 58mm width = 384 pixels at 203dpi
-    const printerWidth = 384;
-    const aspectRatio = img.height / img.width;
-    canvas.width = printerWidth;
-    canvas.height = Math.floor(printerWidth * aspectRatio);
-
-    // Draw white background
-    ctx.fillStyle = '#FFFFFF';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    
-    // Draw image
-    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-
-    // Convert to thermal printer format
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const thermalData = this.convertToESCPOS(imageData);
-
-    // Send to printer in chunks
-    const chunkSize = 512;
-    for (let i = 0; i < thermalData.length; i += chunkSize) {
-      const chunk = thermalData.slice(i, i + chunkSize);
-      await this.characteristic.writeValue(chunk);
-      await new Promise(resolve => setTimeout(resolve, 50)); // Small delay between chunks
-    }
-  }
-
-  convertToESCPOS(imageData) {
-    const { width, height, data } = imageData;
-    const commands = [];
-
-    // Initialize printer
-    commands.push(0x1B, 0x40); // ESC @ - Initialize
-    commands.push(0x1B, 0x61, 0x01); // ESC a 1 - Center align
-
-    // Process image in bands of 24 pixels (3 bytes)
-    for (let y = 0; y < height; y += 24) {
-      // Set bit image mode (ESC * m nL nH)
-      commands.push(0x1B, 0x2A, 33); // 33 = 24-dot double-density
-      commands.push(width & 0xFF, (width >> 8) & 0xFF); // Width in little-endian
-
-      // Process each column
-      for (let x = 0; x < width; x++) {
-        // Process 3 bytes (24 pixels) vertically
-        for (let k = 0; k < 3; k++) {
-          let byte = 0;
-          for (let b = 0; b < 8; b++) {
-            const py = y + k * 8 + b;
-            if (py < height) {
-              const offset = (py * width + x) * 4;
-              // Convert to grayscale
-              const gray = data[offset] * 0.3 + data[offset + 1] * 0.59 + data[offset + 2] * 0.11;
-              // Threshold to black/white
-              if (gray < 128) {
-                byte |= (1 << (7 - b));
-              }
-            }
-          }
-          commands.push(byte);
+  // Acknowledged writes give us flow control when the printer supports them
+  sendChunk(chunk) {
+    const { properties } = this.characteristic;
+    if (properties && properties.write && this.characteristic.writeValueWithResponse) {
+      return this.characteristic.writeValueWithResponse(chunk);
+    }
+    return this.characteristic.writeValue(chunk);
+  }
+
+  async write(data, { onProgress } = {}) {
+    if (!this.isConnected) {
+      throw new Error('Printer not connected');
+    }
+
+    const chunkSize = this.profile.maxChunkSize;
+    const total = Math.ceil(data.length / chunkSize);
+    this.isWriting = true;
+    try {
+      for (let i = 0; i < data.length; i += chunkSize) {
+        if (!this.isConnected) {
+          throw new Error('Printer disconnected mid-print');
         }
+        const chunk = data.slice(i, i + chunkSize);
+        await this.sendChunk(chunk);
+        if (onProgress) onProgress(i / chunkSize + 1, total);
       }
-      commands.push(0x0A); // Line feed
+    } finally {
+      this.isWriting = false;
     }
+  }
 
-    // Feed paper and cut
-    commands.push(0x1B, 0x64, 0x05); // ESC d 5 - Feed 5 lines
-    commands.push(0x1D, 0x56, 0x01); // GS V 1 - Partial cut
+  async printImage(imageDataUrl, { onProgress } = {}) {
+    if (!this.isConnected) {
+      throw new Error('Printer not connected');
+    }
+
+    const { paper, error } = await this.queryStatus();
+    if (paper === 'out') throw new Error('Printer is out of paper');
+    if (error) throw new Error(error);
+
+    const bitmap = await this.rasterize(imageDataUrl);
+    await this.write(this.encode(bitmap), { onProgress });
+  }
 
-    return new Uint8Array(commands);
+  // A strip that died mid-send is fed out and cut off first, so the reprint doesn't run on from it
+  async finishPartialPrint() {
+    await this.write(encodeFeedAndCut({ feedLines: this.profile.feedLines, cut: this.profile.supportsCut }));
   }
 
   disconnect() {
+    this.manualDisconnect = true;
+    this.stopHealthChecks();
     if (this.device && this.device.gatt.connected) {
       this.device.gatt.disconnect();
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,177 @@
+import { ThermalPrinter, PRINTER_STATE } from './thermalPrinter';
+import { DEFAULT_PROFILE, getAllServiceUuids, getProfile } from './printerProfiles';
+
+// Answers DLE EOT queries with `statusByte` through the notify characteristic, like a real printer
+const fakeDevice = ({ name = 'MP-58A1', services = null, statusByte = 0x12 } = {}) => {
+  const listeners = {};
+  const characteristic = {
+    notify: null,
+    startNotifications: jest.fn().mockResolvedValue(undefined),
+    addEventListener: jest.fn((type, handler) => { characteristic.notify = handler; }),
+    writeValue: jest.fn(async (chunk) => {
+      if (chunk[0] === 0x10 && chunk[1] === 0x04 && characteristic.notify && statusByte !== null) {
+        characteristic.notify({ target: { value: new DataView(new Uint8Array([statusByte]).buffer) } });
+      }
+    })
+  };
+  const service = { getCharacteristic: jest.fn().mockResolvedValue(characteristic) };
+  const server = {
+    getPrimaryService: jest.fn(async (uuid) => {
+      if (services && !services.includes(uuid)) throw new Error('NotFoundError');
+      return service;
+    })
+  };
+  const device = {
+    id: 'device-1',
+    name,
+    addEventListener: jest.fn((type, handler) => { listeners[type] = handler; }),
+    removeEventListener: jest.fn(),
+    // Simulates the printer powering off
+    drop: () => {
+      device.gatt.connected = false;
+      listeners.gattserverdisconnected();
+    },
+    gatt: {
+      connected: false,
+      connect: jest.fn(async () => {
+        device.gatt.connected = true;
+        return server;
+      }),
+      disconnect: jest.fn(() => { device.gatt.connected = false; })
+    }
+  };
+  return { device, server, service, characteristic };
+};
+
+const dataWrites = (characteristic) =>
+  characteristic.writeValue.mock.calls.map(([c]) => c).filter(c => c[0] !== 0x10);
+
+const connectedPrinter = async (options = {}, deviceOptions = {}) => {
+  const fake = fakeDevice(deviceOptions);
+  navigator.bluetooth = { requestDevice: jest.fn().mockResolvedValue(fake.device) };
+  const printer = new ThermalPrinter({ healthCheckMs: 0, reconnectDelaysMs: [0, 0, 0], ...options });
+  await printer.connect();
+  return { printer, fake };
+};
+
+afterEach(() => {
+  delete navigator.bluetooth;
+  localStorage.clear();
+});
+
+test('connect resolves the printer characteristic', async () => {
+  const { printer, fake } = await connectedPrinter({ healthCheckMs: 15000 });
+
+  expect(navigator.bluetooth.requestDevice).toHaveBeenCalledWith(
+    expect.objectContaining({ optionalServices: getAllServiceUuids() })
+  );
+  expect(fake.server.getPrimaryService).toHaveBeenCalledWith(DEFAULT_PROFILE.serviceUuid);
+  expect(fake.service.getCharacteristic).toHaveBeenCalledWith(DEFAULT_PROFILE.characteristicUuid);
+  expect(printer.isConnected).toBe(true);
+  expect(printer.status.state).toBe(PRINTER_STATE.CONNECTED);
+
+  printer.disconnect();
+  expect(printer.isConnected).toBe(false);
+});
+
+test('connect auto-detects the profile from the device name', async () => {
+  const { printer } = await connectedPrinter({}, { name: 'Printer_80mm' });
+
+  expect(printer.profile.id).toBe('generic-80');
+  expect(printer.profile.dotWidth).toBe(576);
+});
+
+test('connect falls back to probing services when the name is unknown', async () => {
+  const issc = getProfile('issc-58');
+  const { printer } = await connectedPrinter({}, { name: 'XYZ', services: [issc.serviceUuid] });
+
+  expect(printer.profile).toBe(issc);
+});
+
+test('a pinned profile is not overridden by the device name', async () => {
+  const { printer } = await connectedPrinter({ profile: getProfile('mp58a1') }, { name: 'Printer_80mm' });
+
+  expect(printer.profile.id).toBe('mp58a1');
+});
+
+test('write splits data into chunks and reports progress', async () => {
+  const { printer, fake } = await connectedPrinter({ profile: { ...DEFAULT_PROFILE, maxChunkSize: 4 } });
+  const onProgress = jest.fn();
+
+  await printer.write(new Uint8Array(10), { onProgress });
+
+  expect(dataWrites(fake.characteristic).map(c => c.length)).toEqual([4, 4, 2]);
+  expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+});
+
+test('printImage encodes the rasterized bitmap with the selected mode', async () => {
+  const { printer, fake } = await connectedPrinter({ encoding: 'column' });
+  const bitmap = { width: 8, height: 1, data: new Uint8ClampedArray(32).fill(255) };
+  jest.spyOn(printer, 'rasterize').mockResolvedValue(bitmap);
+  const encode = jest.spyOn(printer, 'encode');
+
+  await printer.printImage('data:image/png;base64,');
+
+  expect(encode).toHaveBeenCalledWith(bitmap);
+  const [sent] = dataWrites(fake.characteristic);
+  expect(Array.from(sent.slice(5, 8))).toEqual([0x1B, 0x33, 24]);
+});
+
+test('printImage refuses to print when the paper sensor reports empty', async () => {
+  const { printer } = await connectedPrinter({}, { statusByte: 0x72 });
+  const rasterize = jest.spyOn(printer, 'rasterize');
+
+  await expect(printer.printImage('x')).rejects.toThrow('out of paper');
+  expect(printer.status.paper).toBe('out');
+  expect(rasterize).not.toHaveBeenCalled();
+});
+
+test('printing without a connection fails', async () => {
+  await expect(new ThermalPrinter().printImage('x')).rejects.toThrow('Printer not connected');
+});
+
+test('an unexpected disconnect triggers reconnection without prompting again', async () => {
+  const { printer, fake } = await connectedPrinter();
+  const states = [];
+  printer.onStatusChange(({ state }) => states.push(state));
+
+  fake.device.drop();
+  await printer.reconnectPromise;
+
+  expect(navigator.bluetooth.requestDevice).toHaveBeenCalledTimes(1);
+  expect(fake.device.gatt.connect).toHaveBeenCalledTimes(2);
+  expect(states).toContain(PRINTER_STATE.RECONNECTING);
+  expect(printer.status.state).toBe(PRINTER_STATE.CONNECTED);
+});
+
+test('reconnection gives up after the backoff schedule', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { printer, fake } = await connectedPrinter();
+  fake.device.gatt.connect.mockRejectedValue(new Error('Device out of range'));
+
+  fake.device.drop();
+  await expect(printer.reconnectPromise).rejects.toThrow('out of range');
+
+  expect(fake.device.gatt.connect).toHaveBeenCalledTimes(4);
+  expect(printer.status).toMatchObject({ state: PRINTER_STATE.DISCONNECTED, error: 'Device out of range' });
+  console.error.mockRestore();
+});
+
+test('a manual disconnect does not reconnect', async () => {
+  const { printer, fake } = await connectedPrinter();
+
+  printer.disconnect();
+  fake.device.drop();
+
+  expect(printer.reconnectPromise).toBeNull();
+  expect(printer.status.state).toBe(PRINTER_STATE.DISCONNECTED);
+});
+
+test('the last device is restored through getDevices()', async () => {
+  const { fake } = await connectedPrinter();
+  navigator.bluetooth.getDevices = jest.fn().mockResolvedValue([fake.device]);
+
+  const restored = new ThermalPrinter({ healthCheckMs: 0 });
+  expect(await restored.restoreLastDevice()).toBe(true);
+  expect(restored.status.state).toBe(PRINTER_STATE.CONNECTED);
+});
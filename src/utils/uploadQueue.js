@@ -0,0 +1,175 @@
+// Offline-first upload queue
+// Sessions are written to IndexedDB before anything touches the network, then synced in the background
+// with backoff. Nothing is dropped: a session stays queued until its upload succeeds.
+
+import { createIdbStore } from './indexedDb';
+
+export const UPLOAD_STATUS = {
+  PENDING: 'pending',
+  UPLOADING: 'uploading'
+};
+
+const DEFAULT_RETRY_DELAYS_MS = [2000, 5000, 15000, 30000, 60000];
+
+const browserIsOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+export class UploadQueue {
+  constructor({
+    upload, // (key, value) => Promise, e.g. storage.set
+    store = createIdbStore('uploads'),
+    retryDelaysMs = DEFAULT_RETRY_DELAYS_MS,
+    isOnline = browserIsOnline
+  }) {
+    this.upload = upload;
+    this.store = store;
+    this.retryDelaysMs = retryDelaysMs;
+    this.isOnline = isOnline;
+    this.items = [];
+    this.listeners = new Set();
+    this.isSyncing = false;
+    this.retryTimer = null;
+    this.handleOnline = () => this.sync();
+  }
+
+  // Restore anything left from a previous page load and keep syncing whenever the connection returns
+  async start() {
+    if (typeof window !== 'undefined') window.addEventListener('online', this.handleOnline);
+    await this.restore();
+    this.sync();
+  }
+
+  stop() {
+    if (typeof window !== 'undefined') window.removeEventListener('online', this.handleOnline);
+    clearTimeout(this.retryTimer);
+  }
+
+  async restore() {
+    try {
+      const saved = await this.store.getAll();
+      const known = new Set(this.items.map(item => item.id));
+      // An upload cut off by a reload simply goes again; upserts make that safe
+      const restored = saved
+        .filter(item => !known.has(item.id))
+        .map(item => ({ ...item, status: UPLOAD_STATUS.PENDING }));
+      this.items = [...this.items, ...restored].sort((a, b) => a.createdAt - b.createdAt);
+    } catch (error) {
+      console.warn('Upload queue could not be restored:', error);
+    }
+    this.emit();
+    return this.items;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  getState() {
+    return {
+      items: this.items,
+      pendingCount: this.items.length,
+      isSyncing: this.isSyncing,
+      lastError: this.items.find(item => item.error)?.error || null
+    };
+  }
+
+  emit() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  updateItem(id, changes) {
+    this.items = this.items.map(item => (item.id === id ? { ...item, ...changes } : item));
+    this.emit();
+  }
+
+  // Resolves once the session is stored locally, not when it reaches the server
+  async enqueue(key, value) {
+    const item = {
+      id: key,
+      value,
+      status: UPLOAD_STATUS.PENDING,
+      attempts: 0,
+      error: null,
+      createdAt: Date.now()
+    };
+    try {
+      await this.store.put(item);
+    } catch (error) {
+      // Private browsing can block IndexedDB; keep it in memory and still try to upload
+      console.warn('Session not saved locally:', error);
+    }
+    this.items = [...this.items.filter(existing => existing.id !== key), item];
+    this.emit();
+    this.sync();
+    return item;
+  }
+
+  get(key) {
+    const item = this.items.find(existing => existing.id === key);
+    return item ? item.value : null;
+  }
+
+  isPending(key) {
+    return this.items.some(item => item.id === key);
+  }
+
+  scheduleRetry(attempts) {
+    const delay = this.retryDelaysMs[Math.min(attempts, this.retryDelaysMs.length) - 1];
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.sync(), delay);
+  }
+
+  async sync() {
+    if (this.isSyncing || !this.isOnline()) return;
+    clearTimeout(this.retryTimer);
+    this.isSyncing = true;
+    this.emit();
+
+    try {
+      // Sessions that failed this pass; once everything left has failed, back off and try again later
+      const failed = new Set();
+      const nextItem = () => this.items.find(item => !failed.has(item.id));
+      let next = nextItem();
+      while (next) {
+        this.updateItem(next.id, { status: UPLOAD_STATUS.UPLOADING });
+        try {
+          await this.upload(next.id, next.value);
+        } catch (error) {
+          const attempts = next.attempts + 1;
+          console.error(`Upload of ${next.id} failed (attempt ${attempts}):`, error);
+          this.updateItem(next.id, { status: UPLOAD_STATUS.PENDING, attempts, error: error.message || String(error) });
+          // One bad session mustn't hold up the rest, so it goes to the back of the line
+          failed.add(next.id);
+          this.items = [
+            ...this.items.filter(item => !failed.has(item.id)),
+            ...this.items.filter(item => failed.has(item.id))
+          ];
+          this.emit();
+          if (!this.isOnline()) return;
+          next = nextItem();
+          continue;
+        }
+
+        // A session re-queued while it was uploading (e.g. with a delivery consent added) has to go again
+        const synced = next;
+        const requeued = this.items.some(item => item.id === synced.id && item.value !== synced.value);
+        if (!requeued) {
+          this.items = this.items.filter(item => item.id !== synced.id);
+          await this.store.delete(synced.id).catch(error => console.warn('Synced session not removed locally:', error));
+        }
+        this.emit();
+        next = nextItem();
+      }
+
+      // Usually the venue lost its connection; the retry waits as long as the least-tried session's backoff
+      if (failed.size > 0) {
+        this.scheduleRetry(Math.min(...this.items.filter(item => failed.has(item.id)).map(item => item.attempts)));
+      }
+    } finally {
+      this.isSyncing = false;
+      this.emit();
+    }
+  }
+}
@@ -0,0 +1,151 @@
+import { UploadQueue, UPLOAD_STATUS } from './uploadQueue';
+
+const memoryStore = (initial = []) => {
+  const records = new Map(initial.map(r => [r.id, r]));
+  return {
+    records,
+    getAll: async () => [...records.values()],
+    put: async (record) => { records.set(record.id, record); },
+    delete: async (id) => { records.delete(id); }
+  };
+};
+
+// Fails the first `failTimes` calls, like a booth that comes back online later
+const flakyUpload = (failTimes = 0) => {
+  let failures = 0;
+  return jest.fn(async () => {
+    if (failures < failTimes) {
+      failures += 1;
+      throw new Error('Failed to fetch');
+    }
+  });
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const settle = (queue) => new Promise(resolve => {
+  const check = () => (queue.isSyncing ? setTimeout(check, 0) : resolve());
+  check();
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+test('sessions are stored locally before uploading and removed once synced', async () => {
+  const store = memoryStore();
+  let storedBeforeUpload = false;
+  const upload = jest.fn(async (key) => { storedBeforeUpload = store.records.has(key); });
+  const queue = new UploadQueue({ upload, store });
+
+  await queue.enqueue('photo_png_1', '{"image":"data:png"}');
+  await settle(queue);
+
+  expect(storedBeforeUpload).toBe(true);
+  expect(upload).toHaveBeenCalledWith('photo_png_1', '{"image":"data:png"}');
+  expect(store.records.size).toBe(0);
+  expect(queue.getState().pendingCount).toBe(0);
+});
+
+test('failed uploads stay queued and retry with backoff', async () => {
+  const upload = flakyUpload(2);
+  const store = memoryStore();
+  const queue = new UploadQueue({ upload, store, retryDelaysMs: [5, 100] });
+
+  await queue.enqueue('photo_png_1', 'strip');
+  await settle(queue);
+  expect(queue.getState()).toMatchObject({ pendingCount: 1, lastError: 'Failed to fetch' });
+  expect(queue.items[0]).toMatchObject({ status: UPLOAD_STATUS.PENDING, attempts: 1 });
+  expect(store.records.has('photo_png_1')).toBe(true);
+
+  await wait(20);
+  await settle(queue);
+  expect(upload).toHaveBeenCalledTimes(2);
+  expect(queue.items[0].attempts).toBe(2);
+
+  // Second failure waits for the longer delay
+  await wait(20);
+  expect(upload).toHaveBeenCalledTimes(2);
+  await wait(120);
+  await settle(queue);
+  expect(upload).toHaveBeenCalledTimes(3);
+  expect(queue.getState().pendingCount).toBe(0);
+  expect(store.records.size).toBe(0);
+});
+
+test('a session that keeps failing goes to the back and doesn\'t block the others', async () => {
+  const upload = jest.fn(async (key) => {
+    if (key === 'photo_png_1') throw new Error('Payload too large');
+  });
+  const queue = new UploadQueue({ upload, store: memoryStore(), retryDelaysMs: [1000] });
+
+  await queue.enqueue('photo_png_1', 'a');
+  await settle(queue);
+  await queue.enqueue('photo_gif_1', 'b');
+  await queue.enqueue('photo_png_2', 'c');
+  await settle(queue);
+
+  expect(queue.isPending('photo_gif_1')).toBe(false);
+  expect(queue.isPending('photo_png_2')).toBe(false);
+  expect(queue.items.map(item => item.id)).toEqual(['photo_png_1']);
+  // Each pass tries the broken session once, then backs off
+  expect(upload.mock.calls.filter(([key]) => key === 'photo_png_1')).toHaveLength(2);
+  queue.stop();
+});
+
+test('waits while offline and syncs in order when the connection returns', async () => {
+  let online = false;
+  const upload = flakyUpload();
+  const queue = new UploadQueue({ upload, store: memoryStore(), isOnline: () => online });
+
+  await queue.enqueue('photo_png_1', 'a');
+  await queue.enqueue('photo_gif_1', 'b');
+  expect(upload).not.toHaveBeenCalled();
+  expect(queue.isPending('photo_gif_1')).toBe(true);
+  expect(queue.get('photo_gif_1')).toBe('b');
+
+  online = true;
+  queue.handleOnline();
+  await settle(queue);
+  expect(upload.mock.calls.map(([key]) => key)).toEqual(['photo_png_1', 'photo_gif_1']);
+  expect(queue.isPending('photo_gif_1')).toBe(false);
+});
+
+test('restore picks up sessions interrupted by a reload', async () => {
+  const store = memoryStore([
+    { id: 'photo_png_2', value: 'b', status: UPLOAD_STATUS.UPLOADING, attempts: 1, createdAt: 2 },
+    { id: 'photo_png_1', value: 'a', status: UPLOAD_STATUS.PENDING, attempts: 0, createdAt: 1 }
+  ]);
+  const upload = flakyUpload();
+  const queue = new UploadQueue({ upload, store });
+
+  await queue.restore();
+  expect(queue.items.map(item => [item.id, item.status])).toEqual([
+    ['photo_png_1', UPLOAD_STATUS.PENDING],
+    ['photo_png_2', UPLOAD_STATUS.PENDING]
+  ]);
+
+  await queue.sync();
+  expect(upload.mock.calls.map(([key]) => key)).toEqual(['photo_png_1', 'photo_png_2']);
+  expect(store.records.size).toBe(0);
+});
+
+test('a session re-queued mid-upload uploads again with the new value', async () => {
+  const store = memoryStore();
+  let queue;
+  const upload = jest.fn(async (key, value) => {
+    if (value === 'first') await queue.enqueue(key, 'second');
+  });
+  queue = new UploadQueue({ upload, store });
+
+  await queue.enqueue('photo_png_1', 'first');
+  await settle(queue);
+
+  expect(upload.mock.calls.map(([, value]) => value)).toEqual(['first', 'second']);
+  expect(store.records.size).toBe(0);
+  expect(queue.getState().pendingCount).toBe(0);
+});
@@ -0,0 +1,82 @@
+// Minimal ZIP writer for the guest gallery's "download all"
+// Photos are already compressed, so entries are stored as-is (method 0) and no deflate library is needed
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS date/time, which is what ZIP headers store (2-second resolution, local time)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const header = (size, fill) => {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+};
+
+// files: [{ name, data: Uint8Array }] -> Uint8Array chunks of the archive, ready for new Blob(...)
+export const createZipParts = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    const common = (view, at) => {
+      view.setUint16(at, 20, true); // version needed
+      view.setUint16(at + 2, 0x0800, true); // UTF-8 names
+      view.setUint16(at + 4, 0, true); // stored
+      view.setUint16(at + 6, time, true);
+      view.setUint16(at + 8, date, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, nameBytes.length, true);
+    };
+
+    parts.push(header(30, (view) => {
+      view.setUint32(0, 0x04034B50, true);
+      common(view, 4);
+    }), nameBytes, data);
+
+    central.push(header(46, (view) => {
+      view.setUint32(0, 0x02014B50, true);
+      view.setUint16(4, 20, true); // version made by
+      common(view, 6);
+      view.setUint32(42, offset, true);
+    }), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, (view) => {
+    view.setUint32(0, 0x06054B50, true);
+    view.setUint16(8, files.length, true);
+    view.setUint16(10, files.length, true);
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, offset, true);
+  });
+
+  return [...parts, ...central, end];
+};
+
+export const createZip = (files, modified) => new Blob(createZipParts(files, modified), { type: 'application/zip' });
@@ -0,0 +1,48 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { crc32, createZipParts } from './zip';
+
+// jsdom in this Jest version has no TextEncoder
+global.TextEncoder = TextEncoder;
+
+const text = (data) => new TextDecoder().decode(data);
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+const concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let at = 0;
+  parts.forEach((part) => { out.set(part, at); at += part.length; });
+  return out;
+};
+
+test('crc32 matches the standard check value', () => {
+  expect(crc32(bytes('123456789'))).toBe(0xCBF43926);
+  expect(crc32(new Uint8Array())).toBe(0);
+});
+
+test('writes stored entries with a central directory that points back at them', () => {
+  const files = [
+    { name: 'strip.png', data: bytes('strip') },
+    { name: 'frame-1.png', data: bytes('first frame') }
+  ];
+  const zip = concat(createZipParts(files, new Date(2025, 0, 2, 10, 30, 0)));
+  const view = new DataView(zip.buffer);
+
+  // End of central directory record
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+  const centralOffset = view.getUint32(end + 16, true);
+
+  // Second central entry -> its local header -> its data
+  const secondCentral = centralOffset + 46 + 'strip.png'.length;
+  expect(view.getUint32(secondCentral, true)).toBe(0x02014B50);
+  const localOffset = view.getUint32(secondCentral + 42, true);
+  expect(view.getUint32(localOffset, true)).toBe(0x04034B50);
+  expect(view.getUint32(localOffset + 14, true)).toBe(crc32(bytes('first frame')));
+
+  const nameLength = view.getUint16(localOffset + 26, true);
+  const dataStart = localOffset + 30 + nameLength;
+  expect(text(zip.slice(localOffset + 30, dataStart))).toBe('frame-1.png');
+  expect(text(zip.slice(dataStart, dataStart + 11))).toBe('first frame');
+});